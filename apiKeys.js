@@ -0,0 +1,204 @@
+const path = require('path');
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { createMemoryStore, createFileStore } = require('./store');
+
+/**
+ * API keys with per-key limits.
+ *
+ * Only a SHA-256 hash of each key is stored; the key itself is shown once,
+ * when it is issued. Every key carries its own limits:
+ * - concurrentJobs:    jobs queued or running at the same time
+ * - leadsPerDay:       leads delivered per UTC day
+ * - requestsPerMinute: API requests per minute
+ */
+
+const KEY_PREFIX = 'lsk_';
+
+const DEFAULT_LIMITS = {
+    concurrentJobs: 2,
+    leadsPerDay: 1000,
+    requestsPerMinute: 120,
+};
+
+/**
+ * SHA-256 hex digest of a key.
+ * @param {string} secret
+ * @returns {string}
+ */
+function hashKey(secret) {
+    return crypto.createHash('sha256').update(String(secret)).digest('hex');
+}
+
+/**
+ * Compare a key with a stored hash in constant time.
+ * @param {string} secret
+ * @param {string} hash
+ * @returns {boolean}
+ */
+function matchesHash(secret, hash) {
+    const a = Buffer.from(hashKey(secret), 'hex');
+    const b = Buffer.from(hash, 'hex');
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Merge requested limits over the defaults.
+ * @param {Object} [limits]
+ * @param {Object} [base=DEFAULT_LIMITS]
+ * @returns {Object}
+ * @throws {Error} On unknown limits or values that are not positive integers
+ */
+function resolveLimits(limits = {}, base = DEFAULT_LIMITS) {
+    if (typeof limits !== 'object' || limits === null || Array.isArray(limits)) {
+        throw new Error('limits must be an object');
+    }
+    const resolved = { ...base };
+    Object.entries(limits).forEach(([name, value]) => {
+        if (!(name in DEFAULT_LIMITS)) {
+            throw new Error(`Unknown limit "${name}". Limits: ${Object.keys(DEFAULT_LIMITS).join(', ')}`);
+        }
+        const number = Number(value);
+        if (!Number.isInteger(number) || number < 1) {
+            throw new Error(`Limit "${name}" must be a positive integer`);
+        }
+        resolved[name] = number;
+    });
+    return resolved;
+}
+
+/**
+ * Today's date (UTC) as YYYY-MM-DD, the period of the daily lead quota.
+ * @returns {string}
+ */
+function today() {
+    return new Date().toISOString().slice(0, 10);
+}
+
+/**
+ * API key repository.
+ * @param {Object} [store] - Defaults to API_KEY_STORE_FILE (data/apiKeys.json),
+ *   or memory when API_KEY_STORE=memory
+ * @returns {Object} { list, get, authenticate, issue, update, revoke, leadsUsedToday, recordLeads, flush }
+ */
+function createKeyRepository(store) {
+    if (!store) {
+        store = process.env.API_KEY_STORE === 'memory'
+            ? createMemoryStore()
+            : createFileStore(process.env.API_KEY_STORE_FILE || path.join(__dirname, 'data', 'apiKeys.json'), { collection: 'keys' });
+    }
+
+    return {
+        list: () => store.list(),
+        get: (id) => store.get(id),
+        /**
+         * Find the active key record for a key.
+         * @param {string} secret
+         * @returns {Object|null}
+         */
+        authenticate(secret) {
+            if (!secret || !secret.startsWith(KEY_PREFIX)) return null;
+            const record = store.list().find((key) => matchesHash(secret, key.hash));
+            if (!record || record.revokedAt) return null;
+            record.lastUsedAt = new Date().toISOString();
+            store.save(record);
+            return record;
+        },
+        /**
+         * Issue a new key.
+         * @param {string} name - Who or what the key is for
+         * @param {Object} [limits] - Overrides of DEFAULT_LIMITS
+         * @returns {{ key: string, record: Object }} The key (shown only now) and its record
+         */
+        issue(name, limits) {
+            const secret = KEY_PREFIX + crypto.randomBytes(24).toString('hex');
+            const record = {
+                id: uuidv4(),
+                name,
+                prefix: secret.slice(0, KEY_PREFIX.length + 6),
+                hash: hashKey(secret),
+                limits: resolveLimits(limits),
+                usage: { day: today(), leads: 0 },
+                createdAt: new Date().toISOString(),
+                lastUsedAt: null,
+                revokedAt: null,
+            };
+            store.save(record);
+            return { key: secret, record };
+        },
+        /**
+         * Change a key's name or limits.
+         * @returns {Object|null} The updated record, or null when not found
+         */
+        update(id, { name, limits }) {
+            const record = store.get(id);
+            if (!record) return null;
+            if (limits) record.limits = resolveLimits(limits, record.limits);
+            if (name) record.name = name;
+            store.save(record);
+            return record;
+        },
+        /**
+         * Revoke a key. The record is kept so its usage stays visible.
+         * @returns {Object|null} The revoked record, or null when not found
+         */
+        revoke(id) {
+            const record = store.get(id);
+            if (!record) return null;
+            record.revokedAt = record.revokedAt || new Date().toISOString();
+            store.save(record);
+            return record;
+        },
+        /**
+         * Leads delivered today with this key.
+         * @param {Object} record
+         * @returns {number}
+         */
+        leadsUsedToday(record) {
+            return record.usage && record.usage.day === today() ? record.usage.leads : 0;
+        },
+        /**
+         * Count leads delivered by a finished job against the key's daily quota.
+         * @param {string} id - Key ID
+         * @param {number} count
+         */
+        recordLeads(id, count) {
+            const record = store.get(id);
+            if (!record) return;
+            if (!record.usage || record.usage.day !== today()) {
+                record.usage = { day: today(), leads: 0 };
+            }
+            record.usage.leads += count;
+            store.save(record);
+        },
+        flush: () => store.flush(),
+    };
+}
+
+/**
+ * Fixed-window request counter per key (kept in memory).
+ * @param {number} [windowMs=60000]
+ * @returns {Object} { hit(id, limit) -> { allowed, remaining, retryAfter } }
+ */
+function createRateLimiter(windowMs = 60000) {
+    const windows = new Map();
+
+    return {
+        hit(id, limit) {
+            const now = Date.now();
+            let entry = windows.get(id);
+            if (!entry || now - entry.start >= windowMs) {
+                entry = { start: now, count: 0 };
+                windows.set(id, entry);
+            }
+            entry.count++;
+            return {
+                allowed: entry.count <= limit,
+                remaining: Math.max(limit - entry.count, 0),
+                retryAfter: Math.ceil((entry.start + windowMs - now) / 1000),
+            };
+        },
+    };
+}
+
+module.exports = { DEFAULT_LIMITS, resolveLimits, hashKey, matchesHash, createKeyRepository, createRateLimiter };
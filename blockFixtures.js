@@ -0,0 +1,147 @@
+const http = require('http');
+
+/**
+ * Local stand-in for Google that serves block pages, for trying out the
+ * scraper's block detection and retries (see blocking.js).
+ *
+ *   FIXTURE_BLOCK=captcha FIXTURE_BLOCK_FIRST=2 npm run block-fixtures
+ *   SCRAPER_GOOGLE_URL=http://localhost:4100 npx leadscraper scrape --category Bakeries --state Kerala --country India
+ *
+ * Listens on FIXTURE_PORT (default 4100). FIXTURE_BLOCK picks the block page:
+ * captcha (default), sorry, unusual-traffic, consent or none. With
+ * FIXTURE_BLOCK_FIRST=n only the first n page loads are blocked, after which
+ * the search list, Maps results and place profiles are served normally;
+ * without it every page load is blocked. Chromium does not send localhost
+ * traffic through --proxy-server, so proxies are not exercised here.
+ * checks/blocking.js runs block detection against every mode.
+ */
+
+const PORT = parseInt(process.env.FIXTURE_PORT, 10) || 4100;
+const MODES = ['captcha', 'sorry', 'unusual-traffic', 'consent', 'none'];
+
+const BUSINESSES = ['Golden Crust Bakery', 'Malabar Sweets', 'Cochin Cake House'];
+
+const escapeHtml = (text) => String(text).replace(/[&<>"]/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+const page = (title, body) => `<!DOCTYPE html><html><head><meta charset="utf-8"><title>${escapeHtml(title)}</title></head><body>${body}</body></html>`;
+const placePath = (name, i) => `/maps/place/${encodeURIComponent(name)}/@9.9${i},76.2${i},17z/data=!3m1!4b1!4m6!3m5!1s0x3b080d${i}:0x${i}f4e2a1c${i}`;
+
+const BLOCK_PAGES = {
+    captcha: () => page('Google', `
+        <form id="captcha-form" action="/sorry/index" method="post">
+            <div class="g-recaptcha" data-sitekey="fixture"></div>
+            <p>Please show you're not a robot.</p>
+            <button type="submit">Submit</button>
+        </form>`),
+    sorry: () => page('Google', `
+        <p>Our systems have detected unusual traffic from your computer network.</p>
+        <form id="captcha-form" action="/sorry/index" method="post"><div class="g-recaptcha"></div></form>`),
+    'unusual-traffic': () => page('Google', `
+        <h1>We're sorry...</h1>
+        <p>...but your computer or network may be sending automated queries. Our systems have detected unusual traffic from your computer network.</p>`),
+    consent: (url) => page('Before you continue to Google', `
+        <h1>Before you continue to Google</h1>
+        <p>We use cookies and data to deliver and maintain Google services.</p>
+        <form action="/consent/save" method="get">
+            <input type="hidden" name="continue" value="${escapeHtml(url)}">
+            <button type="submit">Accept all</button>
+        </form>`),
+};
+
+const PAGES = {
+    search: () => page('Local results', BUSINESSES.map((name, i) => `
+        <div role="article">
+            <a href="${placePath(name, i)}"><div class="uOaeOf">${escapeHtml(name)}</div></a>
+            <span class="MW4etd">4.${i + 3}</span><span class="UY7F9">(${(i + 1) * 37})</span>
+        </div>`).join('')),
+    maps: () => page('Google Maps', `<div role="feed">${BUSINESSES.map((name, i) => `<a href="${placePath(name, i)}" aria-label="${escapeHtml(name)}"></a>`).join('')}</div>`),
+    place: (name, i) => page(`${name} - Google Maps`, `
+        <h1>${escapeHtml(name)}</h1>
+        <span role="img" aria-label="4.${i + 3} stars"></span>
+        <button aria-label="${(i + 1) * 37} reviews"></button>
+        <button class="DkEaL">Bakery</button>
+        <button data-item-id="address" aria-label="Address: ${i + 1} MG Road, Kochi, Kerala 682011"></button>
+        <button data-item-id="phone:tel:+9148423${i}5678" aria-label="Phone: 0484 23${i}5678"></button>
+        <a data-item-id="authority" href="https://example.com/${i}"></a>`),
+};
+
+/**
+ * Normal page for a request, or null for an unknown path.
+ * @param {URL} url
+ * @returns {string|null}
+ */
+function contentFor(url) {
+    if (url.pathname === '/search') return PAGES.search();
+    if (url.pathname.startsWith('/maps/search/')) return PAGES.maps();
+    if (url.pathname.startsWith('/maps/place/')) {
+        const name = decodeURIComponent(url.pathname.split('/')[3] || '');
+        const i = Math.max(BUSINESSES.indexOf(name), 0);
+        return PAGES.place(name, i);
+    }
+    return null;
+}
+
+/**
+ * Create (but do not start) the fixture server.
+ * @param {Object} [options]
+ * @param {string} [options.mode='captcha'] - One of MODES
+ * @param {number} [options.blockFirst=Infinity] - Page loads to block before
+ *   serving normal pages
+ * @param {boolean} [options.log=false] - Log every request
+ * @returns {http.Server}
+ */
+function createBlockFixtureServer({ mode = 'captcha', blockFirst = Infinity, log = false } = {}) {
+    if (!MODES.includes(mode)) {
+        throw new Error(`Block fixture mode must be one of: ${MODES.join(', ')}`);
+    }
+    let blocksLeft = blockFirst;
+
+    return http.createServer((req, res) => {
+        const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+        const send = (status, html) => res.writeHead(status, { 'Content-Type': 'text/html; charset=utf-8' }).end(html);
+
+        // The block pages themselves
+        if (url.pathname.startsWith('/sorry/')) {
+            send(429, BLOCK_PAGES.sorry());
+            return;
+        }
+        if (url.pathname === '/consent/save') {
+            res.writeHead(302, { Location: url.searchParams.get('continue') || '/' }).end();
+            return;
+        }
+
+        const html = contentFor(url);
+        if (!html) {
+            send(404, page('Not found', '<p>Not found</p>'));
+            return;
+        }
+
+        if (mode !== 'none' && blocksLeft > 0) {
+            blocksLeft--;
+            if (log) console.log(`✗ ${mode}: ${req.method} ${url.pathname}${url.search}`);
+            if (mode === 'sorry') {
+                res.writeHead(302, { Location: `/sorry/index?continue=${encodeURIComponent(url.href)}` }).end();
+            } else {
+                send(mode === 'consent' ? 200 : 429, BLOCK_PAGES[mode](url.href));
+            }
+            return;
+        }
+
+        if (log) console.log(`✓ ${req.method} ${url.pathname}${url.search}`);
+        send(200, html);
+    });
+}
+
+if (require.main === module) {
+    const mode = process.env.FIXTURE_BLOCK || 'captcha';
+    const blockFirst = process.env.FIXTURE_BLOCK_FIRST === undefined ? Infinity : parseInt(process.env.FIXTURE_BLOCK_FIRST, 10) || 0;
+    if (!MODES.includes(mode)) {
+        console.error(`FIXTURE_BLOCK must be one of: ${MODES.join(', ')}`);
+        process.exit(1);
+    }
+    createBlockFixtureServer({ mode, blockFirst, log: true }).listen(PORT, () => {
+        const blocking = blockFirst === Infinity ? 'every page load' : `the first ${blockFirst} page loads`;
+        console.log(`Block fixtures listening at http://localhost:${PORT}/ (${mode === 'none' ? 'no blocking' : `${mode} on ${blocking}`})`);
+    });
+}
+
+module.exports = { MODES, createBlockFixtureServer };
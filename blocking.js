@@ -0,0 +1,85 @@
+/**
+ * Detection of the pages Google shows instead of results when it blocks a
+ * scraper, and the backoff used between retries.
+ *
+ * Block reasons:
+ * - 'sorry': the /sorry/ interstitial Google redirects flagged traffic to
+ * - 'captcha': a reCAPTCHA or captcha form on the page
+ * - 'unusual-traffic': the "unusual traffic from your computer network" notice
+ * - 'consent': the cookie consent wall, still up after trying to accept it
+ */
+
+const BLOCK_REASONS = {
+    sorry: 'Google redirected to its "sorry" page',
+    captcha: 'Google showed a captcha',
+    'unusual-traffic': 'Google reported unusual traffic from this network',
+    consent: 'Google\'s consent page could not be dismissed',
+};
+
+const UNUSUAL_TRAFFIC = /unusual traffic from your computer network|our systems have detected unusual traffic/i;
+const NOT_A_ROBOT = /not a robot|solve this captcha|verify (that )?you('| a)re (a )?human/i;
+const CONSENT_TEXT = /before you continue to google/i;
+
+/**
+ * Read what block detection needs from the current page.
+ * Runs inside the browser through page.evaluate(), so it must stay
+ * self-contained.
+ * @returns {Object} { url, title, text, captcha, consentForm }
+ */
+function readBlockSignals() {
+    return {
+        url: location.href,
+        title: document.title || '',
+        text: document.body ? document.body.innerText.slice(0, 5000) : '',
+        captcha: Boolean(document.querySelector('#captcha-form, form[action*="sorry"], .g-recaptcha, iframe[src*="recaptcha"], iframe[title*="reCAPTCHA"]')),
+        consentForm: Boolean(document.querySelector('form[action*="consent"]')),
+    };
+}
+
+/**
+ * Classify the page signals.
+ * @param {Object} signals - readBlockSignals() result
+ * @returns {string|null} A BLOCK_REASONS key, or null for a normal page
+ */
+function classifyBlock(signals) {
+    let url = null;
+    try {
+        url = new URL(signals.url);
+    } catch (e) {
+        // about:blank and friends
+    }
+
+    const text = `${signals.title}\n${signals.text}`;
+    if (url && url.pathname.startsWith('/sorry/')) return 'sorry';
+    if (signals.captcha || NOT_A_ROBOT.test(text)) return 'captcha';
+    if (UNUSUAL_TRAFFIC.test(text)) return 'unusual-traffic';
+    if ((url && url.hostname.startsWith('consent.')) || (signals.consentForm && CONSENT_TEXT.test(text))) return 'consent';
+    return null;
+}
+
+/**
+ * Check whether the page is a block page.
+ * @param {import('puppeteer').Page} page
+ * @returns {Promise<string|null>} A BLOCK_REASONS key, or null
+ */
+async function detectBlock(page) {
+    return classifyBlock(await page.evaluate(readBlockSignals));
+}
+
+/**
+ * Delay before a retry: exponential backoff with jitter, so retries from
+ * parallel jobs do not hit Google in lockstep. The result lies between half
+ * and all of `baseDelay * 2^(attempt - 1)`, capped at maxDelay.
+ * @param {number} attempt - The attempt that just failed (1 for the first)
+ * @param {Object} [options]
+ * @param {number} [options.baseDelay=2000] - ms
+ * @param {number} [options.maxDelay=30000] - ms
+ * @param {function} [options.random=Math.random]
+ * @returns {number} ms
+ */
+function backoffDelay(attempt, { baseDelay = 2000, maxDelay = 30000, random = Math.random } = {}) {
+    const ceiling = Math.min(baseDelay * 2 ** (attempt - 1), maxDelay);
+    return Math.round(ceiling / 2 + random() * (ceiling / 2));
+}
+
+module.exports = { BLOCK_REASONS, readBlockSignals, classifyBlock, detectBlock, backoffDelay };
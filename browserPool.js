@@ -0,0 +1,122 @@
+/**
+ * Shared pool of headless browsers that scrape jobs borrow pages from,
+ * so concurrent jobs do not each launch their own Chromium.
+ */
+
+/**
+ * Create a browser pool.
+ * @param {Object} options
+ * @param {Function} options.launch - Async function returning a new Browser
+ * @param {number} [options.size=1] - Maximum number of browsers kept open
+ * @param {number} [options.idleTimeout=60000] - Close a browser after it has had no pages for this long (ms)
+ * @returns {Object} { acquirePage, releasePage, close }
+ */
+function createBrowserPool({ launch, size = 1, idleTimeout = 60000 }) {
+    // Each entry: { browser: Promise<Browser>, pages: number, idleTimer }
+    const entries = [];
+    const owners = new Map();
+    // Browser contexts opened for a page's own proxy, closed with the page
+    const contexts = new Map();
+
+    function removeEntry(entry) {
+        const index = entries.indexOf(entry);
+        if (index !== -1) entries.splice(index, 1);
+        if (entry.idleTimer) clearTimeout(entry.idleTimer);
+    }
+
+    function addEntry() {
+        const entry = { browser: null, pages: 0, idleTimer: null };
+        entry.browser = launch().then((browser) => {
+            browser.on('disconnected', () => removeEntry(entry));
+            return browser;
+        });
+        // A failed launch must not stay in the pool
+        entry.browser.catch(() => removeEntry(entry));
+        entries.push(entry);
+        return entry;
+    }
+
+    /**
+     * Borrow a fresh page from the least busy browser, launching a new one
+     * while the pool is below its size.
+     * @param {Object} [options]
+     * @param {string} [options.proxyServer] - Open the page in a separate browser
+     *   context that goes through this proxy instead of the browser's own
+     * @returns {Promise<import('puppeteer').Page>}
+     */
+    async function acquirePage({ proxyServer } = {}) {
+        let entry = entries.reduce((best, e) => (!best || e.pages < best.pages ? e : best), null);
+        if (!entry || (entry.pages > 0 && entries.length < size)) {
+            entry = addEntry();
+        }
+
+        entry.pages++;
+        if (entry.idleTimer) {
+            clearTimeout(entry.idleTimer);
+            entry.idleTimer = null;
+        }
+
+        try {
+            const browser = await entry.browser;
+            if (!proxyServer) {
+                const page = await browser.newPage();
+                owners.set(page, entry);
+                return page;
+            }
+
+            const context = await browser.createBrowserContext({ proxyServer });
+            try {
+                const page = await context.newPage();
+                owners.set(page, entry);
+                contexts.set(page, context);
+                return page;
+            } catch (err) {
+                await context.close().catch(() => { });
+                throw err;
+            }
+        } catch (err) {
+            entry.pages--;
+            throw err;
+        }
+    }
+
+    /**
+     * Return a page to the pool. The page itself is closed; its browser stays
+     * up until it has been idle for idleTimeout.
+     * @param {import('puppeteer').Page} page
+     */
+    async function releasePage(page) {
+        const entry = owners.get(page);
+        const context = contexts.get(page);
+        owners.delete(page);
+        contexts.delete(page);
+        await page.close().catch(() => { });
+        if (context) await context.close().catch(() => { });
+        if (!entry) return;
+
+        entry.pages--;
+        if (entry.pages === 0 && entries.includes(entry)) {
+            entry.idleTimer = setTimeout(async () => {
+                removeEntry(entry);
+                const browser = await entry.browser.catch(() => null);
+                if (browser) await browser.close().catch(() => { });
+            }, idleTimeout);
+        }
+    }
+
+    /**
+     * Close every browser in the pool.
+     */
+    async function close() {
+        const all = entries.splice(0, entries.length);
+        await Promise.all(all.map(async (entry) => {
+            if (entry.idleTimer) clearTimeout(entry.idleTimer);
+            const browser = await entry.browser.catch(() => null);
+            if (browser) await browser.close().catch(() => { });
+        }));
+    }
+
+    return { acquirePage, releasePage, close };
+}
+
+module.exports = { createBrowserPool };
@@ -0,0 +1,109 @@
+const assert = require('assert');
+const { classifyBlock, backoffDelay } = require('../blocking');
+const { createBlockFixtureServer } = require('../blockFixtures');
+
+/**
+ * Checks block detection against the block pages of blockFixtures.js, and
+ * the bounds of the retry backoff.
+ *
+ *   npm run check:blocking
+ */
+
+/**
+ * What readBlockSignals() would see on a page, read from its HTML (the
+ * check runs without a browser).
+ * @param {string} html
+ * @param {string} url - Final URL after redirects
+ * @returns {Object} { url, title, text, captcha, consentForm }
+ */
+function signalsFromHtml(html, url) {
+    const body = (html.match(/<body[^>]*>([\s\S]*)<\/body>/i) || [])[1] || '';
+    return {
+        url,
+        title: ((html.match(/<title[^>]*>([\s\S]*?)<\/title>/i) || [])[1] || '').trim(),
+        text: body.replace(/<[^>]+>/g, ' ').replace(/&#39;|&apos;/g, '\'').replace(/\s+/g, ' ').trim(),
+        captcha: /id="captcha-form"|<form[^>]*action="[^"]*sorry|class="[^"]*g-recaptcha|<iframe[^>]*(src="[^"]*recaptcha|title="[^"]*reCAPTCHA)/i.test(html),
+        consentForm: /<form[^>]*action="[^"]*consent/i.test(html),
+    };
+}
+
+/**
+ * Load a page from a fixture server and classify it.
+ * @param {string} base - Server address
+ * @param {string} path
+ * @returns {Promise<string|null>} classifyBlock() result
+ */
+async function classifyPage(base, path) {
+    const response = await fetch(base + path, { redirect: 'follow' });
+    return classifyBlock(signalsFromHtml(await response.text(), response.url));
+}
+
+/**
+ * Run a function against a fixture server in the given mode.
+ * @param {Object} options - createBlockFixtureServer() options
+ * @param {function(string): Promise<void>} fn - Receives the server address
+ */
+async function withFixtures(options, fn) {
+    const server = createBlockFixtureServer(options);
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    try {
+        await fn(`http://127.0.0.1:${server.address().port}`);
+    } finally {
+        server.close();
+    }
+}
+
+const PAGES = ['/search?q=bakeries+in+kerala', '/maps/search/bakeries+in+kerala', '/maps/place/Golden%20Crust%20Bakery/@9.90,76.20,17z'];
+
+async function main() {
+    // Every block page is recognised for what it is, on every kind of page
+    for (const mode of ['sorry', 'captcha', 'unusual-traffic', 'consent']) {
+        await withFixtures({ mode }, async (base) => {
+            for (const path of PAGES) {
+                assert.strictEqual(await classifyPage(base, path), mode, `${mode} on ${path}`);
+            }
+        });
+        console.log(`✓ ${mode} page detected`);
+    }
+
+    // Normal results are not blocks
+    await withFixtures({ mode: 'none' }, async (base) => {
+        for (const path of PAGES) {
+            assert.strictEqual(await classifyPage(base, path), null, `normal page ${path}`);
+        }
+    });
+    console.log('✓ normal results pass');
+
+    // Blocks that stop after a few loads, as retries see them
+    await withFixtures({ mode: 'captcha', blockFirst: 2 }, async (base) => {
+        const results = [];
+        for (let i = 0; i < 3; i++) results.push(await classifyPage(base, PAGES[0]));
+        assert.deepStrictEqual(results, ['captcha', 'captcha', null]);
+    });
+    console.log('✓ blockFirst lets later loads through');
+
+    // Plain signals without a server
+    assert.strictEqual(classifyBlock({ url: 'about:blank', title: '', text: '', captcha: false, consentForm: false }), null);
+    assert.strictEqual(classifyBlock({ url: 'https://consent.google.com/ml?continue=x', title: '', text: '', captcha: false, consentForm: false }), 'consent');
+    assert.strictEqual(classifyBlock({ url: 'https://www.google.com/search', title: 'Before you continue to Google', text: '', captcha: false, consentForm: false }), null, 'consent text alone is not a wall');
+    console.log('✓ edge cases');
+
+    // Backoff: between half and all of base * 2^(attempt - 1), capped at maxDelay
+    for (let attempt = 1; attempt <= 10; attempt++) {
+        const ceiling = Math.min(2000 * 2 ** (attempt - 1), 30000);
+        assert.strictEqual(backoffDelay(attempt, { random: () => 0 }), ceiling / 2, `attempt ${attempt} lower bound`);
+        assert.strictEqual(backoffDelay(attempt, { random: () => 1 }), ceiling, `attempt ${attempt} upper bound`);
+        for (let i = 0; i < 50; i++) {
+            const delay = backoffDelay(attempt);
+            assert.ok(delay >= ceiling / 2 && delay <= ceiling, `attempt ${attempt}: ${delay}ms outside ${ceiling / 2}-${ceiling}ms`);
+        }
+    }
+    assert.strictEqual(backoffDelay(3, { baseDelay: 100, maxDelay: 250, random: () => 1 }), 250);
+    assert.strictEqual(backoffDelay(1, { baseDelay: 100, random: () => 0.5 }), 75);
+    console.log('✓ backoff bounds');
+}
+
+main().catch((err) => {
+    console.error('✗', err.message);
+    process.exitCode = 1;
+});
@@ -0,0 +1,101 @@
+const assert = require('assert');
+const { findEmails, extractEmails } = require('../emailFinder');
+const { createEmailFixtureServer } = require('../emailFixtures');
+
+/**
+ * Checks the email finder against the local fixture site (emailFixtures.js).
+ *
+ *   npm run check:emails
+ */
+
+/**
+ * Start a fixture server on a free port.
+ * @param {Object} options - createEmailFixtureServer() options
+ * @returns {Promise<{server: http.Server, url: string}>}
+ */
+function startSite(options) {
+    const server = createEmailFixtureServer(options);
+    return new Promise((resolve) => {
+        server.listen(0, '127.0.0.1', () => resolve({ server, url: `http://127.0.0.1:${server.address().port}/` }));
+    });
+}
+
+/**
+ * Send fetches for a host name to a local port instead, like an /etc/hosts
+ * entry, so the fixture site can stand in for a real domain.
+ * @param {string} domain - e.g. goldencrust.in (www. included)
+ * @param {number} port
+ * @returns {function} Restores the real fetch
+ */
+function mapHost(domain, port) {
+    const realFetch = globalThis.fetch;
+    globalThis.fetch = (input, init) => {
+        const url = new URL(input);
+        if (url.hostname === domain || url.hostname === `www.${domain}`) {
+            url.protocol = 'http:';
+            url.hostname = '127.0.0.1';
+            url.port = port;
+        }
+        return realFetch(url, init);
+    };
+    return () => {
+        globalThis.fetch = realFetch;
+    };
+}
+
+async function main() {
+    // The site's own domain: its addresses rank first and the crawl stops at the first one
+    let { server, url } = await startSite({ linked: true });
+    const unmap = mapHost('goldencrust.in', server.address().port);
+    try {
+        const emails = await findEmails('https://www.goldencrust.in/');
+        assert.deepStrictEqual(emails, ['info@goldencrust.in', 'owner.goldencrust@gmail.com']);
+        assert.deepStrictEqual(server.requests, ['/', '/contact-us'], 'stops once an own-domain address turns up');
+        console.log('✓ own domain first, early stop:', emails.join(', '));
+    } finally {
+        unmap();
+        server.close();
+    }
+
+    // Linked contact and about pages, served from 127.0.0.1 so no address is on the site's domain
+    ({ server, url } = await startSite({ linked: true }));
+    try {
+        const emails = await findEmails(url);
+        // Free-mail first, then the role address from the mailto link, then the obfuscated one
+        assert.deepStrictEqual(emails, ['owner.goldencrust@gmail.com', 'info@goldencrust.in', 'orders@goldencrust.in']);
+        assert.ok(server.requests.includes('/contact-us') && server.requests.includes('/our-story'), 'follows the linked pages');
+        assert.ok(!server.requests.includes('/menu'), 'skips links that are not contact or about pages');
+        console.log('✓ linked pages:', emails.join(', '));
+
+        const limited = await findEmails(url, { maxPages: 1 });
+        assert.deepStrictEqual(limited, ['owner.goldencrust@gmail.com'], 'maxPages=1 only reads the homepage');
+        console.log('✓ maxPages');
+    } finally {
+        server.close();
+    }
+
+    // No links: the fallback paths
+    ({ server, url } = await startSite({ linked: false }));
+    try {
+        const emails = await findEmails(url);
+        assert.deepStrictEqual(emails, ['owner.goldencrust@gmail.com', 'info@goldencrust.in', 'orders@goldencrust.in']);
+        assert.ok(server.requests.includes('/contact') && server.requests.includes('/about'), 'tries /contact and /about');
+        console.log('✓ fallback paths:', emails.join(', '));
+    } finally {
+        server.close();
+    }
+
+    // Placeholders and look-alikes never come out
+    const found = extractEmails('<p>you@example.com, john.doe@gmail.com, logo@2x.png, 8f14e45fceea167a5a36dedd4bea2543@sentry.io</p><a href="mailto:sales&#64;bakery.in">x</a>');
+    assert.deepStrictEqual(found, [{ email: 'sales@bakery.in', source: 'mailto' }]);
+    console.log('✓ placeholders dropped');
+
+    assert.deepStrictEqual(await findEmails(''), []);
+    assert.deepStrictEqual(await findEmails('http://127.0.0.1:9/'), [], 'an unreachable site yields nothing');
+    console.log('✓ missing and unreachable sites');
+}
+
+main().catch((err) => {
+    console.error('✗', err.message);
+    process.exitCode = 1;
+});
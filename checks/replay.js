@@ -0,0 +1,85 @@
+const assert = require('assert');
+const path = require('path');
+
+/**
+ * Replays the search and place profile snapshots in fixtures/snapshots and
+ * checks what the extractors read from them, so selector changes can be
+ * checked without Google. Needs Chromium (npm run build), but no network;
+ * fails when the browser cannot start, so it is not part of npm test.
+ *
+ *   npm run check:replay
+ *
+ * The snapshots are synthetic: written by hand in the recorder's format to
+ * match the current selectors. To check against real markup, record the
+ * same search (leads: 1) with SCRAPER_SNAPSHOT_MODE=record, replace the
+ * files and update the expected values.
+ */
+
+// The snapshots are keyed by the real Google URLs
+delete process.env.SCRAPER_GOOGLE_URL;
+
+const { scrapeGoogleMaps } = require('../scraper');
+const { createProxyRotator } = require('../proxies');
+const { validateAndClean } = require('../validator');
+
+const SNAPSHOT_DIR = path.join(__dirname, '..', 'fixtures', 'snapshots');
+const PLACE_URL = 'https://www.google.com/maps/place/Golden+Crust+Bakery/data=!4m7!3m6!1s0x3b080d514abec6bf:0xbd582caa58441920!8m2!3d9.9674!4d76.2454!16s%2Fg%2F11b6d4x2qk?hl=en';
+
+async function main() {
+    let leads;
+    try {
+        leads = await scrapeGoogleMaps('Bakeries', 'Kerala', 'India', 1, () => { }, {
+            snapshotMode: 'replay',
+            snapshotDir: SNAPSHOT_DIR,
+            proxies: createProxyRotator([]),
+        });
+    } catch (err) {
+        if (err.code === 'LAUNCH_FAILED') {
+            err.message = `Chromium could not be started (run npm run build): ${err.cause ? err.cause.message.split('\n')[0] : err.message}`;
+        }
+        throw err;
+    }
+
+    assert.strictEqual(leads.length, 1);
+    const [lead] = leads;
+
+    // From the search list
+    assert.strictEqual(lead.category, 'Bakeries');
+    assert.strictEqual(lead.name, 'Golden Crust Bakery');
+    assert.strictEqual(lead.url, PLACE_URL);
+    console.log('✓ search list card');
+
+    // From the place profile
+    assert.strictEqual(lead.rating, '4.6');
+    assert.strictEqual(lead.reviews, '1284');
+    assert.strictEqual(lead.address, 'Market Road, Broadway, Ernakulam, Kochi, Kerala 682031');
+    assert.strictEqual(lead.phone.trim(), '0484 239 6677');
+    assert.strictEqual(lead.website, 'https://www.goldencrust.in/');
+    assert.strictEqual(lead.businessType, 'Bakery');
+    assert.strictEqual(lead.priceLevel, 'Inexpensive');
+    assert.strictEqual(lead.plusCode, 'XQ89+XR Kochi, Kerala');
+    assert.strictEqual(lead.claimed, true);
+    assert.deepStrictEqual(lead.openingHours, [
+        { day: 'Monday', hours: '7 am to 10 pm' },
+        { day: 'Saturday', hours: '7 am to 11 pm' },
+        { day: 'Sunday', hours: '8 am to 9 pm' },
+    ]);
+    assert.deepStrictEqual(lead.socialLinks, {
+        instagram: 'https://www.instagram.com/goldencrustkochi/',
+        facebook: 'https://www.facebook.com/goldencrustbakery',
+    });
+    console.log('✓ place profile');
+
+    // What the URL and phone turn into once cleaned
+    const [cleaned] = validateAndClean(leads, { country: 'India' });
+    assert.strictEqual(cleaned.placeId, 'cid:13643704181255837984');
+    assert.strictEqual(cleaned.latitude, 9.9674);
+    assert.strictEqual(cleaned.longitude, 76.2454);
+    assert.strictEqual(cleaned.phoneE164, '+914842396677');
+    console.log('✓ cleaned lead');
+}
+
+main().catch((err) => {
+    console.error('✗', err.message);
+    process.exitCode = 1;
+});
@@ -0,0 +1,382 @@
+#!/usr/bin/env node
+const path = require('path');
+const fs = require('fs');
+const { parseArgs } = require('util');
+const XLSX = require('xlsx');
+const { scrapeGoogleMaps, launchBrowser, ScrapeCancelledError, ScrapeBlockedError, MAX_TILED_LEADS } = require('./scraper');
+const { validateAndClean } = require('./validator');
+const { EXPORT_FORMATS, writeLeads, toJson } = require('./exporters');
+const { createBrowserPool } = require('./browserPool');
+const { createProxyRotator } = require('./proxies');
+const { describeError } = require('./errors');
+const { createTemplateRepository } = require('./templates');
+const { buildTiles } = require('./tiles');
+
+/**
+ * Command-line scraper: runs searches straight through the scraper, validator
+ * and exporters, without the web server.
+ *
+ *   npx leadscraper scrape --category "Bakeries" --state Kerala --country India --leads 50 --out leads.xlsx
+ *   npx leadscraper scrape --input queries.csv --out leads.csv
+ *   npx leadscraper scrape --category Dentists --state Goa --country India --json | jq '.[].name'
+ */
+
+// Process exit codes
+const EXIT = {
+    OK: 0,
+    FAILED: 1,
+    USAGE: 2,
+    NO_RESULTS: 3, // Blocked by Google or nothing found
+    PARTIAL: 4, // Leads were written, but some searches were blocked or failed
+    CANCELLED: 130, // Ctrl+C; leads found so far are still written
+};
+
+const USAGE = `Usage: leadscraper scrape [options]
+
+Search:
+  --category <name>          Business category, e.g. "Bakeries"
+  --state <name>             State or region, e.g. Kerala
+  --country <name>           Country, e.g. India
+  --input <file>             Many searches from a .json, .csv or .xlsx file with
+                             category, state, country and optional leads columns
+                             (missing state/country/leads fall back to the flags)
+  --leads <n>                Leads per search (default 20, max 100)
+  --large-area               Tile each region by city or grid (max ${MAX_TILED_LEADS} leads)
+
+Output:
+  --out <file>               Output file; the extension picks the format
+                             (${Object.keys(EXPORT_FORMATS).join(', ')})
+  --json                     Print the leads as JSON on stdout (progress goes to stderr)
+  --all-columns              Add the optional profile columns to Excel output
+  --quiet                    No progress output
+
+Processing:
+  --template <id>            Ice-breaker template (default: default)
+  --audit                    Audit lead websites
+  --dedupe-threshold <0.5-1> Fuzzy duplicate similarity threshold
+
+Proxies and retries come from the environment: SCRAPER_PROXIES,
+SCRAPER_PROXY_FILE, SCRAPER_PROXY_ROTATION, SCRAPER_MAX_ATTEMPTS (see README).
+
+Exit codes: 0 ok, 1 failed, 2 bad usage, 3 no leads (blocked or none found),
+4 some searches blocked or failed (the other leads are written), 130 interrupted`;
+
+/**
+ * Thrown for invalid command-line input; exits with EXIT.USAGE.
+ */
+class UsageError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'UsageError';
+    }
+}
+
+/**
+ * Parse the command line.
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {{ command: string, options: Object }}
+ * @throws {UsageError}
+ */
+function parseCommandLine(argv) {
+    let parsed;
+    try {
+        parsed = parseArgs({
+            args: argv,
+            allowPositionals: true,
+            options: {
+                category: { type: 'string' },
+                state: { type: 'string' },
+                country: { type: 'string' },
+                input: { type: 'string' },
+                leads: { type: 'string' },
+                'large-area': { type: 'boolean', default: false },
+                out: { type: 'string' },
+                json: { type: 'boolean', default: false },
+                'all-columns': { type: 'boolean', default: false },
+                quiet: { type: 'boolean', default: false },
+                template: { type: 'string', default: 'default' },
+                audit: { type: 'boolean', default: false },
+                'dedupe-threshold': { type: 'string' },
+                help: { type: 'boolean', short: 'h', default: false },
+            },
+        });
+    } catch (err) {
+        throw new UsageError(err.message);
+    }
+    return { command: parsed.positionals[0] || '', options: parsed.values };
+}
+
+/**
+ * Read searches from a .json, .csv or .xlsx file.
+ * @param {string} file
+ * @returns {Array<Object>} Rows with category, state, country and leads (any may be missing)
+ * @throws {UsageError}
+ */
+function readQueryFile(file) {
+    if (!fs.existsSync(file)) {
+        throw new UsageError(`Input file not found: ${file}`);
+    }
+
+    const extension = path.extname(file).toLowerCase();
+    let rows;
+    if (extension === '.json') {
+        try {
+            const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+            rows = Array.isArray(data) ? data : data.queries;
+        } catch (err) {
+            throw new UsageError(`Could not read ${file}: ${err.message}`);
+        }
+        if (!Array.isArray(rows)) {
+            throw new UsageError(`${file} must hold an array of searches (or { "queries": [...] })`);
+        }
+    } else if (extension === '.csv' || extension === '.xlsx') {
+        const workbook = XLSX.readFile(file);
+        rows = XLSX.utils.sheet_to_json(workbook.Sheets[workbook.SheetNames[0]], { defval: '' });
+    } else {
+        throw new UsageError(`Unsupported input file "${extension}". Use .json, .csv or .xlsx`);
+    }
+
+    // Header names are matched case-insensitively
+    return rows.map((row) => {
+        const fields = {};
+        Object.entries(row || {}).forEach(([key, value]) => {
+            fields[String(key).trim().toLowerCase()] = typeof value === 'string' ? value.trim() : value;
+        });
+        return fields;
+    });
+}
+
+/**
+ * Build the searches to run from the flags and/or an input file.
+ * @param {Object} options - Parsed flags
+ * @returns {Array} [{ category, state, country, leads }]
+ * @throws {UsageError}
+ */
+function buildQueries(options) {
+    const maxLeads = options['large-area'] ? MAX_TILED_LEADS : 100;
+    const clampLeads = (value) => Math.min(Math.max(parseInt(value, 10) || 20, 1), maxLeads);
+
+    const rows = options.input ? readQueryFile(options.input) : [{}];
+    const queries = rows.map((row, i) => {
+        const query = {
+            category: String(row.category || options.category || '').trim(),
+            state: String(row.state || options.state || '').trim(),
+            country: String(row.country || options.country || '').trim(),
+            leads: clampLeads(row.leads || options.leads),
+        };
+        const missing = ['category', 'state', 'country'].filter((field) => !query[field]);
+        if (missing.length > 0) {
+            const where = options.input ? ` in row ${i + 1} of ${options.input}` : '';
+            throw new UsageError(`Missing ${missing.map((field) => `--${field}`).join(', ')}${where}`);
+        }
+        return query;
+    });
+
+    if (queries.length === 0) {
+        throw new UsageError(`No searches in ${options.input}`);
+    }
+    return queries;
+}
+
+/**
+ * Run the scrape command.
+ * @param {Object} options - Parsed flags
+ * @returns {Promise<number>} Exit code
+ */
+async function runScrape(options) {
+    const log = options.quiet ? () => { } : (message) => process.stderr.write(`${message}\n`);
+
+    // The scraper logs through console.log; stdout is reserved for --json output
+    if (options.quiet) {
+        console.log = () => { };
+    } else if (options.json) {
+        console.log = console.error;
+    }
+
+    const queries = buildQueries(options);
+
+    let outputPath = options.out;
+    if (!outputPath && !options.json) {
+        const first = queries[0];
+        outputPath = queries.length > 1
+            ? `leads_batch_${queries.length}_searches.xlsx`
+            : `leads_${first.category.replace(/\s+/g, '_')}_${first.state.replace(/\s+/g, '_')}.xlsx`;
+    }
+    if (outputPath) {
+        const format = path.extname(outputPath).slice(1).toLowerCase();
+        if (!EXPORT_FORMATS[format]) {
+            throw new UsageError(`Unsupported output format ".${format}". Use one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+        }
+    }
+
+    const template = createTemplateRepository().get(options.template);
+    if (!template) {
+        throw new UsageError(`Unknown template: ${options.template}`);
+    }
+
+    const threshold = parseFloat(options['dedupe-threshold']);
+    if (options['dedupe-threshold'] !== undefined && (Number.isNaN(threshold) || threshold < 0.5 || threshold > 1)) {
+        throw new UsageError('--dedupe-threshold must be between 0.5 and 1');
+    }
+
+    let tiles;
+    if (options['large-area']) {
+        try {
+            tiles = queries.map((q) => buildTiles(q.state, q.country, { mode: 'auto' }));
+        } catch (err) {
+            throw new UsageError(err.message);
+        }
+    }
+
+    // Ctrl+C stops the scrape but keeps what was found so far
+    const controller = new AbortController();
+    process.once('SIGINT', () => {
+        log('\nStopping... (leads found so far will still be saved)');
+        controller.abort();
+    });
+
+    let proxies;
+    try {
+        proxies = createProxyRotator();
+    } catch (err) {
+        throw new UsageError(err.message);
+    }
+    const browserPool = createBrowserPool({ launch: () => launchBrowser({ proxy: proxies.forBrowser() }), size: 1 });
+    const rawResults = [];
+    const seen = new Set();
+    let cancelled = false;
+    let blocked = 0;
+    let failed = 0;
+
+    try {
+        for (let i = 0; i < queries.length && !cancelled; i++) {
+            const query = queries[i];
+            const prefix = queries.length > 1 ? `[${i + 1}/${queries.length}] ` : '';
+            const addLeads = (leads) => leads.forEach((lead) => {
+                const key = lead.url || `${lead.name}|${lead.address}`;
+                if (seen.has(key)) return;
+                seen.add(key);
+                rawResults.push({ ...lead, country: query.country });
+            });
+
+            log(`${prefix}${query.category} in ${query.state}, ${query.country} (up to ${query.leads} leads)`);
+            let lastMessage = '';
+            const stats = {};
+            try {
+                const leads = await scrapeGoogleMaps(
+                    query.category,
+                    query.state,
+                    query.country,
+                    query.leads,
+                    (progress) => {
+                        if (progress.message && progress.message !== lastMessage) {
+                            lastMessage = progress.message;
+                            log(`${prefix}${progress.message}`);
+                        }
+                    },
+                    {
+                        signal: controller.signal,
+                        browserPool,
+                        proxies,
+                        stats,
+                        auditWebsites: options.audit,
+                        tiles: tiles ? tiles[i] : undefined,
+                    }
+                );
+                addLeads(leads);
+            } catch (err) {
+                if (err instanceof ScrapeCancelledError) {
+                    addLeads(err.partialResults);
+                    cancelled = true;
+                } else {
+                    const { code, message, hint } = describeError(err);
+                    if (err instanceof ScrapeBlockedError) {
+                        blocked++;
+                        log(`${prefix}${message}`);
+                    } else {
+                        failed++;
+                        log(`${prefix}Failed (${code}): ${message}`);
+                    }
+                    log(`${prefix}${hint}`);
+                }
+            }
+            if (stats.blocks > 0 || stats.proxies.length > 0) {
+                const via = stats.proxies.length > 0 ? ` via ${stats.proxies.join(', ')}` : '';
+                log(`${prefix}${stats.attempts} page loads, ${stats.blocks} blocked${via}`);
+            }
+        }
+    } finally {
+        await browserPool.close();
+    }
+
+    if (rawResults.length === 0) {
+        if (cancelled) {
+            log('Cancelled before any leads were found.');
+            return EXIT.CANCELLED;
+        }
+        if (failed > 0 && blocked === 0) {
+            log('No leads: every search failed.');
+            return EXIT.FAILED;
+        }
+        log('No leads found. Google may be blocking this machine; try again later or with a simpler search.');
+        return EXIT.NO_RESULTS;
+    }
+
+    log('Validating and cleaning data...');
+    const stats = {};
+    const results = validateAndClean(rawResults, {
+        country: queries[0].country,
+        dedupeThreshold: Number.isNaN(threshold) ? undefined : threshold,
+        template,
+        stats,
+    });
+
+    if (outputPath) {
+        await writeLeads(results, outputPath, { optionalColumns: options['all-columns'] });
+        log(`Saved ${results.length} leads to ${outputPath}${stats.merged ? ` (${stats.merged} duplicates merged)` : ''}`);
+    }
+    if (options.json) {
+        process.stdout.write(`${toJson(results)}\n`);
+    }
+
+    if (cancelled) return EXIT.CANCELLED;
+    if (results.length === 0) return EXIT.NO_RESULTS;
+    if (blocked > 0 || failed > 0) {
+        log(`Incomplete: ${blocked} search(es) blocked, ${failed} failed.`);
+        return EXIT.PARTIAL;
+    }
+    return EXIT.OK;
+}
+
+/**
+ * Entry point.
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Promise<number>} Exit code
+ */
+async function main(argv) {
+    try {
+        const { command, options } = parseCommandLine(argv);
+        if (options.help || !command) {
+            (options.help ? process.stdout : process.stderr).write(`${USAGE}\n`);
+            return options.help ? EXIT.OK : EXIT.USAGE;
+        }
+        if (command !== 'scrape') {
+            throw new UsageError(`Unknown command "${command}"`);
+        }
+        return await runScrape(options);
+    } catch (err) {
+        if (err instanceof UsageError) {
+            process.stderr.write(`${err.message}\n\n${USAGE}\n`);
+            return EXIT.USAGE;
+        }
+        process.stderr.write(`Error: ${err.message}\n`);
+        return EXIT.FAILED;
+    }
+}
+
+if (require.main === module) {
+    // Exit explicitly: stores and browser timers should not keep the process alive
+    main(process.argv.slice(2)).then((code) => process.exit(code));
+}
+
+module.exports = { main, buildQueries, readQueryFile, EXIT };
@@ -0,0 +1,115 @@
+const { IMPORT_STATUSES } = require('./leadImport');
+
+/**
+ * Column definition shared by every export format (Excel, CSV, JSON, NDJSON),
+ * so they all carry the same fields in the same order.
+ *
+ * Each column has:
+ * - header: Human readable title (Excel/CSV header row)
+ * - key:    Field name (Excel column key, JSON property)
+ * - width:  Excel column width
+ * - value:  Function returning the cell value for a business (null when empty)
+ * - optional: Left out of Excel workbooks unless asked for (see selectColumns);
+ *   text formats always carry every column
+ */
+
+/**
+ * Parse a numeric field that may come through as a string ("4.5", "1,234").
+ * @param {string|number} value
+ * @returns {number|null}
+ */
+function toNumber(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const num = parseFloat(String(value).replace(/,/g, ''));
+    return Number.isNaN(num) ? null : num;
+}
+
+/**
+ * Yes/No for a flag, empty when it was never checked.
+ * @param {boolean} [value]
+ * @returns {string}
+ */
+function yesNo(value) {
+    if (value === undefined || value === null) return '';
+    return value ? 'Yes' : 'No';
+}
+
+const LEAD_COLUMNS = [
+    { header: 'Category', key: 'category', width: 20, value: (biz) => biz.category || '' },
+    { header: 'Business Name', key: 'name', width: 35, value: (biz) => biz.name || '' },
+    { header: 'Score', key: 'score', width: 10, value: (biz) => toNumber(biz.score) },
+    { header: 'Tier', key: 'tier', width: 10, value: (biz) => biz.tier || '' },
+    { header: 'Why', key: 'scoreReason', width: 40, value: (biz) => biz.scoreReason || '' },
+    { header: 'Change', key: 'change', width: 12, optional: true, value: (biz) => biz.change || '' },
+    { header: 'What Changed', key: 'changedFields', width: 40, optional: true, value: (biz) => biz.changedFields || '' },
+    { header: 'Import Status', key: 'importStatus', width: 14, optional: true, value: (biz) => IMPORT_STATUSES[biz.importStatus] || '' },
+    { header: 'Source Row', key: 'importRow', width: 11, optional: true, value: (biz) => toNumber(biz.importRow) },
+    { header: 'Full Address', key: 'address', width: 50, value: (biz) => biz.address || '' },
+    { header: 'Phone Number', key: 'phone', width: 20, value: (biz) => biz.phone || '' },
+    { header: 'Phone (E.164)', key: 'phoneE164', width: 18, value: (biz) => biz.phoneE164 || '' },
+    { header: 'Phone (National)', key: 'phoneNational', width: 18, value: (biz) => biz.phoneNational || '' },
+    { header: 'Phone Type', key: 'phoneType', width: 16, value: (biz) => biz.phoneType || '' },
+    { header: 'Phone Check', key: 'phoneStatus', width: 14, value: (biz) => biz.phoneStatus || '' },
+    { header: 'Email ID', key: 'email', width: 30, value: (biz) => biz.email || '' },
+    { header: 'Website Present', key: 'websitePresent', width: 15, value: (biz) => (biz.website ? 'Yes' : 'No') },
+    { header: 'Website URL', key: 'website', width: 40, value: (biz) => biz.website || '' },
+    { header: 'Site HTTPS', key: 'siteHttps', width: 12, value: (biz) => yesNo(biz.siteHttps) },
+    { header: 'Site Redirects', key: 'siteRedirects', width: 14, value: (biz) => toNumber(biz.siteRedirects) },
+    { header: 'Site Response (ms)', key: 'siteResponseMs', width: 18, value: (biz) => toNumber(biz.siteResponseMs) },
+    { header: 'Site HTML Size (KB)', key: 'siteHtmlKb', width: 18, value: (biz) => toNumber(biz.siteHtmlKb) },
+    { header: 'Mobile Viewport', key: 'siteMobileReady', width: 16, value: (biz) => yesNo(biz.siteMobileReady) },
+    { header: 'Site Title', key: 'siteTitle', width: 30, value: (biz) => biz.siteTitle || '' },
+    { header: 'Meta Description', key: 'siteMetaDescription', width: 40, value: (biz) => biz.siteMetaDescription || '' },
+    { header: 'Structured Data', key: 'siteStructuredData', width: 16, value: (biz) => yesNo(biz.siteStructuredData) },
+    { header: 'Broken Links', key: 'siteBrokenLinks', width: 13, value: (biz) => toNumber(biz.siteBrokenLinks) },
+    { header: 'Link Timeouts', key: 'siteLinkTimeouts', width: 13, value: (biz) => toNumber(biz.siteLinkTimeouts) },
+    { header: 'Site Issues', key: 'siteIssues', width: 50, value: (biz) => (biz.siteIssues || []).join('; ') || biz.siteError || '' },
+    { header: 'Rating', key: 'rating', width: 10, value: (biz) => toNumber(biz.rating) },
+    { header: 'Reviews', key: 'reviews', width: 10, value: (biz) => toNumber(biz.reviews) },
+    { header: 'Latitude', key: 'latitude', width: 12, value: (biz) => toNumber(biz.latitude) },
+    { header: 'Longitude', key: 'longitude', width: 12, value: (biz) => toNumber(biz.longitude) },
+    { header: 'Place ID', key: 'placeId', width: 28, value: (biz) => biz.placeId || '' },
+    { header: 'Business Type', key: 'businessType', width: 22, optional: true, value: (biz) => biz.businessType || '' },
+    { header: 'Opening Hours', key: 'openingHours', width: 50, optional: true, value: (biz) => (biz.openingHours || []).map((h) => `${h.day}: ${h.hours}`).join('; ') },
+    { header: 'Price Level', key: 'priceLevel', width: 14, optional: true, value: (biz) => biz.priceLevel || '' },
+    { header: 'Plus Code', key: 'plusCode', width: 24, optional: true, value: (biz) => biz.plusCode || '' },
+    { header: 'Listing Claimed', key: 'claimed', width: 15, optional: true, value: (biz) => yesNo(biz.claimed) },
+    { header: 'Facebook', key: 'facebook', width: 35, optional: true, value: (biz) => (biz.socialLinks || {}).facebook || '' },
+    { header: 'Instagram', key: 'instagram', width: 35, optional: true, value: (biz) => (biz.socialLinks || {}).instagram || '' },
+    { header: 'X / Twitter', key: 'twitter', width: 35, optional: true, value: (biz) => (biz.socialLinks || {}).twitter || '' },
+    { header: 'LinkedIn', key: 'linkedin', width: 35, optional: true, value: (biz) => (biz.socialLinks || {}).linkedin || '' },
+    { header: 'YouTube', key: 'youtube', width: 35, optional: true, value: (biz) => (biz.socialLinks || {}).youtube || '' },
+    { header: 'TikTok', key: 'tiktok', width: 35, optional: true, value: (biz) => (biz.socialLinks || {}).tiktok || '' },
+    { header: 'Google Maps Link', key: 'url', width: 40, value: (biz) => biz.url || '' },
+    { header: 'Ice Breaker', key: 'iceBreaker', width: 80, value: (biz) => biz.iceBreaker || '' },
+];
+
+// Keys of the columns that are only included on request
+const OPTIONAL_COLUMN_KEYS = LEAD_COLUMNS.filter((col) => col.optional).map((col) => col.key);
+
+/**
+ * Columns to export: every standard column plus the requested optional ones.
+ * @param {boolean|Array<string>} [optional] - true for all optional columns,
+ *   or a list of their keys
+ * @returns {Array} Column definitions, in LEAD_COLUMNS order
+ */
+function selectColumns(optional) {
+    return LEAD_COLUMNS.filter((col) => !col.optional || optional === true ||
+        (Array.isArray(optional) && optional.includes(col.key)));
+}
+
+/**
+ * Map a business to a plain object keyed by column key.
+ * @param {Object} biz
+ * @param {Array} [columns=LEAD_COLUMNS] - Columns to include
+ * @returns {Object}
+ */
+function toRecord(biz, columns = LEAD_COLUMNS) {
+    const record = {};
+    columns.forEach((col) => {
+        record[col.key] = col.value(biz);
+    });
+    return record;
+}
+
+module.exports = { LEAD_COLUMNS, OPTIONAL_COLUMN_KEYS, selectColumns, toRecord, toNumber };
@@ -0,0 +1,215 @@
+/**
+ * Minimal cron expressions for scheduled jobs.
+ *
+ * Standard five fields, "minute hour day-of-month month day-of-week", each a
+ * `*`, number, range (`1-5`), list (`1,15`) or step (`*\/15`, `9-17/2`).
+ * Months and weekdays also take names (JAN, MON) and Sunday is 0 or 7. As in
+ * classic cron, when both day fields are restricted a day matching either
+ * one counts. Shortcuts: @hourly, @daily, @weekly, @monthly, @yearly.
+ * Times are wall-clock times in the schedule's IANA time zone.
+ */
+
+const FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12, names: ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'] },
+    { name: 'day of week', min: 0, max: 7, names: ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'] },
+];
+
+const SHORTCUTS = {
+    '@hourly': '0 * * * *',
+    '@daily': '0 0 * * *',
+    '@midnight': '0 0 * * *',
+    '@weekly': '0 0 * * 0',
+    '@monthly': '0 0 1 * *',
+    '@yearly': '0 0 1 1 *',
+    '@annually': '0 0 1 1 *',
+};
+
+// Give up looking for a next run after this many years (e.g. "0 0 31 2 *")
+const SEARCH_YEARS = 5;
+
+/**
+ * Thrown for an invalid cron expression or time zone.
+ */
+class CronError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'CronError';
+    }
+}
+
+/**
+ * Parse one field into the set of values it allows.
+ * @param {string} text
+ * @param {Object} field - Entry of FIELDS
+ * @returns {Set<number>}
+ * @throws {CronError}
+ */
+function parseField(text, field) {
+    const toNumber = (value) => {
+        const index = field.names ? field.names.indexOf(value.toUpperCase()) : -1;
+        const number = index !== -1 ? index + field.min : Number(value);
+        if (!/^\w+$/.test(value) || !Number.isInteger(number) || number < field.min || number > field.max) {
+            throw new CronError(`Invalid ${field.name} "${value}" (allowed ${field.min}-${field.max})`);
+        }
+        return number;
+    };
+
+    const values = new Set();
+    text.split(',').forEach((part) => {
+        const [range, stepText] = part.split('/');
+        const step = stepText === undefined ? 1 : Number(stepText);
+        if (!Number.isInteger(step) || step < 1) {
+            throw new CronError(`Invalid step "${stepText}" in ${field.name}`);
+        }
+
+        let from;
+        let to;
+        if (range === '*') {
+            from = field.min;
+            to = field.max;
+        } else if (range.includes('-')) {
+            [from, to] = range.split('-').map(toNumber);
+            if (from > to) throw new CronError(`Invalid ${field.name} range "${range}"`);
+        } else {
+            from = toNumber(range);
+            to = stepText === undefined ? from : field.max;
+        }
+        for (let value = from; value <= to; value += step) values.add(value);
+    });
+    return values;
+}
+
+/**
+ * Parse a cron expression.
+ * @param {string} expression
+ * @returns {Object} { minutes, hours, daysOfMonth, months, daysOfWeek, anyDayOfMonth, anyDayOfWeek }
+ * @throws {CronError}
+ */
+function parseCron(expression) {
+    const text = String(expression || '').trim();
+    const parts = (SHORTCUTS[text.toLowerCase()] || text).split(/\s+/);
+    if (parts.length !== 5) {
+        throw new CronError(`Cron expression "${text}" needs 5 fields: minute hour day-of-month month day-of-week`);
+    }
+
+    const [minutes, hours, daysOfMonth, months, daysOfWeek] = parts.map((part, i) => parseField(part, FIELDS[i]));
+    // Sunday is both 0 and 7
+    if (daysOfWeek.has(7)) daysOfWeek.add(0);
+
+    return {
+        minutes,
+        hours,
+        daysOfMonth,
+        months,
+        daysOfWeek,
+        anyDayOfMonth: parts[2] === '*',
+        anyDayOfWeek: parts[4] === '*',
+    };
+}
+
+/**
+ * Check an IANA time zone name.
+ * @param {string} timeZone
+ * @throws {CronError}
+ */
+function assertTimeZone(timeZone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+    } catch (e) {
+        throw new CronError(`Unknown time zone "${timeZone}"`);
+    }
+}
+
+const formatters = new Map();
+
+/**
+ * Wall-clock parts of a moment in a time zone.
+ * @param {Date} date
+ * @param {string} timeZone
+ * @returns {Object} { year, month, day, weekday, hour, minute }
+ */
+function zonedParts(date, timeZone) {
+    if (!formatters.has(timeZone)) {
+        formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            weekday: 'short',
+            hour: 'numeric',
+            minute: 'numeric',
+        }));
+    }
+    const parts = {};
+    formatters.get(timeZone).formatToParts(date).forEach(({ type, value }) => {
+        parts[type] = value;
+    });
+    return {
+        year: Number(parts.year),
+        month: Number(parts.month),
+        day: Number(parts.day),
+        weekday: FIELDS[4].names.indexOf(parts.weekday.toUpperCase()),
+        hour: Number(parts.hour),
+        minute: Number(parts.minute),
+    };
+}
+
+/**
+ * Whether a day matches the day-of-month / day-of-week fields.
+ * @param {Object} cron - parseCron() result
+ * @param {Object} parts - zonedParts() result
+ * @returns {boolean}
+ */
+function dayMatches(cron, parts) {
+    const dom = cron.daysOfMonth.has(parts.day);
+    const dow = cron.daysOfWeek.has(parts.weekday);
+    if (cron.anyDayOfMonth) return dow;
+    if (cron.anyDayOfWeek) return dom;
+    return dom || dow;
+}
+
+/**
+ * Next times a cron expression fires, strictly after `from`.
+ * @param {string} expression
+ * @param {Object} [options]
+ * @param {Date} [options.from=new Date()]
+ * @param {number} [options.count=1]
+ * @param {string} [options.timeZone='UTC']
+ * @returns {Array<Date>}
+ * @throws {CronError}
+ */
+function nextRuns(expression, { from = new Date(), count = 1, timeZone = 'UTC' } = {}) {
+    const cron = parseCron(expression);
+    assertTimeZone(timeZone);
+
+    const runs = [];
+    const limit = from.getTime() + SEARCH_YEARS * 366 * 86400000;
+    // Start at the next whole minute
+    let time = Math.floor(from.getTime() / 60000) * 60000 + 60000;
+
+    while (runs.length < count && time < limit) {
+        const parts = zonedParts(new Date(time), timeZone);
+        // Skip a month or day that cannot match to about 23:00 on its last
+        // day, then hour by hour, so a DST change (at most an hour either way)
+        // never makes the jump overshoot the next day's first hour
+        if (!cron.months.has(parts.month) || !dayMatches(cron, parts)) {
+            const daysInMonth = new Date(Date.UTC(parts.year, parts.month, 0)).getUTCDate();
+            const days = cron.months.has(parts.month) ? 0 : daysInMonth - parts.day;
+            time += Math.max(((days * 24 + 23 - parts.hour) * 60 - parts.minute) * 60000, (60 - parts.minute) * 60000);
+        } else if (!cron.hours.has(parts.hour)) {
+            time += (60 - parts.minute) * 60000;
+        } else if (!cron.minutes.has(parts.minute)) {
+            time += 60000;
+        } else {
+            runs.push(new Date(time));
+            time += 60000;
+        }
+    }
+    return runs;
+}
+
+module.exports = { CronError, parseCron, nextRuns, assertTimeZone };
@@ -0,0 +1,296 @@
+/**
+ * Duplicate detection for cleaned business records.
+ *
+ * Two records are treated as the same business when:
+ * 1. they share a Google place identifier (parsed from the /maps/place/ URL),
+ * 2. they share a phone number, unless their addresses clearly differ
+ *    (chains often list one hotline for every branch),
+ * 3. they share a website domain and have similar names, unless their
+ *    addresses clearly differ, or
+ * 4. their names and addresses are both similar.
+ * Records with different place identifiers are never merged.
+ *
+ * Only records that share a key are compared: a place ID, phone or domain,
+ * or a name token. Keys shared by more than MAX_BUCKET_SIZE records (a chain's
+ * hotline, words like "restaurant") say little about identity and are
+ * skipped, so the work stays roughly linear even for tiled searches with
+ * thousands of leads. A record whose every name token is that common is
+ * compared by its whole name instead.
+ *
+ * Duplicates are merged field by field instead of being dropped.
+ */
+
+const { parsePlaceId } = require('./mapsUrl');
+
+// Domains shared by many unrelated businesses, useless as an identity key
+const SHARED_DOMAINS = /(^|\.)(facebook\.com|fb\.com|instagram\.com|twitter\.com|x\.com|linkedin\.com|youtube\.com|tiktok\.com|linktr\.ee|wa\.me|whatsapp\.com|google\.com|business\.site|sites\.google\.com|wixsite\.com|wordpress\.com|blogspot\.com|yelp\.com|tripadvisor\.[a-z.]+|justdial\.com|zomato\.com|swiggy\.com|booking\.com)$/i;
+
+// Largest group of records compared pairwise for one shared key
+const MAX_BUCKET_SIZE = 50;
+
+// Address and name abbreviations expanded before comparing
+const ABBREVIATIONS = {
+    st: 'street',
+    str: 'street',
+    rd: 'road',
+    ave: 'avenue',
+    av: 'avenue',
+    blvd: 'boulevard',
+    dr: 'drive',
+    ln: 'lane',
+    ct: 'court',
+    pl: 'place',
+    sq: 'square',
+    hwy: 'highway',
+    pkwy: 'parkway',
+    cir: 'circle',
+    ste: 'suite',
+    apt: 'apartment',
+    bldg: 'building',
+    fl: 'floor',
+    n: 'north',
+    s: 'south',
+    e: 'east',
+    w: 'west',
+    ne: 'northeast',
+    nw: 'northwest',
+    se: 'southeast',
+    sw: 'southwest',
+    nr: 'near',
+    opp: 'opposite',
+    '&': 'and',
+    co: 'company',
+    corp: 'corporation',
+    inc: 'incorporated',
+    ltd: 'limited',
+    pvt: 'private',
+    intl: 'international',
+};
+
+/**
+ * Lowercase, strip punctuation and expand common abbreviations.
+ * @param {string} str
+ * @returns {string}
+ */
+function normalizeText(str) {
+    return (str || '')
+        .toLowerCase()
+        .replace(/['’`]/g, '')
+        .replace(/&/g, ' & ')
+        .replace(/[^\p{L}\p{N}&\s]/gu, ' ')
+        .split(/\s+/)
+        .filter(Boolean)
+        .map((token) => ABBREVIATIONS[token] || token)
+        .filter((token) => token !== 'the')
+        .join(' ');
+}
+
+/**
+ * Sørensen–Dice similarity of two strings over character bigrams.
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} 0 (nothing in common) to 1 (identical)
+ */
+function similarity(a, b) {
+    if (!a || !b) return 0;
+    if (a === b) return 1;
+    if (a.length < 2 || b.length < 2) return 0;
+
+    const bigrams = new Map();
+    for (let i = 0; i < a.length - 1; i++) {
+        const gram = a.substring(i, i + 2);
+        bigrams.set(gram, (bigrams.get(gram) || 0) + 1);
+    }
+
+    let overlap = 0;
+    for (let i = 0; i < b.length - 1; i++) {
+        const gram = b.substring(i, i + 2);
+        const count = bigrams.get(gram) || 0;
+        if (count > 0) {
+            bigrams.set(gram, count - 1);
+            overlap++;
+        }
+    }
+
+    return (2 * overlap) / (a.length + b.length - 2);
+}
+
+/**
+ * Website domain usable as an identity key, or '' for shared platforms.
+ * @param {string} url
+ * @returns {string}
+ */
+function websiteDomain(url) {
+    if (!url) return '';
+    try {
+        const host = new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+        return SHARED_DOMAINS.test(host) ? '' : host;
+    } catch (e) {
+        return '';
+    }
+}
+
+/**
+ * Digits-only phone key, preferring the E.164 form when available.
+ * @param {Object} biz
+ * @returns {string}
+ */
+function phoneKey(biz) {
+    const digits = (biz.phoneE164 || biz.phone || '').replace(/\D/g, '');
+    return digits.length >= 7 ? digits : '';
+}
+
+/**
+ * Whether a field holds no value (empty strings and lists count as empty).
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isEmpty(value) {
+    return value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+}
+
+/**
+ * Fill empty fields of `target` from `source`. For rating and reviews the
+ * record with more reviews wins, as it is the more recent reading.
+ * @param {Object} target
+ * @param {Object} source
+ */
+function mergeInto(target, source) {
+    const sourceReviews = parseInt(source.reviews, 10) || 0;
+    const targetReviews = parseInt(target.reviews, 10) || 0;
+    if (sourceReviews > targetReviews) {
+        target.rating = source.rating || target.rating;
+        target.reviews = source.reviews;
+    }
+
+    Object.keys(source).forEach((key) => {
+        if (isEmpty(target[key]) && !isEmpty(source[key])) {
+            target[key] = source[key];
+        }
+    });
+
+    // Social links from either record
+    if (source.socialLinks) {
+        target.socialLinks = { ...source.socialLinks, ...target.socialLinks };
+    }
+
+    // Longer address is usually the more complete one
+    if ((source.address || '').length > (target.address || '').length) {
+        target.address = source.address;
+    }
+}
+
+/**
+ * Find and merge duplicate businesses.
+ * @param {Array} businesses - Cleaned business records
+ * @param {Object} [options]
+ * @param {number} [options.threshold=0.85] - Name/address similarity (0-1) needed for a fuzzy match
+ * @returns {{ records: Array, mergedCount: number }} Unique records (first occurrence
+ *   order) and how many records were folded into others
+ */
+function dedupeBusinesses(businesses, { threshold = 0.85 } = {}) {
+    const entries = businesses.map((biz) => ({
+        placeId: biz.placeId || parsePlaceId(biz.url),
+        phone: phoneKey(biz),
+        domain: websiteDomain(biz.website),
+        name: normalizeText(biz.name),
+        address: normalizeText(biz.address),
+    }));
+
+    // Union-find over record indexes
+    const parent = entries.map((_, i) => i);
+    const find = (i) => {
+        while (parent[i] !== i) {
+            parent[i] = parent[parent[i]];
+            i = parent[i];
+        }
+        return i;
+    };
+    // Keep the earliest record as the group root; distinct place IDs never join
+    const groupPlaceId = entries.map((e) => e.placeId);
+    const union = (a, b) => {
+        const ra = find(a);
+        const rb = find(b);
+        if (ra === rb) return;
+        if (groupPlaceId[ra] && groupPlaceId[rb] && groupPlaceId[ra] !== groupPlaceId[rb]) return;
+        const [root, child] = ra < rb ? [ra, rb] : [rb, ra];
+        parent[child] = root;
+        groupPlaceId[root] = groupPlaceId[root] || groupPlaceId[child];
+    };
+
+    const addressesDiffer = (a, b) => a.address && b.address && similarity(a.address, b.address) < threshold;
+
+    // Records sharing a place ID are the same business
+    const byPlace = new Map();
+    entries.forEach((e, i) => {
+        if (!e.placeId) return;
+        if (byPlace.has(e.placeId)) union(byPlace.get(e.placeId), i);
+        else byPlace.set(e.placeId, i);
+    });
+
+    // Only compare records that share an exact key or a name token
+    const buckets = new Map();
+    const addToBucket = (key, i) => {
+        if (!buckets.has(key)) buckets.set(key, []);
+        buckets.get(key).push(i);
+    };
+    const nameTokens = entries.map((e) => new Set(e.name.split(' ').filter((t) => t.length >= 3)));
+    entries.forEach((e, i) => {
+        if (e.phone) addToBucket(`phone:${e.phone}`, i);
+        if (e.domain) addToBucket(`domain:${e.domain}`, i);
+        nameTokens[i].forEach((t) => addToBucket(`name:${t}`, i));
+    });
+    // Records whose every name token is too common are compared by their whole
+    // name, split by the first address word when even that is common (a chain)
+    const isSmall = (key) => buckets.get(key).length <= MAX_BUCKET_SIZE;
+    const fallbackNames = new Set();
+    entries.forEach((e, i) => {
+        if (!e.name || Array.from(nameTokens[i]).some((t) => isSmall(`name:${t}`))) return;
+        addToBucket(`fullname:${e.name}`, i);
+        fallbackNames.add(e.name);
+    });
+    fallbackNames.forEach((name) => {
+        const key = `fullname:${name}`;
+        if (isSmall(key)) return;
+        buckets.get(key).forEach((i) => addToBucket(`${key}|${entries[i].address.split(' ')[0]}`, i));
+        buckets.delete(key);
+    });
+
+    for (const indexes of buckets.values()) {
+        if (indexes.length > MAX_BUCKET_SIZE) continue;
+        for (let x = 0; x < indexes.length; x++) {
+            for (let y = x + 1; y < indexes.length; y++) {
+                const i = indexes[x];
+                const j = indexes[y];
+                if (find(i) === find(j)) continue;
+
+                const a = entries[i];
+                const b = entries[j];
+                if (a.placeId && b.placeId) continue;
+
+                const nameScore = similarity(a.name, b.name);
+                const duplicate =
+                    (a.phone && a.phone === b.phone && !addressesDiffer(a, b)) ||
+                    (a.domain && a.domain === b.domain && nameScore >= threshold && !addressesDiffer(a, b)) ||
+                    (nameScore >= threshold && a.address && b.address && similarity(a.address, b.address) >= threshold);
+                if (duplicate) union(i, j);
+            }
+        }
+    }
+
+    // Merge every group into its first record
+    const merged = new Map();
+    businesses.forEach((biz, i) => {
+        const root = find(i);
+        if (!merged.has(root)) {
+            merged.set(root, { ...biz });
+        } else {
+            mergeInto(merged.get(root), biz);
+        }
+    });
+
+    const records = Array.from(merged.values());
+    return { records, mergedCount: businesses.length - records.length };
+}
+
+module.exports = { dedupeBusinesses, similarity, normalizeText };
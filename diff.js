@@ -0,0 +1,146 @@
+/**
+ * Run-to-run comparison of leads, for saved searches that are re-run to
+ * spot new, removed and changed businesses.
+ *
+ * Leads are matched by stable place identity: the Google place ID when there
+ * is one, then the Maps link, the E.164 phone number, and finally the
+ * normalized name and address.
+ */
+
+const { normalizeText } = require('./dedupe');
+const { toNumber } = require('./columns');
+
+// Fields compared between runs, with how to read and describe them
+const COMPARED_FIELDS = [
+    { key: 'name', label: 'name' },
+    { key: 'address', label: 'address' },
+    { key: 'phone', label: 'phone' },
+    { key: 'website', label: 'website' },
+    { key: 'email', label: 'email' },
+    { key: 'rating', label: 'rating', number: true },
+    { key: 'reviews', label: 'reviews', number: true },
+    { key: 'businessType', label: 'business type' },
+    { key: 'priceLevel', label: 'price level' },
+    { key: 'claimed', label: 'claimed' },
+    { key: 'openingHours', label: 'opening hours' },
+];
+
+/**
+ * Stable identity of a lead across runs.
+ * @param {Object} biz
+ * @returns {string}
+ */
+function leadKey(biz) {
+    if (biz.placeId) return `place:${biz.placeId}`;
+    if (biz.url) return `url:${biz.url.split('?')[0]}`;
+    if (biz.phoneE164) return `phone:${biz.phoneE164}`;
+    return `name:${normalizeText(biz.name)}|${normalizeText(biz.address)}`;
+}
+
+/**
+ * Comparable value of a field ('' when empty).
+ * @param {Object} biz
+ * @param {Object} field - Entry of COMPARED_FIELDS
+ * @returns {string|number|boolean}
+ */
+function fieldValue(biz, field) {
+    const value = biz[field.key];
+    if (field.number) {
+        const num = toNumber(value);
+        return num === null ? '' : num;
+    }
+    if (Array.isArray(value)) return value.map((h) => `${h.day}: ${h.hours}`).join('; ');
+    if (value === undefined || value === null) return '';
+    return typeof value === 'string' ? value.trim() : value;
+}
+
+/**
+ * The part of a lead kept between runs.
+ * @param {Object} biz - Cleaned lead
+ * @returns {Object}
+ */
+function toSnapshot(biz) {
+    const snapshot = { key: leadKey(biz), placeId: biz.placeId || '', url: biz.url || '' };
+    COMPARED_FIELDS.forEach((field) => {
+        snapshot[field.key] = fieldValue(biz, field);
+    });
+    return snapshot;
+}
+
+/**
+ * Describe how one field changed, e.g. "website added", "rating 4.2 → 4.5".
+ * @param {Object} field
+ * @param {*} from
+ * @param {*} to
+ * @returns {string}
+ */
+function describeChange(field, from, to) {
+    if (field.key === 'claimed' && to !== '') return to ? 'listing claimed' : 'listing unclaimed';
+    if (from === '') return `${field.label} added`;
+    if (to === '') return `${field.label} removed`;
+    if (field.number || String(from).length + String(to).length < 60) {
+        return `${field.label} ${from} → ${to}`;
+    }
+    return `${field.label} changed`;
+}
+
+/**
+ * Compare a run against the previous one.
+ * Marks each current lead with `change` ('new', 'changed' or 'unchanged')
+ * and `changedFields` (readable list of what changed).
+ * @param {Array} previous - Snapshots of the previous run (see toSnapshot), or
+ *   null for a first run
+ * @param {Array} current - Cleaned leads of this run (annotated in place)
+ * @returns {Object} { baseline, added, changed, removed, unchanged, entries }
+ *   where entries lists every new, changed and removed lead
+ */
+function diffLeads(previous, current) {
+    const before = new Map((previous || []).map((snapshot) => [snapshot.key, snapshot]));
+    const seen = new Set();
+    const entries = [];
+
+    current.forEach((biz) => {
+        const key = leadKey(biz);
+        seen.add(key);
+        const old = before.get(key);
+        if (!old) {
+            biz.change = 'new';
+            biz.changedFields = '';
+            entries.push({ change: 'new', key, name: biz.name, address: biz.address, placeId: biz.placeId || '', url: biz.url || '', changes: [] });
+            return;
+        }
+
+        const changes = [];
+        COMPARED_FIELDS.forEach((field) => {
+            const from = old[field.key] === undefined ? '' : old[field.key];
+            const to = fieldValue(biz, field);
+            if (from !== to) {
+                changes.push({ field: field.key, from, to, description: describeChange(field, from, to) });
+            }
+        });
+
+        biz.change = changes.length > 0 ? 'changed' : 'unchanged';
+        biz.changedFields = changes.map((c) => c.description).join('; ');
+        if (changes.length > 0) {
+            entries.push({ change: 'changed', key, name: biz.name, address: biz.address, placeId: biz.placeId || '', url: biz.url || '', changes });
+        }
+    });
+
+    before.forEach((old, key) => {
+        if (!seen.has(key)) {
+            entries.push({ change: 'removed', key, name: old.name, address: old.address, placeId: old.placeId, url: old.url, changes: [] });
+        }
+    });
+
+    const count = (change) => entries.filter((e) => e.change === change).length;
+    return {
+        baseline: !previous,
+        added: count('new'),
+        changed: count('changed'),
+        removed: count('removed'),
+        unchanged: current.filter((biz) => biz.change === 'unchanged').length,
+        entries,
+    };
+}
+
+module.exports = { COMPARED_FIELDS, leadKey, toSnapshot, diffLeads };
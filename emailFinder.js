@@ -0,0 +1,282 @@
+/**
+ * Email discovery: crawls a lead's website (homepage plus contact/about pages)
+ * and pulls out the addresses it finds, best candidate first.
+ */
+
+const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/131.0 Safari/537.36';
+
+// Paths tried when the homepage does not link to a contact/about page itself
+const FALLBACK_PATHS = ['/contact', '/contact-us', '/about', '/about-us'];
+
+// Most of a page that is read, so a huge page cannot stall the job
+const MAX_PAGE_BYTES = 2 * 1024 * 1024;
+
+// Links worth following from the homepage
+const CONTACT_LINK_PATTERN = /contact|about|impressum|kontakt|reach-us|get-in-touch/i;
+
+const EMAIL_PATTERN = /[a-z0-9._%+-]+@[a-z0-9-]+(?:\.[a-z0-9-]+)*\.[a-z]{2,}/gi;
+
+// Addresses injected by site builders, error trackers and templates
+const PLACEHOLDER_DOMAINS = /(^|\.)(sentry\.io|sentry-next\.wixpress\.com|sentry\.wixpress\.com|wixpress\.com|example\.(com|org|net)|(your)?domain\.com|email\.com|test\.com|mysite\.com)$/i;
+const PLACEHOLDER_LOCALS = /^(your|youremail|your\.?name|name|user|username|email|test|john\.?doe|jane\.?doe|firstname\.?lastname)$/i;
+
+// "logo@2x.png" and friends look like emails to the regex
+const FILE_EXTENSIONS = /\.(png|jpe?g|gif|svg|webp|avif|ico|css|js|json|woff2?|ttf|mp4|webm|pdf)$/i;
+
+const ROLE_PREFIXES = /^(info|contact|hello|hi|office|sales|enquiries|enquiry|inquiries|inquiry|admin|mail|booking|bookings|reservations|support|team)$/i;
+const FREE_PROVIDERS = /^(gmail|googlemail|yahoo|outlook|hotmail|live|icloud|aol|proton|protonmail|zoho|rediffmail)\./i;
+
+/**
+ * Decode the HTML entities commonly used to hide "@" and ".".
+ * @param {string} str
+ * @returns {string}
+ */
+function decodeEntities(str) {
+    return str
+        .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(parseInt(code, 10)))
+        .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCharCode(parseInt(code, 16)))
+        .replace(/&commat;/gi, '@')
+        .replace(/&period;/gi, '.')
+        .replace(/&amp;/gi, '&')
+        .replace(/&nbsp;/gi, ' ');
+}
+
+/**
+ * Undo simple obfuscations such as "name [at] domain [dot] com".
+ * Only bracketed forms are handled so ordinary words are left alone.
+ * @param {string} text
+ * @returns {string}
+ */
+function deobfuscate(text) {
+    return text
+        .replace(/\s*[[({<]\s*at\s*[\])}>]\s*/gi, '@')
+        .replace(/\s*[[({<]\s*dot\s*[\])}>]\s*/gi, '.');
+}
+
+/**
+ * Whether an address is a placeholder or not an address at all.
+ * @param {string} email
+ * @returns {boolean}
+ */
+function isPlaceholder(email) {
+    const [local, domain] = email.split('@');
+    if (!local || !domain) return true;
+    if (FILE_EXTENSIONS.test(email)) return true;
+    if (PLACEHOLDER_DOMAINS.test(domain)) return true;
+    if (PLACEHOLDER_LOCALS.test(local)) return true;
+    // Hash-like local parts come from error trackers (e.g. Sentry DSNs)
+    if (/^[0-9a-f]{16,}$/i.test(local)) return true;
+    return false;
+}
+
+/**
+ * Extract email addresses from an HTML document.
+ * Looks at mailto: links, visible text and bracketed obfuscations.
+ * @param {string} html
+ * @returns {Array<{email: string, source: string}>} Unique addresses, lowercased
+ */
+function extractEmails(html) {
+    const found = new Map();
+    const add = (email, source) => {
+        const cleaned = email.trim().toLowerCase().replace(/^mailto:/, '').replace(/[.,;:]+$/, '');
+        if (!cleaned || isPlaceholder(cleaned) || found.has(cleaned)) return;
+        found.set(cleaned, { email: cleaned, source });
+    };
+
+    // mailto: links
+    const mailtoPattern = /href\s*=\s*["']mailto:([^"'?]+)/gi;
+    let match;
+    while ((match = mailtoPattern.exec(html)) !== null) {
+        let address = decodeEntities(match[1]);
+        try {
+            address = decodeURIComponent(address);
+        } catch (e) {
+            // Keep the raw value
+        }
+        (address.match(EMAIL_PATTERN) || []).forEach((email) => add(email, 'mailto'));
+    }
+
+    // Visible text, without scripts, styles and tags
+    const text = decodeEntities(
+        html
+            .replace(/<script[\s\S]*?<\/script>/gi, ' ')
+            .replace(/<style[\s\S]*?<\/style>/gi, ' ')
+            .replace(/<!--[\s\S]*?-->/g, ' ')
+            .replace(/<[^>]+>/g, ' ')
+    );
+    (text.match(EMAIL_PATTERN) || []).forEach((email) => add(email, 'text'));
+    (deobfuscate(text).match(EMAIL_PATTERN) || []).forEach((email) => add(email, 'obfuscated'));
+
+    return Array.from(found.values());
+}
+
+/**
+ * Hostname without a leading "www.".
+ * @param {string} url
+ * @returns {string}
+ */
+function siteDomain(url) {
+    try {
+        return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+    } catch (e) {
+        return '';
+    }
+}
+
+/**
+ * Sort candidates best first: the site's own domain, then role addresses
+ * (info@, contact@...), then free-mail addresses, then everything else.
+ * @param {Array<{email: string, source: string}>} candidates
+ * @param {string} domain - The website's domain
+ * @returns {Array<string>} Ranked addresses
+ */
+function rankEmails(candidates, domain) {
+    const score = ({ email, source }) => {
+        const [local, emailDomain] = email.split('@');
+        let points = 0;
+        if (domain && (emailDomain === domain || emailDomain.endsWith(`.${domain}`) || domain.endsWith(`.${emailDomain}`))) {
+            points += 100;
+        } else if (FREE_PROVIDERS.test(emailDomain)) {
+            points += 20;
+        }
+        if (ROLE_PREFIXES.test(local)) points += 10;
+        if (source === 'mailto') points += 5;
+        return points;
+    };
+
+    return candidates
+        .map((candidate, index) => ({ email: candidate.email, points: score(candidate), index }))
+        .sort((a, b) => b.points - a.points || a.index - b.index)
+        .map((c) => c.email);
+}
+
+/**
+ * Google sometimes hands out its own redirect (google.com/url?q=...) as the
+ * website link; return the real target.
+ * @param {string} url
+ * @returns {string}
+ */
+function unwrapRedirect(url) {
+    try {
+        const parsed = new URL(url);
+        if (/(^|\.)google\.[a-z.]+$/.test(parsed.hostname) && parsed.pathname === '/url') {
+            return parsed.searchParams.get('q') || parsed.searchParams.get('url') || url;
+        }
+    } catch (e) {
+        // Not a valid URL, use as is
+    }
+    return url;
+}
+
+/**
+ * Read a response body as text, stopping after maxBytes.
+ * @param {Response} response
+ * @param {number} [maxBytes=MAX_PAGE_BYTES]
+ * @returns {Promise<{text: string, bytes: number, truncated: boolean}>} `bytes`
+ *   is what was kept, at most maxBytes
+ */
+async function readText(response, maxBytes = MAX_PAGE_BYTES) {
+    if (!response.body) return { text: '', bytes: 0, truncated: false };
+    const reader = response.body.getReader();
+    const chunks = [];
+    let bytes = 0;
+    let truncated = false;
+    for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        chunks.push(value);
+        bytes += value.length;
+        if (bytes > maxBytes) {
+            truncated = true;
+            await reader.cancel();
+            break;
+        }
+    }
+    const body = Buffer.concat(chunks).subarray(0, maxBytes);
+    return { text: body.toString('utf8'), bytes: body.length, truncated };
+}
+
+/**
+ * Fetch a page as text. Returns null for non-HTML or failed responses.
+ * @param {string} url
+ * @param {number} timeout - ms
+ * @returns {Promise<{html: string, url: string}|null>}
+ */
+async function fetchHtml(url, timeout) {
+    try {
+        const response = await fetch(url, {
+            redirect: 'follow',
+            signal: AbortSignal.timeout(timeout),
+            headers: { 'User-Agent': USER_AGENT, Accept: 'text/html,application/xhtml+xml' },
+        });
+        const type = response.headers.get('content-type') || '';
+        if (!response.ok || (type && !type.includes('html'))) return null;
+        const { text: html } = await readText(response);
+        return { html, url: response.url || url };
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Crawl a website for email addresses.
+ * @param {string} website - Lead website URL
+ * @param {Object} [options]
+ * @param {number} [options.maxPages=4] - Pages fetched per site, homepage included
+ * @param {number} [options.timeout=10000] - Per-request timeout in ms
+ * @returns {Promise<Array<string>>} Ranked addresses (best first), empty if none
+ */
+async function findEmails(website, { maxPages = 4, timeout = 10000 } = {}) {
+    if (!website) return [];
+    const startUrl = unwrapRedirect(website);
+    const domain = siteDomain(startUrl);
+    if (!domain) return [];
+
+    const candidates = new Map();
+    const collect = (html) => {
+        extractEmails(html).forEach((c) => {
+            if (!candidates.has(c.email)) candidates.set(c.email, c);
+        });
+    };
+    const hasOwnDomainEmail = () => Array.from(candidates.keys()).some((email) => {
+        const emailDomain = email.split('@')[1];
+        return emailDomain === domain || emailDomain.endsWith(`.${domain}`);
+    });
+
+    const home = await fetchHtml(startUrl, timeout);
+    if (!home) return [];
+    collect(home.html);
+
+    // Contact/about pages linked from the homepage come first, then the usual suspects
+    const pages = [];
+    const linkPattern = /<a\s[^>]*href\s*=\s*["']([^"'#]+)["'][^>]*>([\s\S]*?)<\/a>/gi;
+    let match;
+    while ((match = linkPattern.exec(home.html)) !== null) {
+        if (!CONTACT_LINK_PATTERN.test(match[1]) && !CONTACT_LINK_PATTERN.test(match[2])) continue;
+        try {
+            const link = new URL(decodeEntities(match[1]), home.url);
+            if (/^https?:$/.test(link.protocol) && siteDomain(link.href) === siteDomain(home.url)) {
+                pages.push(link.href);
+            }
+        } catch (e) {
+            // Ignore malformed links
+        }
+    }
+    FALLBACK_PATHS.forEach((p) => pages.push(new URL(p, home.url).href));
+
+    const visited = new Set([home.url, startUrl]);
+    let fetched = 1;
+    for (const pageUrl of pages) {
+        if (fetched >= maxPages || hasOwnDomainEmail()) break;
+        if (visited.has(pageUrl)) continue;
+        visited.add(pageUrl);
+        fetched++;
+
+        const page = await fetchHtml(pageUrl, timeout);
+        if (page) collect(page.html);
+    }
+
+    return rankEmails(Array.from(candidates.values()), domain);
+}
+
+module.exports = { findEmails, extractEmails, rankEmails, unwrapRedirect, readText, USER_AGENT, MAX_PAGE_BYTES };
@@ -0,0 +1,80 @@
+const http = require('http');
+
+/**
+ * Local stand-in for a lead's website, for checking the email finder
+ * (emailFinder.js) without the network.
+ *
+ *   npm run email-fixtures
+ *   node -e "require('./emailFinder').findEmails('http://localhost:4200/').then(console.log)"
+ *
+ * The homepage shows a free-mail address in its text plus the placeholders
+ * site builders leave behind (you@example.com, a Sentry DSN, logo@2x.png) and
+ * links to a contact page (an entity-encoded mailto link) and an about page
+ * (an address written as "orders [at] goldencrust [dot] in"). With
+ * `linked: false` the homepage has no links, so the finder has to fall back
+ * to the usual /contact and /about paths.
+ */
+
+const PORT = parseInt(process.env.FIXTURE_PORT, 10) || 4200;
+
+const page = (title, body) => `<!DOCTYPE html><html><head><meta charset="utf-8"><title>${title}</title></head><body>${body}</body></html>`;
+
+const CONTACT = page('Contact us', `
+    <h1>Contact us</h1>
+    <p>Orders and catering: <a href="mailto:info&#64;goldencrust&#46;in?subject=Enquiry">Email us</a></p>
+    <form action="/contact" method="post"><input name="email" placeholder="youremail@domain.com"></form>`);
+
+const ABOUT = page('About', `
+    <h1>About Golden Crust</h1>
+    <p>Baking in Kochi since 1998. Bulk orders: orders [at] goldencrust [dot] in</p>`);
+
+/**
+ * Pages of the fixture site by path.
+ * @param {boolean} linked - Whether the homepage links to its contact and about pages
+ * @returns {Object}
+ */
+function sitePages(linked) {
+    const links = linked ? '<nav><a href="/contact-us">Contact</a> <a href="/our-story">About us</a> <a href="/menu">Menu</a></nav>' : '';
+    return {
+        '/': page('Golden Crust Bakery', `
+            ${links}
+            <h1>Golden Crust Bakery</h1>
+            <img src="/logo@2x.png" alt="">
+            <p>Questions? Write to the owner at owner.goldencrust@gmail.com.</p>
+            <p>Newsletter: enter you@example.com to sign up.</p>
+            <script>Sentry.init({ dsn: 'https://8f14e45fceea167a5a36dedd4bea2543@sentry.wixpress.com/12' });</script>`),
+        '/menu': page('Menu', '<p>Plum cake, banana chips, halwa.</p>'),
+        [linked ? '/contact-us' : '/contact']: CONTACT,
+        [linked ? '/our-story' : '/about']: ABOUT,
+    };
+}
+
+/**
+ * Create (but do not start) the fixture server.
+ * @param {Object} [options]
+ * @param {boolean} [options.linked=true] - See above
+ * @returns {http.Server} Records the paths it served in `server.requests`
+ */
+function createEmailFixtureServer({ linked = true } = {}) {
+    const pages = sitePages(linked);
+    const server = http.createServer((req, res) => {
+        const { pathname } = new URL(req.url, 'http://localhost');
+        server.requests.push(pathname);
+        if (!pages[pathname]) {
+            res.writeHead(404, { 'Content-Type': 'text/html; charset=utf-8' }).end(page('Not found', '<p>Not found</p>'));
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' }).end(pages[pathname]);
+    });
+    server.requests = [];
+    return server;
+}
+
+if (require.main === module) {
+    const linked = process.env.FIXTURE_LINKED !== 'false';
+    createEmailFixtureServer({ linked }).listen(PORT, () => {
+        console.log(`Email fixtures listening at http://localhost:${PORT}/ (${linked ? 'linked contact pages' : 'fallback paths only'})`);
+    });
+}
+
+module.exports = { createEmailFixtureServer };
@@ -0,0 +1,110 @@
+/**
+ * Error codes for failed scrape jobs.
+ *
+ * Jobs report failures as `{ code, message, retryable, hint }`: the code is
+ * stable for API clients, the message says what went wrong in plain words and
+ * the hint what to do about it. `retryable` tells whether running the same
+ * job again may succeed.
+ */
+
+const ERROR_CODES = {
+    LAUNCH_FAILED: {
+        retryable: true,
+        message: 'The scraping browser could not be started.',
+        hint: 'This is a server problem, not your search. Try again in a minute; if it persists, check that Chromium is installed (npm run build) and the server has enough memory.',
+    },
+    NAVIGATION_TIMEOUT: {
+        retryable: true,
+        message: 'Google took too long to respond.',
+        hint: 'Google or the network was slow. Try again, or use a proxy closer to the target region.',
+    },
+    NAVIGATION_FAILED: {
+        retryable: true,
+        message: 'Google could not be reached.',
+        hint: 'Check the server\'s network connection and, if proxies are configured, that they are up.',
+    },
+    BLOCKED: {
+        retryable: true,
+        message: 'Google is blocking the scraper.',
+        hint: 'Wait a while before trying again, or configure proxies (SCRAPER_PROXIES) so requests come from other addresses.',
+    },
+    NO_RESULTS: {
+        retryable: false,
+        message: 'Google returned no businesses for this search.',
+        hint: 'Try a broader category or a larger region, e.g. "Bakeries" in "Kerala". If well-known searches also come back empty, Google may be blocking this server.',
+    },
+    ENRICHMENT_PARTIAL: {
+        retryable: true,
+        message: 'Some business profiles could not be opened.',
+        hint: 'Those leads only have the details from the search list (no phone, website or address). Running the search again usually fills them in.',
+    },
+    EXPORT_FAILED: {
+        retryable: true,
+        message: 'The results could not be saved to a file.',
+        hint: 'Check the server\'s disk space and that the output folder is writable, then run the search again.',
+    },
+    INTERRUPTED: {
+        retryable: true,
+        message: 'The server restarted while this job was running.',
+        hint: 'Start the search again.',
+    },
+    SCRAPE_FAILED: {
+        retryable: true,
+        message: 'The scrape failed unexpectedly.',
+        hint: 'Try again. If it keeps failing, the server logs have the details.',
+    },
+};
+
+/**
+ * A failure with one of the ERROR_CODES.
+ */
+class ScrapeError extends Error {
+    /**
+     * @param {string} code - ERROR_CODES key
+     * @param {string} [message] - Defaults to the code's message
+     * @param {Object} [options] - { cause }
+     */
+    constructor(code, message, options) {
+        super(message || (ERROR_CODES[code] || ERROR_CODES.SCRAPE_FAILED).message, options);
+        this.name = 'ScrapeError';
+        this.code = ERROR_CODES[code] ? code : 'SCRAPE_FAILED';
+    }
+}
+
+/**
+ * Wrap a low-level error (Puppeteer, network...) in a ScrapeError. Its raw
+ * message can name internals (selectors, file paths, proxy hosts), so clients
+ * only get the code's own message; the original stays in `cause` for logs.
+ * @param {Error} err
+ * @returns {ScrapeError}
+ */
+function toScrapeError(err) {
+    if (err instanceof ScrapeError) return err;
+    if (err && err.name === 'TimeoutError') return new ScrapeError('NAVIGATION_TIMEOUT', undefined, { cause: err });
+    const network = err && /net::(ERR_[A-Z_]+)/.exec(err.message);
+    if (network) return new ScrapeError('NAVIGATION_FAILED', `Google could not be reached (${network[1]}).`, { cause: err });
+    return new ScrapeError('SCRAPE_FAILED', undefined, { cause: err });
+}
+
+/**
+ * The `{ code, message, retryable, hint }` form of an error, as stored on jobs
+ * and returned by the API.
+ * @param {Error|Object|string} error - An error, an already described error,
+ *   or a plain message (jobs saved before error codes existed)
+ * @returns {Object}
+ */
+function describeError(error) {
+    if (typeof error === 'string') {
+        return { code: 'SCRAPE_FAILED', message: error, retryable: true, hint: ERROR_CODES.SCRAPE_FAILED.hint };
+    }
+    const scrapeError = error instanceof Error ? toScrapeError(error) : error;
+    const definition = ERROR_CODES[scrapeError.code] || ERROR_CODES.SCRAPE_FAILED;
+    return {
+        code: ERROR_CODES[scrapeError.code] ? scrapeError.code : 'SCRAPE_FAILED',
+        message: scrapeError.message || definition.message,
+        retryable: definition.retryable,
+        hint: definition.hint,
+    };
+}
+
+module.exports = { ERROR_CODES, ScrapeError, toScrapeError, describeError };
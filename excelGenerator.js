@@ -1,6 +1,97 @@
 const ExcelJS = require('exceljs');
 const path = require('path');
 const fs = require('fs');
+const { selectColumns, toRecord } = require('./columns');
+
+// Font colours of the lead tiers
+const TIER_COLORS = {
+    hot: 'FF059669',
+    warm: 'FFD97706',
+    cold: 'FF6B7280',
+};
+
+// Font colours of the import statuses
+const IMPORT_COLORS = {
+    updated: 'FF059669',
+    matched: 'FF2563EB',
+    'not-found': 'FFDC2626',
+    'lookup-failed': 'FFD97706',
+};
+
+// Font colours of the run-to-run changes
+const CHANGE_COLORS = {
+    new: 'FF059669',
+    changed: 'FFD97706',
+    removed: 'FFDC2626',
+};
+
+/**
+ * A sheet name not used in the workbook yet (Excel compares them ignoring
+ * case), adding " (2)", " (3)"... within the 31-character limit.
+ * @param {ExcelJS.Workbook} workbook
+ * @param {string} name - Already sanitized
+ * @returns {string}
+ */
+function uniqueSheetName(workbook, name) {
+    const taken = new Set(workbook.worksheets.map((ws) => ws.name.toLowerCase()));
+    let candidate = name;
+    for (let n = 2; taken.has(candidate.toLowerCase()); n++) {
+        const suffix = ` (${n})`;
+        candidate = name.substring(0, 31 - suffix.length) + suffix;
+    }
+    return candidate;
+}
+
+/**
+ * Add a "Changes" sheet listing new, changed and removed leads.
+ * @param {ExcelJS.Workbook} workbook
+ * @param {Object} diff - Result of diffLeads()
+ */
+function addChangesSheet(workbook, diff) {
+    const worksheet = workbook.addWorksheet(uniqueSheetName(workbook, 'Changes'), {
+        views: [{ state: 'frozen', ySplit: 1 }]
+    });
+    worksheet.columns = [
+        { header: 'Change', key: 'change', width: 12 },
+        { header: 'Business Name', key: 'name', width: 35 },
+        { header: 'Full Address', key: 'address', width: 50 },
+        { header: 'What Changed', key: 'changes', width: 60 },
+        { header: 'Place ID', key: 'placeId', width: 28 },
+        { header: 'Google Maps Link', key: 'url', width: 40 },
+    ];
+
+    const headerRow = worksheet.getRow(1);
+    headerRow.font = { name: 'Arial', family: 4, size: 11, bold: true, color: { argb: 'FFFFFFFF' } };
+    headerRow.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FF2563EB' } };
+    headerRow.alignment = { vertical: 'middle', horizontal: 'center' };
+    headerRow.height = 25;
+
+    if (diff.baseline) {
+        worksheet.addRow({ change: '', name: `First run of this saved search: ${diff.added} leads recorded as the baseline.` });
+        return;
+    }
+    if (diff.entries.length === 0) {
+        worksheet.addRow({ change: '', name: 'No changes since the last run.' });
+        return;
+    }
+
+    const order = { new: 0, changed: 1, removed: 2 };
+    [...diff.entries]
+        .sort((a, b) => order[a.change] - order[b.change])
+        .forEach((entry) => {
+            const row = worksheet.addRow({
+                change: entry.change,
+                name: entry.name || '',
+                address: entry.address || '',
+                changes: entry.changes.map((c) => c.description).join('; '),
+                placeId: entry.placeId || '',
+                url: entry.url ? { text: 'Open in Google Maps', hyperlink: entry.url } : '',
+            });
+            row.alignment = { vertical: 'middle', wrapText: true };
+            row.getCell('change').font = { color: { argb: CHANGE_COLORS[entry.change] }, bold: true };
+            if (entry.url) row.getCell('url').font = { color: { argb: 'FF2563EB' }, underline: true };
+        });
+}
 
 /**
  * Generate a beautifully formatted Excel file from validated business data.
@@ -8,9 +99,25 @@ const fs = require('fs');
  *
  * @param {Array} businesses - Array of validated business objects
  * @param {string} outputPath - Full path for the output .xlsx file
+ * @param {Object} [options]
+ * @param {boolean|Array<string>} [options.optionalColumns] - Optional columns to
+ *   add (true for all, or a list of keys; see columns.js)
+ * @param {boolean} [options.imported] - Imported lead list (see leadImport.js):
+ *   adds the Import Status and Source Row columns
+ * @param {Object} [options.changes] - Diff against the previous run (see diff.js);
+ *   adds the Change columns and a "Changes" sheet
  * @returns {Promise<string>} Path to the generated file
  */
-async function generateExcel(businesses, outputPath) {
+async function generateExcel(businesses, outputPath, options = {}) {
+    let optionalColumns = options.optionalColumns;
+    if (options.changes && optionalColumns !== true) {
+        optionalColumns = [...(optionalColumns || []), 'change', 'changedFields'];
+    }
+    if (options.imported && optionalColumns !== true) {
+        optionalColumns = [...(optionalColumns || []), 'importStatus', 'importRow'];
+    }
+    const columns = selectColumns(optionalColumns);
+
     // Ensure output directory exists
     const dir = path.dirname(outputPath);
     if (!fs.existsSync(dir)) {
@@ -44,21 +151,12 @@ async function generateExcel(businesses, outputPath) {
         let sheetName = categoryName.replace(/[\\/*?[\]:]/g, '').substring(0, 31);
         if (!sheetName) sheetName = 'Sheet1';
 
-        const worksheet = workbook.addWorksheet(sheetName, {
+        const worksheet = workbook.addWorksheet(uniqueSheetName(workbook, sheetName), {
             views: [{ state: 'frozen', ySplit: 1 }] // Freeze header row
         });
 
-        // Define columns
-        worksheet.columns = [
-            { header: 'Category', key: 'category', width: 20 },
-            { header: 'Business Name', key: 'name', width: 35 },
-            { header: 'Full Address', key: 'address', width: 50 },
-            { header: 'Phone Number', key: 'phone', width: 20 },
-            { header: 'Email ID', key: 'email', width: 30 },
-            { header: 'Website Present', key: 'websitePresent', width: 15 },
-            { header: 'Website URL', key: 'website', width: 40 },
-            { header: 'Ice Breaker', key: 'iceBreaker', width: 80 }
-        ];
+        // Define columns (shared with the other export formats)
+        worksheet.columns = columns.map(({ header, key, width }) => ({ header, key, width }));
 
         // Format header row
         const headerRow = worksheet.getRow(1);
@@ -74,16 +172,11 @@ async function generateExcel(businesses, outputPath) {
         // Add dynamic rows
         if (categoryData.length > 0) {
             categoryData.forEach((biz) => {
-                const row = worksheet.addRow({
-                    category: biz.category || '',
-                    name: biz.name || '',
-                    address: biz.address || '',
-                    phone: biz.phone || '',
-                    email: biz.email || '',
-                    websitePresent: biz.website ? 'Yes' : 'No',
-                    website: biz.website || '',
-                    iceBreaker: biz.iceBreaker || ''
+                const record = toRecord(biz, columns);
+                Object.keys(record).forEach((key) => {
+                    if (record[key] === null) record[key] = '';
                 });
+                const row = worksheet.addRow(record);
 
                 // Apply cell styling to data rows
                 row.alignment = { vertical: 'middle', wrapText: true };
@@ -97,6 +190,17 @@ async function generateExcel(businesses, outputPath) {
                     presenceCell.font = { color: { argb: 'FFDC2626' }, bold: true }; // Red for No
                 }
 
+                // Colour the tier like the score scale
+                const tierCell = row.getCell('tier');
+                tierCell.alignment = { horizontal: 'center', vertical: 'middle' };
+                if (TIER_COLORS[biz.tier]) {
+                    tierCell.font = { color: { argb: TIER_COLORS[biz.tier] }, bold: true };
+                }
+
+                if (IMPORT_COLORS[biz.importStatus] && columns.some((col) => col.key === 'importStatus')) {
+                    row.getCell('importStatus').font = { color: { argb: IMPORT_COLORS[biz.importStatus] }, bold: true };
+                }
+
                 // Make website look like a link
                 if (biz.website) {
                     const websiteCell = row.getCell('website');
@@ -107,9 +211,30 @@ async function generateExcel(businesses, outputPath) {
                     };
                     websiteCell.font = { color: { argb: 'FF2563EB' }, underline: true };
                 }
+
+                if (biz.url) {
+                    const mapsCell = row.getCell('url');
+                    mapsCell.value = {
+                        text: 'Open in Google Maps',
+                        hyperlink: biz.url,
+                        tooltip: biz.url
+                    };
+                    mapsCell.font = { color: { argb: 'FF2563EB' }, underline: true };
+                }
+            });
+
+            // Red-to-green colour scale on the lead score
+            const scoreColumn = worksheet.getColumn('score').letter;
+            worksheet.addConditionalFormatting({
+                ref: `${scoreColumn}2:${scoreColumn}${categoryData.length + 1}`,
+                rules: [{
+                    type: 'colorScale',
+                    cfvo: [{ type: 'num', value: 0 }, { type: 'num', value: 50 }, { type: 'num', value: 100 }],
+                    color: [{ argb: 'FFF8696B' }, { argb: 'FFFFEB84' }, { argb: 'FF63BE7B' }],
+                }],
             });
         } else {
-            worksheet.addRow(['No results found', '', '', '', '', '', '', '']);
+            worksheet.addRow(['No results found', ...columns.slice(1).map(() => '')]);
         }
 
         // Add borders to all active cells
@@ -125,6 +250,10 @@ async function generateExcel(businesses, outputPath) {
         });
     }
 
+    if (options.changes) {
+        addChangesSheet(workbook, options.changes);
+    }
+
     // Write to file
     await workbook.xlsx.writeFile(outputPath);
 
@@ -0,0 +1,199 @@
+const path = require('path');
+const fs = require('fs');
+const { LEAD_COLUMNS, toRecord } = require('./columns');
+const { generateExcel } = require('./excelGenerator');
+
+/**
+ * Text export formats (CSV, JSON, NDJSON, GeoJSON, KML) built on the shared
+ * column definition, plus a helper that writes any supported format to disk.
+ */
+
+// Download formats: file extension and Content-Type
+const EXPORT_FORMATS = {
+    xlsx: { extension: 'xlsx', contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' },
+    csv: { extension: 'csv', contentType: 'text/csv; charset=utf-8' },
+    json: { extension: 'json', contentType: 'application/json; charset=utf-8' },
+    ndjson: { extension: 'ndjson', contentType: 'application/x-ndjson; charset=utf-8' },
+    geojson: { extension: 'geojson', contentType: 'application/geo+json; charset=utf-8' },
+    kml: { extension: 'kml', contentType: 'application/vnd.google-earth.kml+xml; charset=utf-8' },
+};
+
+/**
+ * Quote a CSV field when it contains a delimiter, quote or line break.
+ * Text starting with =, +, -, @ or a tab/carriage return gets a leading
+ * apostrophe, so spreadsheets read it as text: scraped names cannot run as
+ * formulas and E.164 phones keep their "+".
+ * @param {*} value
+ * @returns {string}
+ */
+function escapeCsv(value) {
+    if (value === null || value === undefined) return '';
+    let str = String(value);
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(str)) {
+        str = `'${str}`;
+    }
+    if (/[",\r\n]/.test(str)) {
+        return `"${str.replace(/"/g, '""')}"`;
+    }
+    return str;
+}
+
+/**
+ * Build a CSV document. Starts with a UTF-8 BOM so Excel detects the
+ * encoding, and uses CRLF line endings (RFC 4180).
+ * @param {Array} businesses
+ * @returns {string}
+ */
+function toCsv(businesses) {
+    const lines = [LEAD_COLUMNS.map((col) => escapeCsv(col.header)).join(',')];
+    businesses.forEach((biz) => {
+        lines.push(LEAD_COLUMNS.map((col) => escapeCsv(col.value(biz))).join(','));
+    });
+    return '\uFEFF' + lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Build a JSON array document.
+ * @param {Array} businesses
+ * @returns {string}
+ */
+function toJson(businesses) {
+    return JSON.stringify(businesses.map((biz) => toRecord(biz)), null, 2);
+}
+
+/**
+ * Build a newline-delimited JSON document (one lead per line).
+ * @param {Array} businesses
+ * @returns {string}
+ */
+function toNdjson(businesses) {
+    return businesses.map((biz) => JSON.stringify(toRecord(biz)) + '\n').join('');
+}
+
+/**
+ * Businesses that have coordinates. The map formats skip the rest.
+ * @param {Array} businesses
+ * @returns {Array}
+ */
+function locatedOnly(businesses) {
+    return businesses.filter((biz) => typeof biz.latitude === 'number' && typeof biz.longitude === 'number');
+}
+
+/**
+ * Build a GeoJSON FeatureCollection with one Point per located lead.
+ * @param {Array} businesses
+ * @returns {string}
+ */
+function toGeoJson(businesses) {
+    return JSON.stringify({
+        type: 'FeatureCollection',
+        features: locatedOnly(businesses).map((biz) => ({
+            type: 'Feature',
+            // GeoJSON order is [longitude, latitude]
+            geometry: { type: 'Point', coordinates: [biz.longitude, biz.latitude] },
+            properties: toRecord(biz),
+        })),
+    }, null, 2);
+}
+
+/**
+ * Escape text for XML content and attributes.
+ * @param {*} value
+ * @returns {string}
+ */
+function escapeXml(value) {
+    if (value === null || value === undefined) return '';
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+/**
+ * Build a KML document with one Placemark per located lead, for Google Earth
+ * and My Maps. Every export column is kept as ExtendedData.
+ * @param {Array} businesses
+ * @returns {string}
+ */
+function toKml(businesses) {
+    const placemarks = locatedOnly(businesses).map((biz) => {
+        const record = toRecord(biz);
+        const description = [biz.address, biz.phone, biz.website].filter(Boolean).join('\n');
+        const data = LEAD_COLUMNS
+            .map((col) => `        <Data name="${escapeXml(col.key)}"><displayName>${escapeXml(col.header)}</displayName><value>${escapeXml(record[col.key])}</value></Data>`)
+            .join('\n');
+        return [
+            '    <Placemark>',
+            `      <name>${escapeXml(biz.name)}</name>`,
+            `      <description>${escapeXml(description)}</description>`,
+            '      <ExtendedData>',
+            data,
+            '      </ExtendedData>',
+            `      <Point><coordinates>${biz.longitude},${biz.latitude},0</coordinates></Point>`,
+            '    </Placemark>',
+        ].join('\n');
+    });
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<kml xmlns="http://www.opengis.net/kml/2.2">',
+        '  <Document>',
+        '    <name>LeadScraper leads</name>',
+        ...placemarks,
+        '  </Document>',
+        '</kml>',
+        '',
+    ].join('\n');
+}
+
+/**
+ * Render businesses in a text format.
+ * @param {Array} businesses
+ * @param {string} format - 'csv', 'json', 'ndjson', 'geojson' or 'kml'
+ * @returns {string}
+ */
+function formatLeads(businesses, format) {
+    switch (format) {
+        case 'csv':
+            return toCsv(businesses);
+        case 'json':
+            return toJson(businesses);
+        case 'ndjson':
+            return toNdjson(businesses);
+        case 'geojson':
+            return toGeoJson(businesses);
+        case 'kml':
+            return toKml(businesses);
+        default:
+            throw new Error(`Unsupported text format: ${format}`);
+    }
+}
+
+/**
+ * Write businesses to a file, picking the format from the extension.
+ * @param {Array} businesses
+ * @param {string} outputPath - e.g. leads.xlsx, leads.csv
+ * @param {Object} [options] - Passed to generateExcel for .xlsx files
+ * @returns {Promise<string>} Path to the written file
+ */
+async function writeLeads(businesses, outputPath, options = {}) {
+    const format = path.extname(outputPath).slice(1).toLowerCase();
+    if (!EXPORT_FORMATS[format]) {
+        throw new Error(`Unsupported output format ".${format}". Use one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+    }
+
+    if (format === 'xlsx') {
+        return generateExcel(businesses, outputPath, options);
+    }
+
+    const dir = path.dirname(outputPath);
+    if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+    }
+    fs.writeFileSync(outputPath, formatLeads(businesses, format), 'utf8');
+    return outputPath;
+}
+
+module.exports = { EXPORT_FORMATS, formatLeads, writeLeads, toCsv, toJson, toNdjson, toGeoJson, toKml };
@@ -0,0 +1,187 @@
+/**
+ * DOM extractors for the Google pages the scraper visits.
+ *
+ * Every function here is handed to page.evaluate(), so it runs inside the
+ * browser and must stay self-contained (no references to module scope).
+ * Keeping them apart from the navigation code lets them run unchanged
+ * against live pages or recorded HTML snapshots.
+ */
+
+/**
+ * Extract lead cards from the Local Search (tbm=lcl) result list.
+ * @param {string} cat - Category to tag each lead with
+ * @returns {Array} Basic lead objects
+ */
+function extractLocalSearchCards(cat) {
+    const items = [];
+    // Selector for Local search list items
+    const cards = document.querySelectorAll('div[role="article"], .Vkp9Ed, .C8077e, a[href*="/maps/place/"]');
+
+    cards.forEach(card => {
+        // Find name
+        const nameEl = card.querySelector('div.uOaeOf, h3, .qBF1Pd, .fontHeadlineSmall');
+        const linkEl = card.querySelector('a[href*="/maps/place/"]') || card;
+        const url = linkEl.href || '';
+        const name = nameEl ? nameEl.textContent.trim() : card.getAttribute('aria-label') || '';
+
+        if (name && url.includes('/maps/place/') && !items.find(x => x.url === url)) {
+            items.push({
+                category: cat,
+                name: name,
+                url: url,
+                address: '',
+                rating: card.querySelector('.MW4etd, .Y0A1S')?.textContent || '',
+                reviews: card.querySelector('.UY7F9, .R9Z9Sp')?.textContent?.replace(/[^0-9]/g, '') || '',
+                phone: '',
+                website: ''
+            });
+        }
+    });
+    return items;
+}
+
+/**
+ * Extract place links from the full Google Maps search layout.
+ * Used as the fallback when the Local Search list comes back empty.
+ * @param {string} cat - Category to tag each lead with
+ * @returns {Array} Basic lead objects
+ */
+function extractMapsPlaceLinks(cat) {
+    const items = [];
+    document.querySelectorAll('a[href*="/maps/place/"]').forEach(a => {
+        const name = a.getAttribute('aria-label') || '';
+        if (name && !items.find(x => x.url === a.href)) {
+            items.push({
+                category: cat,
+                name: name,
+                url: a.href,
+                address: '',
+                rating: '',
+                reviews: '',
+                phone: '',
+                website: ''
+            });
+        }
+    });
+    return items;
+}
+
+/**
+ * Extract contact and profile details from a place profile page.
+ * @returns {Object} { address, phone, website, rating, reviews, businessType,
+ *   openingHours, priceLevel, plusCode, claimed, socialLinks }
+ */
+function extractPlaceDetails() {
+    const d = {
+        address: '',
+        phone: '',
+        website: '',
+        rating: '',
+        reviews: '',
+        businessType: '',
+        openingHours: [],
+        priceLevel: '',
+        plusCode: '',
+        claimed: null,
+        socialLinks: {}
+    };
+
+    // Rating/Reviews
+    const r = document.querySelector('span[role="img"][aria-label*="stars"]');
+    if (r) d.rating = r.getAttribute('aria-label').split(' ')[0];
+    const rev = document.querySelector('button[aria-label*="reviews"]');
+    if (rev) d.reviews = rev.getAttribute('aria-label').replace(/[^0-9]/g, '');
+
+    // Primary business type, shown under the name
+    const type = document.querySelector('button[jsaction*="category"], button.DkEaL');
+    if (type) d.businessType = type.textContent.trim();
+
+    // Price level: "Price: Moderate" label, or a run of currency symbols
+    const price = document.querySelector('[aria-label^="Price: "]');
+    if (price) {
+        d.priceLevel = price.getAttribute('aria-label').replace('Price: ', '').trim();
+    } else {
+        const symbols = Array.from(document.querySelectorAll('span'))
+            .find(el => el.children.length === 0 && /^[$€£₹¥₩]{1,4}$/.test(el.textContent.trim()));
+        if (symbols) d.priceLevel = symbols.textContent.trim();
+    }
+
+    // Opening hours table (one row per day), or the summary label
+    document.querySelectorAll('table tr').forEach(row => {
+        const cells = row.querySelectorAll('td');
+        if (cells.length < 2) return;
+        const day = cells[0].textContent.trim();
+        const hours = (cells[1].getAttribute('aria-label') || cells[1].textContent).replace(/\s+/g, ' ').trim();
+        if (day && hours && /day|^[A-Z][a-z]{1,2}$/i.test(day)) d.openingHours.push({ day, hours });
+    });
+    if (d.openingHours.length === 0) {
+        const summary = document.querySelector('[aria-label*="Hide open hours"], [aria-label*="open hours for the week"], .t39EBf[aria-label]');
+        const label = summary ? summary.getAttribute('aria-label') : '';
+        label.replace(/\.?\s*Hide open hours.*$/i, '').split(';').forEach(part => {
+            const [day, ...rest] = part.split(',');
+            if (day && rest.length) d.openingHours.push({ day: day.trim(), hours: rest.join(',').trim() });
+        });
+    }
+
+    // Detail Search
+    document.querySelectorAll('button[data-item-id], a[data-item-id]').forEach(el => {
+        const id = el.getAttribute('data-item-id');
+        const label = el.getAttribute('aria-label') || '';
+        if (id?.includes('address')) d.address = label.replace('Address: ', '');
+        if (id?.includes('phone')) d.phone = label.replace('Phone: ', '');
+        if (id === 'oloc') d.plusCode = label.replace('Plus code: ', '').trim();
+        if (id?.includes('authority')) {
+            if (el.tagName === 'A') d.website = el.href;
+            else {
+                const a = el.querySelector('a');
+                if (a) d.website = a.href;
+            }
+        }
+    });
+
+    // Unclaimed listings offer "Claim this business"
+    const claimLink = Array.from(document.querySelectorAll('a, button'))
+        .find(el => /claim this business/i.test(el.getAttribute('aria-label') || el.textContent || ''));
+    if (d.address || d.phone || d.rating) d.claimed = !claimLink;
+
+    // Social profiles linked from the listing
+    const networks = {
+        facebook: /(^|\.)(facebook\.com|fb\.com)$/,
+        instagram: /(^|\.)instagram\.com$/,
+        twitter: /(^|\.)(twitter\.com|x\.com)$/,
+        linkedin: /(^|\.)linkedin\.com$/,
+        youtube: /(^|\.)(youtube\.com|youtu\.be)$/,
+        tiktok: /(^|\.)tiktok\.com$/
+    };
+    const links = Array.from(document.querySelectorAll('a[href^="http"]')).map(a => a.href);
+    if (d.website) links.unshift(d.website);
+    links.forEach(href => {
+        let host = '';
+        try {
+            const url = new URL(href);
+            // Google wraps outbound links in /url?q=
+            if (/(^|\.)google\.[a-z.]+$/.test(url.hostname) && url.pathname === '/url') {
+                href = url.searchParams.get('q') || href;
+            }
+            host = new URL(href).hostname.toLowerCase();
+        } catch (e) {
+            return;
+        }
+        Object.entries(networks).forEach(([network, pattern]) => {
+            if (!d.socialLinks[network] && pattern.test(host)) d.socialLinks[network] = href;
+        });
+    });
+
+    return d;
+}
+
+/**
+ * Business name shown on a place profile page.
+ * @returns {string}
+ */
+function extractPlaceName() {
+    const heading = document.querySelector('h1');
+    return heading ? heading.textContent.trim() : '';
+}
+
+module.exports = { extractLocalSearchCards, extractMapsPlaceLinks, extractPlaceDetails, extractPlaceName };
@@ -0,0 +1,95 @@
+const path = require('path');
+const fs = require('fs');
+const { createMemoryStore, createFileStore } = require('./store');
+
+/**
+ * Job repositories, built on the generic stores in store.js.
+ */
+
+/**
+ * Plain in-memory job store. Loses everything on restart.
+ * @returns {Object} Job store
+ */
+function createMemoryJobStore() {
+    return createMemoryStore();
+}
+
+/**
+ * JSON-file job store.
+ *
+ * Jobs are saved on every progress update, so their results stay out of the
+ * jobs file: each job's results go to their own file next to it
+ * (jobs.json -> jobs-results/<jobId>.json), written only when the job gets
+ * a new results list, which happens once, when it finishes.
+ * @param {string} filePath - Where to keep the jobs file
+ * @param {number} [flushDelay=250] - Debounce delay in ms
+ * @returns {Object} Job store
+ */
+function createFileJobStore(filePath, flushDelay = 250) {
+    const resultsDir = path.join(path.dirname(filePath), `${path.basename(filePath, '.json')}-results`);
+    const resultsPath = (id) => path.join(resultsDir, `${id}.json`);
+    // Results lists already on disk
+    const written = new WeakSet();
+
+    function writeResults(job) {
+        if (!Array.isArray(job.results) || job.results.length === 0 || written.has(job.results)) return;
+        fs.mkdirSync(resultsDir, { recursive: true });
+        const tmpPath = `${resultsPath(job.id)}.tmp`;
+        fs.writeFileSync(tmpPath, JSON.stringify(job.results));
+        fs.renameSync(tmpPath, resultsPath(job.id));
+        written.add(job.results);
+    }
+
+    function readResults(job) {
+        // Jobs files from before the split still hold their results: move them out
+        if (Array.isArray(job.results) && job.results.length > 0) {
+            writeResults(job);
+            return job;
+        }
+        let results = [];
+        if (fs.existsSync(resultsPath(job.id))) {
+            try {
+                results = JSON.parse(fs.readFileSync(resultsPath(job.id), 'utf8'));
+                written.add(results);
+            } catch (err) {
+                console.error(`Could not read results of job ${job.id}:`, err.message);
+            }
+        }
+        return { ...job, results };
+    }
+
+    const store = createFileStore(filePath, {
+        collection: 'jobs',
+        flushDelay,
+        serialize: ({ results, ...job }) => job,
+        deserialize: readResults,
+    });
+
+    return {
+        ...store,
+        save: (job) => {
+            writeResults(job);
+            store.save(job);
+        },
+        delete: (id) => {
+            if (fs.existsSync(resultsPath(id))) fs.unlinkSync(resultsPath(id));
+            return store.delete(id);
+        },
+    };
+}
+
+/**
+ * Pick a store from the environment:
+ * - JOB_STORE=memory keeps jobs in memory only
+ * - otherwise jobs go to JOB_STORE_FILE (default: data/jobs.json)
+ * @returns {Object} Job store
+ */
+function createJobStore() {
+    if (process.env.JOB_STORE === 'memory') {
+        return createMemoryJobStore();
+    }
+    const filePath = process.env.JOB_STORE_FILE || path.join(__dirname, 'data', 'jobs.json');
+    return createFileJobStore(filePath);
+}
+
+module.exports = { createJobStore, createMemoryJobStore, createFileJobStore };
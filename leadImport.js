@@ -0,0 +1,204 @@
+const path = require('path');
+const XLSX = require('xlsx');
+
+/**
+ * Importing existing lead lists (CSV or XLSX) to clean, dedupe and enrich.
+ *
+ * Sheet columns are mapped onto lead fields ({ name: 'Company', city: 'Town' }).
+ * Rows with only a name and a place are looked up on Google Maps (see
+ * lookupBusinesses in scraper.js) and merged with what was found. Every row
+ * ends up with an importStatus (IMPORT_STATUSES).
+ */
+
+// Lead fields a sheet column can map to, with the headers recognised for each
+const IMPORT_FIELDS = {
+    name: ['name', 'business name', 'business', 'company', 'company name', 'organisation', 'organization'],
+    category: ['category', 'type', 'industry', 'business type'],
+    address: ['address', 'full address', 'street address', 'street'],
+    city: ['city', 'town', 'locality', 'location'],
+    state: ['state', 'region', 'province', 'county'],
+    country: ['country'],
+    phone: ['phone', 'phone number', 'telephone', 'tel', 'mobile', 'contact number'],
+    email: ['email', 'email id', 'email address', 'e-mail'],
+    website: ['website', 'website url', 'web', 'site', 'homepage'],
+    url: ['google maps link', 'maps url', 'google maps url', 'maps link'],
+    rating: ['rating', 'stars'],
+    reviews: ['reviews', 'review count'],
+};
+
+const IMPORT_STATUSES = {
+    matched: 'Matched', // Found on Maps, nothing new
+    updated: 'Updated', // Found on Maps, details added
+    'not-found': 'Not Found', // Looked up, no matching business
+    'lookup-failed': 'Lookup Failed', // Google blocked or failed the lookup
+    imported: 'Imported', // Not looked up (had contact details, enrichment off or cancelled)
+};
+
+// Fields a lookup can fill in on an imported row
+const ENRICHED_FIELDS = ['address', 'phone', 'website', 'rating', 'reviews', 'url', 'resolvedUrl', 'businessType', 'openingHours', 'priceLevel', 'plusCode', 'claimed', 'socialLinks'];
+
+const MAX_IMPORT_ROWS = 5000;
+
+/**
+ * Thrown for an unreadable file or an invalid column mapping.
+ */
+class ImportError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ImportError';
+    }
+}
+
+/**
+ * Read the first sheet of a CSV or XLSX file.
+ * @param {Buffer} buffer - File contents
+ * @param {string} filename - Used for the extension
+ * @returns {{ headers: Array<string>, rows: Array<Object> }} Rows keyed by header
+ * @throws {ImportError}
+ */
+function readLeadSheet(buffer, filename) {
+    const extension = path.extname(filename || '').toLowerCase();
+    if (!['.csv', '.xlsx', '.xls'].includes(extension)) {
+        throw new ImportError(`Unsupported file "${filename}". Upload a .csv or .xlsx file`);
+    }
+
+    let workbook;
+    try {
+        // CSV is read as text so UTF-8 names survive
+        workbook = extension === '.csv'
+            ? XLSX.read(buffer.toString('utf8').replace(/^\uFEFF/, ''), { type: 'string' })
+            : XLSX.read(buffer, { type: 'buffer' });
+    } catch (err) {
+        throw new ImportError(`Could not read ${filename}: ${err.message}`);
+    }
+
+    const sheet = workbook.Sheets[workbook.SheetNames[0]];
+    const rows = sheet ? XLSX.utils.sheet_to_json(sheet, { defval: '', raw: false }) : [];
+    if (rows.length === 0) {
+        throw new ImportError(`${filename} has no rows`);
+    }
+    if (rows.length > MAX_IMPORT_ROWS) {
+        throw new ImportError(`${filename} has ${rows.length} rows. The limit is ${MAX_IMPORT_ROWS}.`);
+    }
+
+    const headers = XLSX.utils.sheet_to_json(sheet, { header: 1 })[0].map((header) => String(header).trim()).filter(Boolean);
+    return { headers, rows };
+}
+
+/**
+ * Guess the column mapping from the headers (case and spacing are ignored).
+ * @param {Array<string>} headers
+ * @returns {Object} { field: header } for the fields that were recognised
+ */
+function suggestMapping(headers) {
+    const normalize = (text) => String(text).toLowerCase().replace(/[_\s]+/g, ' ').trim();
+    const mapping = {};
+    Object.entries(IMPORT_FIELDS).forEach(([field, aliases]) => {
+        const header = headers.find((h) => aliases.includes(normalize(h)) && !Object.values(mapping).includes(h));
+        if (header) mapping[field] = header;
+    });
+    return mapping;
+}
+
+/**
+ * Turn sheet rows into leads.
+ * @param {Array<Object>} rows - readLeadSheet() rows
+ * @param {Object} mapping - { field: header }
+ * @param {Array<string>} headers - Headers of the sheet
+ * @returns {Array<Object>} Leads with importRow (the row number in the sheet);
+ *   rows without a name are dropped
+ * @throws {ImportError} For unknown fields or headers, or no name column
+ */
+function applyMapping(rows, mapping, headers) {
+    if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+        throw new ImportError('mapping must be an object like { "name": "Company", "city": "Town" }');
+    }
+    const unknownFields = Object.keys(mapping).filter((field) => !IMPORT_FIELDS[field]);
+    if (unknownFields.length > 0) {
+        throw new ImportError(`Unknown fields in mapping: ${unknownFields.join(', ')}. Fields: ${Object.keys(IMPORT_FIELDS).join(', ')}`);
+    }
+    const missingHeaders = Object.values(mapping).filter((header) => header && !headers.includes(header));
+    if (missingHeaders.length > 0) {
+        throw new ImportError(`Columns not in the file: ${missingHeaders.join(', ')}`);
+    }
+    if (!mapping.name) {
+        throw new ImportError('Map a column to "name" (the business name)');
+    }
+
+    const leads = [];
+    rows.forEach((row, i) => {
+        const lead = { importRow: i + 2 }; // Row 1 holds the headers
+        Object.entries(mapping).forEach(([field, header]) => {
+            if (!header) return;
+            // Drop the apostrophe our CSV export puts before "+", "=" and the like
+            lead[field] = String(row[header] === undefined ? '' : row[header]).trim().replace(/^'(?=[=+\-@])/, '');
+        });
+        if (lead.name) leads.push(lead);
+    });
+    return leads;
+}
+
+/**
+ * Whether a row only has a name and a place, so it should be looked up.
+ * @param {Object} lead
+ * @returns {boolean}
+ */
+function needsLookup(lead) {
+    return Boolean(lead.name && (lead.city || lead.state) && !lead.address && !lead.phone && !lead.website && !lead.url);
+}
+
+/**
+ * Where to look a row up: its city, state and country.
+ * @param {Object} lead
+ * @param {string} [country] - Default country of the import
+ * @returns {string}
+ */
+function lookupLocation(lead, country) {
+    return [lead.city, lead.state, lead.country || country].filter(Boolean).join(' ');
+}
+
+/**
+ * Whether a field holds no value (empty strings, lists and objects count as empty).
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isEmpty(value) {
+    if (value === undefined || value === null || value === '') return true;
+    if (Array.isArray(value)) return value.length === 0;
+    return typeof value === 'object' && Object.keys(value).length === 0;
+}
+
+/**
+ * Merge a looked-up place into an imported row. Imported values win; the
+ * place fills in what the row lacks.
+ * @param {Object} lead - Imported row
+ * @param {Object} place - lookupBusinesses() place
+ * @returns {Object} The merged lead, with importStatus 'updated' or 'matched'
+ */
+function mergeLookup(lead, place) {
+    const merged = { ...lead };
+    let filled = 0;
+    ENRICHED_FIELDS.forEach((field) => {
+        const value = place[field];
+        if (isEmpty(merged[field]) && !isEmpty(value)) {
+            merged[field] = value;
+            // The Maps link alone is not news to the user
+            if (field !== 'url' && field !== 'resolvedUrl') filled++;
+        }
+    });
+    merged.importStatus = filled > 0 ? 'updated' : 'matched';
+    return merged;
+}
+
+module.exports = {
+    IMPORT_FIELDS,
+    IMPORT_STATUSES,
+    MAX_IMPORT_ROWS,
+    ImportError,
+    readLeadSheet,
+    suggestMapping,
+    applyMapping,
+    needsLookup,
+    lookupLocation,
+    mergeLookup,
+};
@@ -0,0 +1,69 @@
+/**
+ * Helpers for reading Google Maps place URLs, which carry the place
+ * identifier and coordinates of a lead.
+ */
+
+/**
+ * Pull a stable Google place identifier out of a Maps URL.
+ * Prefers the CID (the second half of the "0x..:0x.." feature ID, or a cid=
+ * parameter), and falls back to a "ChIJ..." place ID.
+ * @param {string} url
+ * @returns {string} e.g. 'cid:8521459874563214' or 'ChIJ...', '' if none
+ */
+function parsePlaceId(url) {
+    if (!url) return '';
+    let decoded = url;
+    try {
+        decoded = decodeURIComponent(url);
+    } catch (e) {
+        // Keep the raw URL
+    }
+
+    const featureId = decoded.match(/(0x[0-9a-f]+):(0x[0-9a-f]+)/i);
+    if (featureId) {
+        try {
+            return `cid:${BigInt(featureId[2]).toString()}`;
+        } catch (e) {
+            // Fall through to the other forms
+        }
+    }
+
+    const cid = decoded.match(/[?&](?:cid|ludocid)=(\d+)/i);
+    if (cid) return `cid:${cid[1]}`;
+
+    const placeId = decoded.match(/(?:place_id[:=]|query_place_id=|!19s)(ChIJ[\w-]+)/);
+    if (placeId) return placeId[1];
+
+    return '';
+}
+
+/**
+ * Read the coordinates of a place from its Maps URL. The "!3d<lat>!4d<lng>"
+ * data pair is the pin itself; "@lat,lng" is only the map centre, so it is
+ * used as a fallback.
+ * @param {string} url
+ * @returns {{ latitude: number, longitude: number }|null}
+ */
+function parseCoordinates(url) {
+    if (!url) return null;
+
+    const valid = (lat, lng) => Math.abs(lat) <= 90 && Math.abs(lng) <= 180;
+
+    const pin = url.match(/!3d(-?\d+(?:\.\d+)?)!4d(-?\d+(?:\.\d+)?)/);
+    if (pin) {
+        const latitude = parseFloat(pin[1]);
+        const longitude = parseFloat(pin[2]);
+        if (valid(latitude, longitude)) return { latitude, longitude };
+    }
+
+    const centre = url.match(/@(-?\d+(?:\.\d+)?),(-?\d+(?:\.\d+)?)/);
+    if (centre) {
+        const latitude = parseFloat(centre[1]);
+        const longitude = parseFloat(centre[2]);
+        if (valid(latitude, longitude)) return { latitude, longitude };
+    }
+
+    return null;
+}
+
+module.exports = { parsePlaceId, parseCoordinates };
@@ -0,0 +1,238 @@
+#!/usr/bin/env node
+const path = require('path');
+const { z } = require('zod');
+const { McpServer, ResourceTemplate } = require('@modelcontextprotocol/sdk/server/mcp.js');
+const { StdioServerTransport } = require('@modelcontextprotocol/sdk/server/stdio.js');
+
+/**
+ * Model Context Protocol server (stdio) for lead research from AI assistants.
+ *
+ * Runs the same job logic as the web server (server.js) in this process:
+ * tools start scrapes and read their results, and the results of finished
+ * jobs are exposed as `leadscraper://jobs/{jobId}/results` resources.
+ * See mcp.json for a client configuration.
+ */
+
+// stdout carries the protocol, so everything the scraper logs goes to stderr
+console.log = console.error;
+
+// Keep this process's records apart from a web server running in the same
+// checkout: a file store rewrites its whole file, so two processes sharing one
+// would overwrite each other's changes
+const MCP_STORE_FILES = {
+    JOB_STORE_FILE: 'mcp-jobs.json',
+    TEMPLATE_STORE_FILE: 'mcp-templates.json',
+    SEARCH_STORE_FILE: 'mcp-searches.json',
+    SCHEDULE_STORE_FILE: 'mcp-schedules.json',
+    API_KEY_STORE_FILE: 'mcp-apiKeys.json',
+};
+for (const [variable, file] of Object.entries(MCP_STORE_FILES)) {
+    if (!process.env[variable]) {
+        process.env[variable] = path.join(__dirname, 'data', file);
+    }
+}
+
+const { jobs, createJob, enqueueJob, processQueue, statusPayload, shutdown, DOWNLOADABLE_STATUSES } = require('./server');
+const { LEAD_COLUMNS, toRecord } = require('./columns');
+const { EXPORT_FORMATS, writeLeads } = require('./exporters');
+const { version } = require('./package.json');
+
+const RESULTS_URI = 'leadscraper://jobs/{jobId}/results';
+
+// export_job only writes inside this directory
+const OUTPUT_DIR = path.join(__dirname, 'output');
+
+/**
+ * Tool result holding JSON text.
+ * @param {*} data
+ * @returns {Object}
+ */
+function jsonResult(data) {
+    return { content: [{ type: 'text', text: JSON.stringify(data, null, 2) }] };
+}
+
+/**
+ * Tool error result.
+ * @param {string} message
+ * @returns {Object}
+ */
+function errorResult(message) {
+    return { content: [{ type: 'text', text: message }], isError: true };
+}
+
+/**
+ * A job whose results can be read, or the reason it cannot.
+ * @param {string} jobId
+ * @returns {{ job: Object }|{ error: string }}
+ */
+function finishedJob(jobId) {
+    const job = jobs.get(jobId);
+    if (!job) return { error: `Job not found: ${jobId}` };
+    if (!DOWNLOADABLE_STATUSES.includes(job.status)) {
+        return { error: `Job ${jobId} has no results yet (status: ${job.status}). Check get_job_status.` };
+    }
+    return { job };
+}
+
+/**
+ * Leads of a job that pass the list_job_results filters.
+ * @param {Array} results - Cleaned leads
+ * @param {Object} filters
+ * @returns {Array}
+ */
+function filterLeads(results, filters) {
+    const text = (filters.query || '').toLowerCase();
+    return results.filter((biz) => {
+        if (filters.tier && biz.tier !== filters.tier) return false;
+        if (filters.minScore !== undefined && !(biz.score >= filters.minScore)) return false;
+        if (filters.minRating !== undefined && !(parseFloat(biz.rating) >= filters.minRating)) return false;
+        if (filters.maxReviews !== undefined && (parseInt(biz.reviews, 10) || 0) > filters.maxReviews) return false;
+        if (filters.hasWebsite !== undefined && Boolean(biz.website) !== filters.hasWebsite) return false;
+        if (filters.hasEmail !== undefined && Boolean(biz.email) !== filters.hasEmail) return false;
+        if (filters.hasPhone !== undefined && Boolean(biz.phone) !== filters.hasPhone) return false;
+        if (text && !`${biz.name} ${biz.address} ${biz.category}`.toLowerCase().includes(text)) return false;
+        return true;
+    });
+}
+
+const server = new McpServer({ name: 'leadscraper', version });
+
+server.registerTool('start_scrape', {
+    title: 'Start a Google Maps lead scrape',
+    description: 'Queue a scrape of Google Maps businesses. Returns a job ID right away; scrapes take minutes, so poll get_job_status until the status is complete, then read the leads with list_job_results. Several categories and states run as one batch job.',
+    inputSchema: {
+        category: z.string().optional().describe('Business category, e.g. "Dentists"'),
+        categories: z.array(z.string()).optional().describe('Several categories (instead of category)'),
+        state: z.string().optional().describe('State or region, e.g. "Kerala"'),
+        states: z.array(z.string()).optional().describe('Several states (instead of state)'),
+        country: z.string().describe('Country, e.g. "India"'),
+        leads: z.number().int().min(1).optional().describe('Leads per search (default 20, max 100; 5000 with largeArea)'),
+        largeArea: z.boolean().optional().describe('Tile each region by city or grid to reach many more businesses'),
+        audit: z.boolean().optional().describe('Audit lead websites (HTTPS, speed, mobile, SEO tags, broken links)'),
+        templateId: z.string().optional().describe('Ice-breaker template ID (default: "default")'),
+    },
+}, async (args) => {
+    const { job, error } = createJob(args);
+    if (error) return errorResult(error);
+    enqueueJob(job);
+    return jsonResult({ jobId: job.id, status: job.status, queries: job.queries.length, maxLeadsPerSearch: job.maxLeads });
+});
+
+server.registerTool('get_job_status', {
+    title: 'Get scrape job status',
+    description: 'Progress of a scrape job: status (queued, scraping, validating, generating, complete, cancelled, error, interrupted), progress percentage, message and lead count.',
+    inputSchema: {
+        jobId: z.string().describe('Job ID from start_scrape'),
+    },
+    annotations: { readOnlyHint: true },
+}, async ({ jobId }) => {
+    const job = jobs.get(jobId);
+    if (!job) return errorResult(`Job not found: ${jobId}`);
+    const { results, ...status } = statusPayload(job);
+    return jsonResult({ ...status, resultsUri: DOWNLOADABLE_STATUSES.includes(job.status) ? RESULTS_URI.replace('{jobId}', job.id) : null });
+});
+
+server.registerTool('list_job_results', {
+    title: 'List leads of a finished job',
+    description: 'Leads of a complete (or cancelled) job, best score first, with optional filters and paging.',
+    inputSchema: {
+        jobId: z.string().describe('Job ID from start_scrape'),
+        tier: z.enum(['hot', 'warm', 'cold']).optional(),
+        minScore: z.number().min(0).max(100).optional(),
+        minRating: z.number().min(0).max(5).optional(),
+        maxReviews: z.number().int().min(0).optional(),
+        hasWebsite: z.boolean().optional(),
+        hasEmail: z.boolean().optional(),
+        hasPhone: z.boolean().optional(),
+        query: z.string().optional().describe('Text to find in the name, address or category'),
+        fields: z.array(z.string()).optional().describe(`Record keys to return (default: all). Keys: ${LEAD_COLUMNS.map((col) => col.key).join(', ')}`),
+        offset: z.number().int().min(0).optional(),
+        limit: z.number().int().min(1).max(500).optional().describe('Default 50'),
+    },
+    annotations: { readOnlyHint: true },
+}, async ({ jobId, fields, offset = 0, limit = 50, ...filters }) => {
+    const { job, error } = finishedJob(jobId);
+    if (error) return errorResult(error);
+
+    const matches = filterLeads(job.results, filters);
+    const records = matches.slice(offset, offset + limit).map((biz) => {
+        const record = toRecord(biz);
+        if (!fields || fields.length === 0) return record;
+        return Object.fromEntries(fields.filter((key) => key in record).map((key) => [key, record[key]]));
+    });
+    return jsonResult({ jobId, total: job.results.length, matched: matches.length, offset, count: records.length, leads: records });
+});
+
+server.registerTool('export_job', {
+    title: 'Export a job to a file',
+    description: `Write the leads of a finished job to a file. The format is taken from the extension of outputPath (${Object.keys(EXPORT_FORMATS).join(', ')}), or from format.`,
+    inputSchema: {
+        jobId: z.string().describe('Job ID from start_scrape'),
+        outputPath: z.string().optional().describe('File to write, relative to the server\'s output/ directory (default: leads_<jobId>.<format>)'),
+        format: z.enum(Object.keys(EXPORT_FORMATS)).optional().describe('Used when outputPath has no extension (default: xlsx)'),
+    },
+}, async ({ jobId, outputPath, format }) => {
+    const { job, error } = finishedJob(jobId);
+    if (error) return errorResult(error);
+
+    let target = outputPath || `leads_${job.id}.${format || 'xlsx'}`;
+    if (!path.extname(target)) target += `.${format || 'xlsx'}`;
+    if (path.isAbsolute(target)) {
+        return errorResult('outputPath must be relative to the output/ directory');
+    }
+    target = path.resolve(OUTPUT_DIR, target);
+    const relative = path.relative(OUTPUT_DIR, target);
+    if (!relative || relative === '..' || relative.startsWith(`..${path.sep}`) || path.isAbsolute(relative)) {
+        return errorResult('outputPath must stay inside the output/ directory');
+    }
+
+    try {
+        await writeLeads(job.results, target, { optionalColumns: job.optionalColumns, changes: job.diff, imported: job.type === 'import' });
+    } catch (err) {
+        return errorResult(err.message);
+    }
+    return jsonResult({ jobId, path: target, leads: job.results.length });
+});
+
+server.registerResource('job-results', new ResourceTemplate(RESULTS_URI, {
+    list: async () => ({
+        resources: jobs.list()
+            .filter((job) => DOWNLOADABLE_STATUSES.includes(job.status))
+            .map((job) => ({
+                uri: RESULTS_URI.replace('{jobId}', job.id),
+                name: `${job.category} in ${job.state}, ${job.country} (${job.resultCount} leads)`,
+                mimeType: 'application/json',
+            })),
+    }),
+}), {
+    title: 'Scrape job results',
+    description: 'All leads of a finished scrape job as JSON records',
+    mimeType: 'application/json',
+}, async (uri, { jobId }) => {
+    const { job, error } = finishedJob(jobId);
+    if (error) throw new Error(error);
+    return {
+        contents: [{
+            uri: uri.href,
+            mimeType: 'application/json',
+            text: JSON.stringify(job.results.map((biz) => toRecord(biz)), null, 2),
+        }],
+    };
+});
+
+/**
+ * Start serving on stdin/stdout.
+ */
+async function main() {
+    await server.connect(new StdioServerTransport());
+    console.error(`LeadScraper MCP server ${version} ready on stdio`);
+    processQueue();
+
+    // The client closed the connection: save job state and quit
+    process.stdin.on('close', shutdown);
+}
+
+main().catch((err) => {
+    console.error('MCP server failed:', err);
+    process.exit(1);
+});
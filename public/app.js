@@ -1,6 +1,7 @@
 /**
  * LeadScraper — Frontend Application Logic
- * Handles form submission, progress polling, results display, and file download.
+ * Handles form submission, live progress (SSE with polling fallback), cancellation,
+ * results display, and file download.
  */
 
 (function () {
@@ -15,8 +16,11 @@
     const scrapeForm = document.getElementById('scrape-form');
     const submitBtn = document.getElementById('submit-btn');
     const downloadBtn = document.getElementById('download-btn');
+    const downloadFormat = document.getElementById('download-format');
     const newScrapeBtn = document.getElementById('new-scrape-btn');
     const retryBtn = document.getElementById('retry-btn');
+    const cancelBtn = document.getElementById('cancel-btn');
+    const templateSelect = document.getElementById('template');
 
     const progressTitle = document.getElementById('progress-title');
     const progressMessage = document.getElementById('progress-message');
@@ -24,14 +28,41 @@
     const progressPercent = document.getElementById('progress-percent');
     const detailStatus = document.getElementById('detail-status');
     const detailCount = document.getElementById('detail-count');
+    const detailQueryItem = document.getElementById('detail-query-item');
+    const detailQuery = document.getElementById('detail-query');
+    const detailTileItem = document.getElementById('detail-tile-item');
+    const detailTile = document.getElementById('detail-tile');
+    const leadsInput = document.getElementById('leads');
+    const leadsHint = document.getElementById('leads-hint');
+    const largeAreaInput = document.getElementById('large-area');
 
     const resultsTitle = document.getElementById('results-title');
     const resultsSubtitle = document.getElementById('results-subtitle');
+    const resultsWarning = document.getElementById('results-warning');
     const resultsTbody = document.getElementById('results-tbody');
     const errorMessage = document.getElementById('error-message');
+    const errorHint = document.getElementById('error-hint');
+    const errorCode = document.getElementById('error-code');
+    const resultsMapEl = document.getElementById('results-map');
+    const liveLeads = document.getElementById('live-leads');
+    const liveTbody = document.getElementById('live-tbody');
+
+    // Consecutive network failures tolerated before polling gives up
+    const MAX_POLL_FAILURES = 5;
+
+    // Lead limits per search, normal and large-area (tiled)
+    const MAX_LEADS = 100;
+    const MAX_TILED_LEADS = 5000;
+
+    // Where the API key is remembered between visits
+    const API_KEY_STORAGE = 'leadscraper.apiKey';
 
     let currentJobId = null;
     let pollInterval = null;
+    let eventSource = null;
+    let liveRows = new Map();
+    let resultsMap = null;
+    let mapLayer = null;
 
     // ===================================
     // NAVBAR SCROLL EFFECT
@@ -45,35 +76,110 @@
         }
     });
 
+    // ===================================
+    // API KEY
+    // ===================================
+    function getApiKey() {
+        return localStorage.getItem(API_KEY_STORAGE) || '';
+    }
+
+    // Ask for a key after a 401; returns false when the user gives up
+    function promptApiKey(reason) {
+        const key = window.prompt(`${reason}\n\nEnter your LeadScraper API key:`, '');
+        if (!key || !key.trim()) return false;
+        localStorage.setItem(API_KEY_STORAGE, key.trim());
+        return true;
+    }
+
+    // fetch() with the API key; asks for a (new) key and retries on 401
+    async function apiFetch(url, options = {}) {
+        for (;;) {
+            const headers = { ...(options.headers || {}) };
+            const key = getApiKey();
+            if (key) headers['X-API-Key'] = key;
+
+            const response = await fetch(url, { ...options, headers });
+            if (response.status !== 401) return response;
+
+            const data = await response.clone().json().catch(() => ({}));
+            localStorage.removeItem(API_KEY_STORAGE);
+            if (!promptApiKey(data.error || 'An API key is required.')) return response;
+        }
+    }
+
+    // EventSource and download links cannot send headers, so the key goes in the URL
+    function withApiKey(url) {
+        const key = getApiKey();
+        if (!key) return url;
+        return `${url}${url.includes('?') ? '&' : '?'}apiKey=${encodeURIComponent(key)}`;
+    }
+
+    // ===================================
+    // ICE BREAKER TEMPLATES
+    // ===================================
+    async function loadTemplates() {
+        try {
+            const response = await apiFetch('/api/templates');
+            if (!response.ok) return;
+            const data = await response.json();
+            templateSelect.innerHTML = '';
+            data.templates.forEach((template) => {
+                const option = document.createElement('option');
+                option.value = template.id;
+                option.textContent = template.language && template.language !== 'en'
+                    ? `${template.name} (${template.language})`
+                    : template.name;
+                templateSelect.appendChild(option);
+            });
+        } catch (err) {
+            // Keep the built-in default option
+        }
+    }
+
+    loadTemplates();
+
+    largeAreaInput.addEventListener('change', () => {
+        const max = largeAreaInput.checked ? MAX_TILED_LEADS : MAX_LEADS;
+        leadsInput.max = max;
+        leadsHint.textContent = `Max ${max} leads per search`;
+        if (parseInt(leadsInput.value, 10) > max) leadsInput.value = max;
+    });
+
     // ===================================
     // FORM SUBMISSION
     // ===================================
     scrapeForm.addEventListener('submit', async (e) => {
         e.preventDefault();
 
-        const category = document.getElementById('category').value.trim();
-        const state = document.getElementById('state').value.trim();
+        // Comma-separated categories/regions run as one batch job
+        const categories = splitList(document.getElementById('category').value);
+        const states = splitList(document.getElementById('state').value);
         const country = document.getElementById('country').value.trim();
-        let leads = parseInt(document.getElementById('leads').value, 10);
-
-        if (!category || !state || !country) {
+        let leads = parseInt(leadsInput.value, 10);
+        const largeArea = largeAreaInput.checked;
+        const maxLeads = largeArea ? MAX_TILED_LEADS : MAX_LEADS;
+        const templateId = templateSelect.value;
+        const audit = document.getElementById('audit').checked;
+        const excelColumns = document.getElementById('profile-columns').checked ? 'all' : undefined;
+
+        if (!categories.length || !states.length || !country) {
             shakeButton(submitBtn);
             return;
         }
 
-        // Clamp leads between 1 and 100
+        // Clamp leads between 1 and the limit
         if (isNaN(leads) || leads < 1) leads = 1;
-        if (leads > 100) leads = 100;
+        if (leads > maxLeads) leads = maxLeads;
 
         // Disable form
         submitBtn.disabled = true;
         submitBtn.querySelector('span').textContent = 'Starting...';
 
         try {
-            const response = await fetch('/api/scrape', {
+            const response = await apiFetch('/api/scrape', {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ category, state, country, leads }),
+                body: JSON.stringify({ categories, states, country, leads, largeArea, templateId, audit, excelColumns }),
             });
 
             const data = await response.json();
@@ -86,60 +192,157 @@
 
             // Show progress card
             showCard('progress');
-            startPolling();
+            trackJob();
         } catch (err) {
             showError(err.message);
         }
     });
 
     // ===================================
-    // POLLING
+    // LIVE PROGRESS
     // ===================================
+    function trackJob() {
+        if (window.EventSource) {
+            startStream();
+        } else {
+            startPolling();
+        }
+    }
+
+    function startStream() {
+        stopTracking();
+
+        eventSource = new EventSource(withApiKey(`/api/jobs/${currentJobId}/events`));
+        eventSource.addEventListener('status', (e) => handleStatus(JSON.parse(e.data)));
+        eventSource.addEventListener('lead', (e) => renderLiveLead(JSON.parse(e.data)));
+        eventSource.onerror = () => {
+            // EventSource reconnects on its own; once it gives up, fall back to polling
+            if (eventSource && eventSource.readyState === EventSource.CLOSED) {
+                eventSource = null;
+                startPolling();
+            }
+        };
+    }
+
     function startPolling() {
-        if (pollInterval) clearInterval(pollInterval);
+        stopTracking();
+        let failures = 0;
 
         pollInterval = setInterval(async () => {
+            let response;
+            try {
+                response = await apiFetch(`/api/status/${currentJobId}`);
+            } catch (err) {
+                // Network hiccup: keep trying for a while before giving up
+                failures++;
+                if (failures >= MAX_POLL_FAILURES) {
+                    stopTracking();
+                    showError(err.message);
+                }
+                return;
+            }
+            failures = 0;
+
             try {
-                const response = await fetch(`/api/status/${currentJobId}`);
                 const data = await response.json();
 
                 if (!response.ok) {
                     throw new Error(data.error || 'Failed to get status');
                 }
 
-                updateProgress(data);
-
-                if (data.status === 'complete') {
-                    clearInterval(pollInterval);
-                    pollInterval = null;
-                    setTimeout(() => showResults(data), 800);
-                } else if (data.status === 'error') {
-                    clearInterval(pollInterval);
-                    pollInterval = null;
-                    showError(data.error || 'An unknown error occurred');
-                }
+                handleStatus(data);
             } catch (err) {
-                clearInterval(pollInterval);
-                pollInterval = null;
+                stopTracking();
                 showError(err.message);
             }
         }, 1500);
     }
 
+    function stopTracking() {
+        if (pollInterval) {
+            clearInterval(pollInterval);
+            pollInterval = null;
+        }
+        if (eventSource) {
+            eventSource.close();
+            eventSource = null;
+        }
+    }
+
+    function handleStatus(data) {
+        updateProgress(data);
+
+        if (data.status === 'complete' || data.status === 'cancelled') {
+            stopTracking();
+            setTimeout(() => showResults(data), 800);
+        } else if (data.status === 'error' || data.status === 'interrupted') {
+            stopTracking();
+            showError(data.error || 'An unknown error occurred');
+        }
+    }
+
+    function renderLiveLead({ lead }) {
+        const key = lead.url || lead.name;
+        let tr = liveRows.get(key);
+        if (!tr) {
+            tr = document.createElement('tr');
+            tr.dataset.index = liveRows.size + 1;
+            liveRows.set(key, tr);
+            liveTbody.appendChild(tr);
+        }
+
+        tr.innerHTML = `
+          <td>${tr.dataset.index}</td>
+          <td title="${escapeHtml(lead.name)}">${escapeHtml(lead.name)}</td>
+          <td>${escapeHtml(lead.rating) || '—'}</td>
+          <td>${escapeHtml(lead.phone) || '—'}</td>
+          <td>${lead.website ? `<a href="${escapeHtml(lead.website)}" target="_blank" style="color:var(--primary-600)">${truncate(lead.website, 30)}</a>` : '—'}</td>
+        `;
+        liveLeads.classList.remove('hidden');
+    }
+
     function updateProgress(data) {
+        progressTitle.textContent = data.status === 'queued' ? 'Waiting in Queue...' : 'Scraping in Progress...';
         progressMessage.textContent = data.message || 'Working...';
         progressBarFill.style.width = `${data.progress || 0}%`;
         progressPercent.textContent = `${data.progress || 0}%`;
         detailStatus.textContent = capitalize(data.status || 'Working');
         detailCount.textContent = data.resultCount || '0';
+
+        const queries = data.queries || [];
+        detailQueryItem.classList.toggle('hidden', queries.length < 2);
+        detailQuery.textContent = `${data.currentQuery || 0} / ${queries.length}`;
+
+        // Large-area jobs report which tile of the current search is running
+        const current = queries[(data.currentQuery || 1) - 1];
+        const tiled = current && current.tiles;
+        detailTileItem.classList.toggle('hidden', !tiled);
+        if (tiled) detailTile.textContent = `${current.tile || 0} / ${current.tiles}`;
     }
 
     // ===================================
     // SHOW RESULTS
     // ===================================
     function showResults(data) {
-        resultsTitle.textContent = 'Scraping Complete!';
-        resultsSubtitle.textContent = `Found ${data.resultCount} verified business leads`;
+        if (data.status === 'cancelled') {
+            resultsTitle.textContent = 'Scraping Cancelled';
+            resultsSubtitle.textContent = `Kept ${data.resultCount} business leads collected before cancelling`;
+        } else {
+            resultsTitle.textContent = 'Scraping Complete!';
+            resultsSubtitle.textContent = `Found ${data.resultCount} verified business leads`;
+        }
+        if (data.mergedCount) {
+            resultsSubtitle.textContent += ` (${data.mergedCount} duplicates merged)`;
+        }
+
+        // e.g. profiles that could not be opened: { code, message, hint }
+        resultsWarning.textContent = data.warning ? `${data.warning.message} ${data.warning.hint}` : '';
+        resultsWarning.classList.toggle('hidden', !data.warning);
+
+        // A job cancelled while still queued has nothing to download
+        const nothingToDownload = data.status === 'cancelled' && !data.resultCount;
+        downloadBtn.classList.toggle('hidden', nothingToDownload);
+        downloadFormat.classList.toggle('hidden', nothingToDownload);
 
         // Populate table
         resultsTbody.innerHTML = '';
@@ -147,7 +350,7 @@
 
         if (results.length === 0) {
             const tr = document.createElement('tr');
-            tr.innerHTML = `<td colspan="5" style="text-align:center; color:var(--gray-400); padding: 2rem;">No results to preview</td>`;
+            tr.innerHTML = `<td colspan="6" style="text-align:center; color:var(--gray-400); padding: 2rem;">No results to preview</td>`;
             resultsTbody.appendChild(tr);
         } else {
             results.forEach((biz, i) => {
@@ -155,6 +358,7 @@
                 tr.innerHTML = `
           <td>${i + 1}</td>
           <td title="${escapeHtml(biz.name)}">${escapeHtml(biz.name)}</td>
+          <td title="${escapeHtml(biz.scoreReason)}"><span class="tier-badge tier-${escapeHtml(biz.tier)}">${Number(biz.score) || 0}</span></td>
           <td title="${escapeHtml(biz.address)}">${escapeHtml(biz.address)}</td>
           <td>${escapeHtml(biz.phone) || '—'}</td>
           <td>${biz.website ? `<a href="${escapeHtml(biz.website)}" target="_blank" style="color:var(--primary-600)">${truncate(biz.website, 30)}</a>` : '—'}</td>
@@ -164,14 +368,84 @@
         }
 
         showCard('results');
+        showMap(currentJobId);
     }
 
+    // ===================================
+    // RESULTS MAP
+    // ===================================
+    async function showMap(jobId) {
+        resultsMapEl.classList.add('hidden');
+        if (!window.L || !jobId) return; // Leaflet did not load
+
+        try {
+            const response = await apiFetch(`/api/download/${jobId}?format=geojson`);
+            if (!response.ok) return;
+            const geojson = await response.json();
+            if (!geojson.features || geojson.features.length === 0 || jobId !== currentJobId) return;
+
+            resultsMapEl.classList.remove('hidden');
+            if (!resultsMap) {
+                resultsMap = L.map(resultsMapEl);
+                L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
+                    maxZoom: 19,
+                    attribution: '&copy; OpenStreetMap contributors',
+                }).addTo(resultsMap);
+            }
+
+            if (mapLayer) mapLayer.remove();
+            mapLayer = L.geoJSON(geojson, {
+                onEachFeature: (feature, layer) => {
+                    const p = feature.properties;
+                    layer.bindPopup(`
+                      <div class="map-popup">
+                        <strong>${escapeHtml(p.name)}</strong>
+                        ${escapeHtml(p.address)}<br>
+                        ${p.phone ? `${escapeHtml(p.phone)}<br>` : ''}
+                        ${p.url ? `<a href="${escapeHtml(p.url)}" target="_blank">Open in Google Maps</a>` : ''}
+                      </div>
+                    `);
+                },
+            }).addTo(resultsMap);
+
+            // The container was hidden until now, so Leaflet has to re-measure it
+            resultsMap.invalidateSize();
+            resultsMap.fitBounds(mapLayer.getBounds(), { padding: [24, 24], maxZoom: 15 });
+        } catch (err) {
+            resultsMapEl.classList.add('hidden');
+        }
+    }
+
+    // ===================================
+    // CANCEL
+    // ===================================
+    cancelBtn.addEventListener('click', async () => {
+        if (!currentJobId) return;
+
+        cancelBtn.disabled = true;
+        cancelBtn.querySelector('span').textContent = 'Cancelling...';
+
+        try {
+            const response = await apiFetch(`/api/jobs/${currentJobId}`, { method: 'DELETE' });
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw new Error(data.error || 'Failed to cancel the job');
+            }
+            // Polling picks up the final 'cancelled' status
+        } catch (err) {
+            cancelBtn.disabled = false;
+            cancelBtn.querySelector('span').textContent = 'Cancel Scrape';
+            progressMessage.textContent = err.message;
+        }
+    });
+
     // ===================================
     // DOWNLOAD
     // ===================================
     downloadBtn.addEventListener('click', () => {
         if (!currentJobId) return;
-        window.location.href = `/api/download/${currentJobId}`;
+        window.location.href = withApiKey(`/api/download/${currentJobId}?format=${encodeURIComponent(downloadFormat.value)}`);
     });
 
     // ===================================
@@ -182,10 +456,13 @@
 
     function resetToForm() {
         currentJobId = null;
-        if (pollInterval) {
-            clearInterval(pollInterval);
-            pollInterval = null;
-        }
+        stopTracking();
+
+        // Reset live leads
+        liveRows = new Map();
+        liveTbody.innerHTML = '';
+        liveLeads.classList.add('hidden');
+        resultsMapEl.classList.add('hidden');
 
         // Reset form
         scrapeForm.reset();
@@ -197,6 +474,10 @@
         progressPercent.textContent = '0%';
         detailStatus.textContent = 'Starting...';
         detailCount.textContent = '0';
+        detailQueryItem.classList.add('hidden');
+        detailTileItem.classList.add('hidden');
+        cancelBtn.disabled = false;
+        cancelBtn.querySelector('span').textContent = 'Cancel Scrape';
 
         // Show form
         showCard('form');
@@ -218,14 +499,26 @@
         }
     }
 
-    function showError(msg) {
-        errorMessage.textContent = msg;
+    // A plain message, or a job error { code, message, retryable, hint }
+    function showError(error) {
+        const details = typeof error === 'string' ? { message: error } : error;
+        errorMessage.textContent = details.message;
+        errorHint.textContent = details.hint || '';
+        errorHint.classList.toggle('hidden', !details.hint);
+        errorCode.textContent = details.code ? `Error code: ${details.code}` : '';
+        errorCode.classList.toggle('hidden', !details.code);
+        // Errors that will not go away by themselves call for a different search
+        retryBtn.querySelector('span').textContent = details.retryable === false ? 'Change Search' : 'Try Again';
         showCard('error');
     }
 
     // ===================================
     // UTILITIES
     // ===================================
+    function splitList(str) {
+        return str.split(',').map((s) => s.trim()).filter(Boolean);
+    }
+
     function capitalize(str) {
         return str.charAt(0).toUpperCase() + str.slice(1);
     }
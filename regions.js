@@ -0,0 +1,147 @@
+/**
+ * Bundled regions for large-area (tiled) searches.
+ *
+ * Each region lists its bigger cities (used as search tiles in "cities" mode)
+ * and an approximate bounding box (used to lay out a grid in "grid" mode).
+ * Bounds are { north, south, east, west } in decimal degrees.
+ */
+
+const REGIONS = [
+    // United States
+    {
+        country: 'US',
+        state: 'California',
+        aliases: ['CA'],
+        bounds: { north: 42.01, south: 32.53, east: -114.13, west: -124.41 },
+        cities: ['Los Angeles', 'San Diego', 'San Jose', 'San Francisco', 'Fresno', 'Sacramento', 'Long Beach', 'Oakland', 'Bakersfield', 'Anaheim', 'Riverside', 'Santa Ana', 'Irvine', 'Stockton', 'Santa Barbara', 'Redding'],
+    },
+    {
+        country: 'US',
+        state: 'Texas',
+        aliases: ['TX'],
+        bounds: { north: 36.5, south: 25.84, east: -93.51, west: -106.65 },
+        cities: ['Houston', 'San Antonio', 'Dallas', 'Austin', 'Fort Worth', 'El Paso', 'Arlington', 'Corpus Christi', 'Plano', 'Lubbock', 'Laredo', 'Amarillo', 'Waco', 'Brownsville', 'Tyler', 'Midland'],
+    },
+    {
+        country: 'US',
+        state: 'New York',
+        aliases: ['NY'],
+        bounds: { north: 45.02, south: 40.5, east: -71.86, west: -79.76 },
+        cities: ['New York City', 'Brooklyn', 'Queens', 'Bronx', 'Staten Island', 'Buffalo', 'Rochester', 'Yonkers', 'Syracuse', 'Albany', 'White Plains', 'Ithaca', 'Binghamton', 'Utica'],
+    },
+    {
+        country: 'US',
+        state: 'Florida',
+        aliases: ['FL'],
+        bounds: { north: 31.0, south: 24.4, east: -80.03, west: -87.63 },
+        cities: ['Miami', 'Orlando', 'Tampa', 'Jacksonville', 'St. Petersburg', 'Fort Lauderdale', 'Tallahassee', 'Hialeah', 'Cape Coral', 'Gainesville', 'Pensacola', 'West Palm Beach', 'Sarasota', 'Naples'],
+    },
+    {
+        country: 'US',
+        state: 'Illinois',
+        aliases: ['IL'],
+        bounds: { north: 42.51, south: 36.97, east: -87.02, west: -91.51 },
+        cities: ['Chicago', 'Aurora', 'Naperville', 'Joliet', 'Rockford', 'Springfield', 'Elgin', 'Peoria', 'Champaign', 'Evanston', 'Bloomington'],
+    },
+    {
+        country: 'US',
+        state: 'Washington',
+        aliases: ['WA'],
+        bounds: { north: 49.0, south: 45.54, east: -116.92, west: -124.85 },
+        cities: ['Seattle', 'Spokane', 'Tacoma', 'Vancouver', 'Bellevue', 'Kent', 'Everett', 'Renton', 'Olympia', 'Yakima', 'Bellingham'],
+    },
+
+    // India
+    {
+        country: 'IN',
+        state: 'Kerala',
+        aliases: ['KL'],
+        bounds: { north: 12.79, south: 8.18, east: 77.42, west: 74.86 },
+        cities: ['Thiruvananthapuram', 'Kochi', 'Kozhikode', 'Thrissur', 'Kollam', 'Kannur', 'Alappuzha', 'Palakkad', 'Kottayam', 'Malappuram', 'Kasaragod', 'Pathanamthitta', 'Idukki', 'Wayanad'],
+    },
+    {
+        country: 'IN',
+        state: 'Karnataka',
+        aliases: ['KA'],
+        bounds: { north: 18.45, south: 11.59, east: 78.59, west: 74.05 },
+        cities: ['Bengaluru', 'Mysuru', 'Mangaluru', 'Hubballi', 'Belagavi', 'Kalaburagi', 'Davanagere', 'Ballari', 'Shivamogga', 'Tumakuru', 'Udupi', 'Vijayapura'],
+    },
+    {
+        country: 'IN',
+        state: 'Tamil Nadu',
+        aliases: ['TN'],
+        bounds: { north: 13.56, south: 8.07, east: 80.35, west: 76.23 },
+        cities: ['Chennai', 'Coimbatore', 'Madurai', 'Tiruchirappalli', 'Salem', 'Tirunelveli', 'Erode', 'Vellore', 'Thoothukudi', 'Thanjavur', 'Tiruppur', 'Kanchipuram'],
+    },
+    {
+        country: 'IN',
+        state: 'Maharashtra',
+        aliases: ['MH'],
+        bounds: { north: 22.03, south: 15.6, east: 80.89, west: 72.64 },
+        cities: ['Mumbai', 'Pune', 'Nagpur', 'Thane', 'Nashik', 'Aurangabad', 'Solapur', 'Navi Mumbai', 'Kolhapur', 'Amravati', 'Nanded', 'Sangli'],
+    },
+    {
+        country: 'IN',
+        state: 'Goa',
+        aliases: ['GA'],
+        bounds: { north: 15.8, south: 14.9, east: 74.34, west: 73.68 },
+        cities: ['Panaji', 'Margao', 'Vasco da Gama', 'Mapusa', 'Ponda', 'Calangute', 'Bicholim', 'Canacona'],
+    },
+    {
+        country: 'IN',
+        state: 'Delhi',
+        aliases: ['DL', 'New Delhi', 'NCT of Delhi'],
+        bounds: { north: 28.88, south: 28.4, east: 77.35, west: 76.84 },
+        cities: ['Connaught Place', 'Karol Bagh', 'Dwarka', 'Rohini', 'Saket', 'Lajpat Nagar', 'Janakpuri', 'Pitampura', 'Vasant Kunj', 'Mayur Vihar', 'Chandni Chowk'],
+    },
+
+    // Canada
+    {
+        country: 'CA',
+        state: 'Ontario',
+        aliases: ['ON'],
+        bounds: { north: 56.86, south: 41.68, east: -74.34, west: -95.16 },
+        cities: ['Toronto', 'Ottawa', 'Mississauga', 'Brampton', 'Hamilton', 'London', 'Markham', 'Vaughan', 'Kitchener', 'Windsor', 'Oshawa', 'Barrie', 'Kingston', 'Sudbury', 'Thunder Bay'],
+    },
+    {
+        country: 'CA',
+        state: 'British Columbia',
+        aliases: ['BC'],
+        bounds: { north: 60.0, south: 48.3, east: -114.05, west: -139.06 },
+        cities: ['Vancouver', 'Surrey', 'Burnaby', 'Richmond', 'Victoria', 'Kelowna', 'Abbotsford', 'Coquitlam', 'Nanaimo', 'Kamloops', 'Prince George'],
+    },
+
+    // United Kingdom
+    {
+        country: 'GB',
+        state: 'England',
+        aliases: [],
+        bounds: { north: 55.81, south: 49.96, east: 1.76, west: -5.72 },
+        cities: ['London', 'Birmingham', 'Manchester', 'Leeds', 'Liverpool', 'Sheffield', 'Bristol', 'Newcastle upon Tyne', 'Nottingham', 'Leicester', 'Southampton', 'Brighton', 'Plymouth', 'Norwich', 'York', 'Oxford', 'Cambridge'],
+    },
+    {
+        country: 'GB',
+        state: 'Scotland',
+        aliases: [],
+        bounds: { north: 60.86, south: 54.63, east: -0.73, west: -7.66 },
+        cities: ['Glasgow', 'Edinburgh', 'Aberdeen', 'Dundee', 'Inverness', 'Stirling', 'Perth', 'Paisley', 'Ayr'],
+    },
+
+    // Australia
+    {
+        country: 'AU',
+        state: 'New South Wales',
+        aliases: ['NSW'],
+        bounds: { north: -28.16, south: -37.51, east: 153.64, west: 140.99 },
+        cities: ['Sydney', 'Newcastle', 'Wollongong', 'Central Coast', 'Parramatta', 'Penrith', 'Coffs Harbour', 'Wagga Wagga', 'Albury', 'Port Macquarie', 'Tamworth', 'Dubbo'],
+    },
+    {
+        country: 'AU',
+        state: 'Victoria',
+        aliases: ['VIC'],
+        bounds: { north: -33.98, south: -39.16, east: 149.98, west: 140.96 },
+        cities: ['Melbourne', 'Geelong', 'Ballarat', 'Bendigo', 'Shepparton', 'Mildura', 'Warrnambool', 'Traralgon', 'Frankston', 'Dandenong'],
+    },
+];
+
+module.exports = { REGIONS };
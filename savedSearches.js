@@ -0,0 +1,88 @@
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { createMemoryStore, createFileStore } = require('./store');
+
+/**
+ * Saved searches: a named scrape request that can be re-run, with the run
+ * history and a snapshot of the last complete run's leads to diff against
+ * (see diff.js).
+ */
+
+// Runs kept in a search's history
+const MAX_RUNS = 24;
+
+/**
+ * Saved search repository.
+ * @param {Object} [store] - Defaults to SEARCH_STORE_FILE (data/searches.json),
+ *   or memory when SEARCH_STORE=memory
+ * @returns {Object} { list, get, create, remove, startRun, finishRun, flush }
+ */
+function createSearchRepository(store) {
+    if (!store) {
+        store = process.env.SEARCH_STORE === 'memory'
+            ? createMemoryStore()
+            : createFileStore(process.env.SEARCH_STORE_FILE || path.join(__dirname, 'data', 'searches.json'), { collection: 'searches' });
+    }
+
+    return {
+        list: () => store.list(),
+        get: (id) => store.get(id),
+        /**
+         * @param {string} name
+         * @param {Object} request - POST /api/scrape body to re-run
+         * @param {string|null} [keyId] - API key that owns the search
+         */
+        create(name, request, keyId = null) {
+            const search = {
+                id: uuidv4(),
+                name,
+                request,
+                keyId,
+                runs: [],
+                snapshot: null,
+                lastDiff: null,
+                createdAt: new Date().toISOString(),
+            };
+            store.save(search);
+            return search;
+        },
+        remove: (id) => store.delete(id),
+        /**
+         * Record that a job started for this search.
+         */
+        startRun(search, jobId) {
+            search.runs.unshift({ jobId, status: 'queued', startedAt: new Date().toISOString(), finishedAt: null });
+            search.runs = search.runs.slice(0, MAX_RUNS);
+            store.save(search);
+        },
+        /**
+         * Record a finished run. Only complete runs replace the snapshot, so a
+         * cancelled or failed run never becomes the next baseline.
+         * @param {Object} search
+         * @param {Object} job - Finished job
+         * @param {Array} [snapshot] - Snapshots of the run's leads
+         */
+        finishRun(search, job, snapshot) {
+            const run = search.runs.find((r) => r.jobId === job.id);
+            if (run) {
+                run.status = job.status;
+                run.finishedAt = new Date().toISOString();
+                run.resultCount = job.resultCount;
+                if (job.diff) {
+                    run.added = job.diff.added;
+                    run.changed = job.diff.changed;
+                    run.removed = job.diff.removed;
+                }
+            }
+            if (job.status === 'complete' && snapshot) {
+                search.snapshot = snapshot;
+                search.lastDiff = job.diff || null;
+                search.lastJobId = job.id;
+            }
+            store.save(search);
+        },
+        flush: () => store.flush(),
+    };
+}
+
+module.exports = { createSearchRepository };
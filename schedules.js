@@ -0,0 +1,137 @@
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { createMemoryStore, createFileStore } = require('./store');
+const { CronError, nextRuns } = require('./cron');
+
+/**
+ * Scheduled scrapes: a cron expression (see cron.js) plus the POST /api/scrape
+ * request to queue each time it fires, with the run history.
+ */
+
+// Runs kept in a schedule's history
+const MAX_RUNS = 50;
+
+/**
+ * Check a schedule's cron expression and time zone.
+ * @param {string} cron
+ * @param {string} timeZone
+ * @returns {Date} The first run
+ * @throws {CronError} On an invalid expression or time zone, or one that never fires
+ */
+function firstRun(cron, timeZone) {
+    if (!cron || typeof cron !== 'string') {
+        throw new CronError('A cron expression is required, e.g. "0 9 * * MON" for Mondays at 09:00');
+    }
+    const [next] = nextRuns(cron, { timeZone });
+    if (!next) {
+        throw new CronError(`Cron expression "${cron}" never fires`);
+    }
+    return next;
+}
+
+/**
+ * Schedule repository.
+ * @param {Object} [store] - Defaults to SCHEDULE_STORE_FILE (data/schedules.json),
+ *   or memory when SCHEDULE_STORE=memory
+ * @returns {Object} { list, get, create, update, remove, due, recordRun, finishRun, flush }
+ */
+function createScheduleRepository(store) {
+    if (!store) {
+        store = process.env.SCHEDULE_STORE === 'memory'
+            ? createMemoryStore()
+            : createFileStore(process.env.SCHEDULE_STORE_FILE || path.join(__dirname, 'data', 'schedules.json'), { collection: 'schedules' });
+    }
+
+    return {
+        list: () => store.list(),
+        get: (id) => store.get(id),
+        /**
+         * @param {Object} fields - { name, cron, timeZone, enabled, request, keyId }
+         * @throws {CronError}
+         */
+        create(fields) {
+            const timeZone = fields.timeZone || 'UTC';
+            const next = firstRun(fields.cron, timeZone);
+            const schedule = {
+                id: uuidv4(),
+                name: fields.name,
+                cron: fields.cron.trim(),
+                timeZone,
+                enabled: fields.enabled !== false,
+                request: fields.request,
+                keyId: fields.keyId || null,
+                nextRunAt: next.toISOString(),
+                runs: [],
+                createdAt: new Date().toISOString(),
+                updatedAt: new Date().toISOString(),
+            };
+            store.save(schedule);
+            return schedule;
+        },
+        /**
+         * Replace a schedule's settings; the run history is kept.
+         * @returns {Object|null} The updated schedule, or null when not found
+         * @throws {CronError}
+         */
+        update(id, fields) {
+            const schedule = store.get(id);
+            if (!schedule) return null;
+            const timeZone = fields.timeZone || 'UTC';
+            const next = firstRun(fields.cron, timeZone);
+            Object.assign(schedule, {
+                name: fields.name,
+                cron: fields.cron.trim(),
+                timeZone,
+                enabled: fields.enabled !== false,
+                request: fields.request,
+                nextRunAt: next.toISOString(),
+                updatedAt: new Date().toISOString(),
+            });
+            store.save(schedule);
+            return schedule;
+        },
+        remove: (id) => store.delete(id),
+        /**
+         * Enabled schedules whose next run is due.
+         * @param {Date} [now]
+         * @returns {Array}
+         */
+        due(now = new Date()) {
+            return store.list().filter((schedule) => schedule.enabled && new Date(schedule.nextRunAt) <= now);
+        },
+        /**
+         * Add a run to the history and, for timed runs, move on to the next time.
+         * @param {Object} schedule
+         * @param {Object} run - { status: 'queued'|'skipped'|'failed', jobId?, reason? }
+         * @param {Object} [options]
+         * @param {boolean} [options.advance=true] - Compute the next run time
+         */
+        recordRun(schedule, run, { advance = true } = {}) {
+            schedule.runs.unshift({ ...run, at: new Date().toISOString() });
+            schedule.runs = schedule.runs.slice(0, MAX_RUNS);
+            if (advance) {
+                const [next] = nextRuns(schedule.cron, { timeZone: schedule.timeZone });
+                schedule.nextRunAt = next ? next.toISOString() : null;
+                if (!next) schedule.enabled = false;
+            }
+            store.save(schedule);
+        },
+        /**
+         * Record the final status of a scheduled job in its run entry.
+         * @param {Object} job
+         */
+        finishRun(job) {
+            const schedule = store.get(job.scheduleId);
+            const run = schedule && schedule.runs.find((r) => r.jobId === job.id);
+            if (!run) return;
+            run.status = job.status;
+            run.finishedAt = new Date().toISOString();
+            run.resultCount = job.resultCount;
+            if (job.error) run.error = job.error;
+            store.save(schedule);
+        },
+        flush: () => store.flush(),
+    };
+}
+
+module.exports = { createScheduleRepository, firstRun };
@@ -0,0 +1,139 @@
+const { toNumber } = require('./columns');
+
+/**
+ * Lead scoring: how good a prospect a business is, on a 0-100 scale.
+ *
+ * Each signal that applies to a lead adds its weight; the total is then
+ * scaled against the sum of all positive weights, so weights are relative
+ * and do not have to add up to 100. Negative weights act as penalties.
+ * The score is bucketed into a tier (hot/warm/cold), and the matched signals
+ * form a short "why" explanation.
+ */
+
+const SCORING_SIGNALS = [
+    { key: 'noWebsite', label: 'no website', test: (lead) => !lead.website },
+    { key: 'lowRating', label: 'rating below 4.0', test: (lead) => lead.rating !== null && lead.rating < 4 },
+    { key: 'fewReviews', label: 'fewer than 10 reviews', test: (lead) => lead.reviews === null || lead.reviews < 10 },
+    { key: 'hasEmail', label: 'email found', test: (lead) => !!lead.email },
+    { key: 'hasPhone', label: 'phone listed', test: (lead) => !!lead.phone },
+    { key: 'mobilePhone', label: 'mobile number', test: (lead) => lead.phoneType === 'Mobile' || lead.phoneType === 'Mobile or landline' },
+    { key: 'unclaimed', label: 'unclaimed listing', test: (lead) => lead.claimed === false },
+    { key: 'established', label: '50+ reviews', test: (lead) => lead.reviews !== null && lead.reviews >= 50 },
+];
+
+// Defaults favour businesses that need a web presence and can be reached
+const DEFAULT_WEIGHTS = {
+    noWebsite: 35,
+    unclaimed: 20,
+    lowRating: 15,
+    fewReviews: 15,
+    hasEmail: 15,
+    hasPhone: 10,
+    mobilePhone: 5,
+    established: 5,
+};
+
+// Minimum score of each tier; anything below `warm` is cold
+const DEFAULT_TIERS = { hot: 60, warm: 35 };
+
+/**
+ * Check and fill in a scoring configuration.
+ * @param {Object} [config]
+ * @param {Object} [config.weights] - Signal weights, merged over DEFAULT_WEIGHTS
+ * @param {Object} [config.tiers] - { hot, warm } score thresholds
+ * @returns {{ weights: Object, tiers: Object }}
+ * @throws {Error} On unknown signals or non-numeric values
+ */
+function resolveScoringConfig(config = {}) {
+    const weights = { ...DEFAULT_WEIGHTS };
+    Object.entries(config.weights || {}).forEach(([key, value]) => {
+        if (!SCORING_SIGNALS.some((signal) => signal.key === key)) {
+            throw new Error(`Unknown scoring signal "${key}". Known signals: ${SCORING_SIGNALS.map((s) => s.key).join(', ')}`);
+        }
+        const weight = Number(value);
+        if (!Number.isFinite(weight)) {
+            throw new Error(`Weight for "${key}" must be a number`);
+        }
+        weights[key] = weight;
+    });
+
+    const tiers = { ...DEFAULT_TIERS };
+    ['hot', 'warm'].forEach((tier) => {
+        if (config.tiers && config.tiers[tier] !== undefined) {
+            const threshold = Number(config.tiers[tier]);
+            if (!Number.isFinite(threshold)) {
+                throw new Error(`Tier threshold "${tier}" must be a number`);
+            }
+            tiers[tier] = threshold;
+        }
+    });
+    if (tiers.warm > tiers.hot) {
+        throw new Error('The warm threshold cannot be above the hot threshold');
+    }
+
+    return { weights, tiers };
+}
+
+/**
+ * Score one lead.
+ * @param {Object} biz - Cleaned lead
+ * @param {Object} [config] - Scoring configuration (see resolveScoringConfig)
+ * @returns {{ score: number, tier: string, reason: string }}
+ */
+function scoreLead(biz, config) {
+    const { weights, tiers } = resolveScoringConfig(config);
+    const lead = {
+        ...biz,
+        rating: toNumber(biz.rating),
+        reviews: toNumber(biz.reviews),
+    };
+
+    const maxPoints = Object.values(weights).filter((w) => w > 0).reduce((sum, w) => sum + w, 0);
+    const matched = SCORING_SIGNALS.filter((signal) => weights[signal.key] && signal.test(lead));
+    const points = matched.reduce((sum, signal) => sum + weights[signal.key], 0);
+    const score = maxPoints > 0 ? Math.round(Math.min(Math.max((points / maxPoints) * 100, 0), 100)) : 0;
+
+    let tier = 'cold';
+    if (score >= tiers.hot) tier = 'hot';
+    else if (score >= tiers.warm) tier = 'warm';
+
+    // Strongest reasons first
+    const reasons = matched
+        .filter((signal) => weights[signal.key] > 0)
+        .sort((a, b) => weights[b.key] - weights[a.key])
+        .map((signal) => signal.label);
+    const reason = reasons.length > 0
+        ? reasons.join(', ').replace(/^./, (c) => c.toUpperCase())
+        : 'No strong signals';
+
+    return { score, tier, reason };
+}
+
+/**
+ * Score every lead in place and sort them best first (stable for ties).
+ * @param {Array} businesses - Cleaned leads
+ * @param {Object} [config] - Scoring configuration (see resolveScoringConfig)
+ * @returns {Array} The same leads, sorted by score
+ */
+function scoreLeads(businesses, config) {
+    const resolved = resolveScoringConfig(config);
+    businesses.forEach((biz) => {
+        const { score, tier, reason } = scoreLead(biz, resolved);
+        biz.score = score;
+        biz.tier = tier;
+        biz.scoreReason = reason;
+    });
+    return businesses
+        .map((biz, index) => ({ biz, index }))
+        .sort((a, b) => b.biz.score - a.biz.score || a.index - b.index)
+        .map(({ biz }) => biz);
+}
+
+module.exports = {
+    SCORING_SIGNALS,
+    DEFAULT_WEIGHTS,
+    DEFAULT_TIERS,
+    resolveScoringConfig,
+    scoreLead,
+    scoreLeads,
+};
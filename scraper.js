@@ -1,60 +1,212 @@
 const puppeteer = require('puppeteer-extra');
 const StealthPlugin = require('puppeteer-extra-plugin-stealth');
+const path = require('path');
+const { extractLocalSearchCards, extractMapsPlaceLinks, extractPlaceDetails, extractPlaceName } = require('./extractors');
+const { saveSnapshot, loadSnapshot } = require('./snapshots');
+const { findEmails } = require('./emailFinder');
+const { auditWebsite } = require('./websiteAudit');
+const { BLOCK_REASONS, detectBlock, backoffDelay } = require('./blocking');
+const { createProxyRotator } = require('./proxies');
+const { createBrowserPool } = require('./browserPool');
+const { ScrapeError, toScrapeError } = require('./errors');
+const { similarity, normalizeText } = require('./dedupe');
 puppeteer.use(StealthPlugin());
 
 const delay = (ms) => new Promise((res) => setTimeout(res, ms));
 
+// Lead cap of a large-area (tiled) scrape; a single search stops at 100
+const MAX_TILED_LEADS = 5000;
+
+// Where searches go; point it at blockFixtures.js to try out block handling
+const GOOGLE_URL = (process.env.SCRAPER_GOOGLE_URL || 'https://www.google.com').replace(/\/+$/, '');
+
+// Navigation attempts per search page and per place profile, and the backoff
+// between them (see blocking.js)
+const RETRY_DEFAULTS = {
+    attempts: Math.max(parseInt(process.env.SCRAPER_MAX_ATTEMPTS, 10) || 3, 1),
+    profileAttempts: Math.max(parseInt(process.env.SCRAPER_PROFILE_ATTEMPTS, 10) || 2, 1),
+    baseDelay: parseInt(process.env.SCRAPER_RETRY_DELAY, 10) || 2000,
+    maxDelay: 30000,
+};
+
+// Enrichment stops visiting profiles after this many blocked in a row
+const MAX_BLOCKED_PROFILES = 3;
+
+// Name similarity (0-1) a Maps result needs to count as a looked-up business
+const LOOKUP_MATCH_THRESHOLD = 0.6;
+
+// Proxy each browser was launched with
+const browserProxies = new WeakMap();
+
 /**
- * Main Scraper Function - Optimized for Cloud IPs (Render/Heroku)
+ * Search URLs for the whole state, or for one tile of it.
+ * @param {string} category
+ * @param {string} state
+ * @param {string} country
+ * @param {Object} [tile] - City tile ({ label, location }) or grid tile
+ *   ({ label, latitude, longitude, zoom })
+ * @returns {Object} { label, searchUrl, mapsUrl }; grid tiles have no searchUrl
  */
-async function scrapeGoogleMaps(category, state, country, maxLeads = 20, onProgress = () => { }) {
-    const MAX_LEADS = Math.min(Math.max(parseInt(maxLeads, 10) || 20, 1), 100);
+function searchArea(category, state, country, tile) {
+    if (tile && typeof tile.latitude === 'number') {
+        // No place name in the query, so Maps searches the visible area
+        return {
+            label: tile.label,
+            mapsUrl: `${GOOGLE_URL}/maps/search/${encodeURIComponent(category)}/@${tile.latitude},${tile.longitude},${tile.zoom}z?hl=en`
+        };
+    }
+
     // Construct search query
-    const query = `${category} in ${state} ${country}`;
+    const query = tile ? `${category} in ${tile.location} ${country}` : `${category} in ${state} ${country}`;
+    return {
+        label: tile ? tile.label : state,
+        // FAILSAFE 1: Use the "Local Search" URL instead of full Maps UI
+        // This is much lighter and harder for Google to block/cloak on cloud IPs
+        searchUrl: `${GOOGLE_URL}/search?tbm=lcl&q=${encodeURIComponent(query)}&hl=en`,
+        mapsUrl: `${GOOGLE_URL}/maps/search/${encodeURIComponent(query)}?hl=en`
+    };
+}
 
-    // FAILSAFE 1: Use the "Local Search" URL instead of full Maps UI
-    // This is much lighter and harder for Google to block/cloak on cloud IPs
-    const searchUrl = `https://www.google.com/search?tbm=lcl&q=${encodeURIComponent(query)}&hl=en`;
+/**
+ * Thrown when a scrape is aborted through options.signal.
+ * Carries whatever leads were collected before the abort.
+ */
+class ScrapeCancelledError extends Error {
+    constructor(partialResults = []) {
+        super('Scrape cancelled');
+        this.name = 'ScrapeCancelledError';
+        this.partialResults = partialResults;
+    }
+}
 
-    let browser;
-    try {
-        onProgress({ status: 'launching', message: 'Initializing Stealth Scraper Engine...' });
+/**
+ * Thrown when Google serves a block page on every attempt, or when the search
+ * turns up no leads at all (which on cloud IPs usually means a block too).
+ * `reason` is a BLOCK_REASONS key (see blocking.js), or null when nothing was
+ * detected; the error code is BLOCKED or NO_RESULTS accordingly.
+ */
+class ScrapeBlockedError extends ScrapeError {
+    constructor(message = "Google is blocking access or returned 0 results. Try a simpler search like 'Bakeries Kerala'.", reason = null) {
+        super(reason ? 'BLOCKED' : 'NO_RESULTS', message);
+        this.name = 'ScrapeBlockedError';
+        this.reason = reason;
+    }
+}
 
-        console.log('--- Launch Debug Info ---');
-        console.log('CWD:', process.cwd());
-        console.log('PUPPETEER_CACHE_DIR:', process.env.PUPPETEER_CACHE_DIR);
+/**
+ * Launch the stealth Chromium used for scraping.
+ * @param {Object} [options]
+ * @param {Object} [options.proxy] - Send all traffic through this proxy (see proxies.js)
+ * @returns {Promise<import('puppeteer').Browser>}
+ */
+async function launchBrowser({ proxy = null } = {}) {
+    console.log('--- Launch Debug Info ---');
+    console.log('CWD:', process.cwd());
+    console.log('PUPPETEER_CACHE_DIR:', process.env.PUPPETEER_CACHE_DIR);
+    if (proxy) console.log('Proxy:', proxy.label);
+
+    try {
+        const browser = await puppeteer.launch({
+            headless: true,
+            timeout: 120000,
+            args: [
+                ...(proxy ? [`--proxy-server=${proxy.server}`] : []),
+                '--no-sandbox',
+                '--disable-setuid-sandbox',
+                '--disable-dev-shm-usage',
+                '--disable-blink-features=AutomationControlled',
+                '--disable-accelerated-2d-canvas',
+                '--disable-gpu',
+                '--window-size=1920,1080',
+                '--lang=en-US,en;q=0.9',
+            ],
+        });
+        if (proxy) browserProxies.set(browser, proxy);
+        return browser;
+    } catch (launchErr) {
+        console.error('Initial launch failed. Details:', launchErr.message);
+        // Fallback: Try to find executable manually if needed
+        throw launchErr;
+    }
+}
 
+/**
+ * Browser session of one scrapeGoogleMaps or lookupBusinesses call: a page
+ * borrowed from the pool, navigation with block detection and retries, and
+ * place profile enrichment. Takes the options of scrapeGoogleMaps (snapshot
+ * mode, pool, proxies, retry, stats, signal).
+ * @param {Function} onProgress
+ * @param {Object} options
+ * @returns {Object} { page, replaying, retry, stats, wait, record, checkCancelled,
+ *   start, navigate, enrichPlace, close }; `page` is replaced when rotating
+ *   proxies per attempt, so always read it from the session
+ */
+function createSession(onProgress, options) {
+    const snapshotMode = options.snapshotMode || process.env.SCRAPER_SNAPSHOT_MODE || null;
+    const snapshotDir = options.snapshotDir || process.env.SCRAPER_SNAPSHOT_DIR || path.join(process.cwd(), 'snapshots');
+    const replaying = snapshotMode === 'replay';
+    const recording = snapshotMode === 'record';
+    const proxies = options.proxies || createProxyRotator();
+    const retry = { ...RETRY_DEFAULTS, ...options.retry };
+    const stats = Object.assign(options.stats || {}, { attempts: 0, retries: 0, blocks: 0, blockReasons: {}, proxies: [], proxy: null, partialProfiles: 0 });
+
+    // Without a shared pool, the session launches (and closes) its own browser
+    const pool = options.browserPool || createBrowserPool({ launch: () => launchBrowser({ proxy: proxies.forBrowser() }) });
+
+    const session = { page: null, replaying, retry, stats };
+
+    // Replays have nothing to wait for
+    const wait = (ms) => (replaying ? Promise.resolve() : delay(ms));
+    session.wait = wait;
+
+    // Navigate, or load the recorded snapshot when replaying
+    const open = async (url, kind, gotoOptions) => {
+        if (replaying) return loadSnapshot(session.page, snapshotDir, kind, url);
+        await session.page.goto(url, gotoOptions);
+    };
+    session.record = async (url, kind) => {
+        if (recording) await saveSnapshot(session.page, snapshotDir, kind, url);
+    };
+
+    // Called between steps; partial() returns the leads gathered so far
+    const checkCancelled = (partial) => {
+        if (options.signal && options.signal.aborted) {
+            throw new ScrapeCancelledError(partial());
+        }
+    };
+    session.checkCancelled = checkCancelled;
+
+    // Borrow a page, in a context of its own when rotating proxies per attempt
+    const openPage = async () => {
+        const attemptProxy = proxies.forAttempt();
+        const newPage = await pool.acquirePage({ proxyServer: attemptProxy ? attemptProxy.server : undefined });
+        const proxy = attemptProxy || browserProxies.get(newPage.browser()) || null;
+        if (proxy && proxy.username) {
+            await newPage.authenticate({ username: proxy.username, password: proxy.password });
+        }
+        if (proxy && !stats.proxies.includes(proxy.label)) stats.proxies.push(proxy.label);
+        stats.proxy = proxy ? proxy.label : null;
+        await newPage.setViewport({ width: 1920, height: 1080 });
+        return newPage;
+    };
+
+    /**
+     * Get the first page.
+     * @throws {ScrapeError} LAUNCH_FAILED
+     */
+    session.start = async () => {
         try {
-            browser = await puppeteer.launch({
-                headless: true,
-                timeout: 120000,
-                args: [
-                    '--no-sandbox',
-                    '--disable-setuid-sandbox',
-                    '--disable-dev-shm-usage',
-                    '--disable-blink-features=AutomationControlled',
-                    '--disable-accelerated-2d-canvas',
-                    '--disable-gpu',
-                    '--window-size=1920,1080',
-                    '--lang=en-US,en;q=0.9',
-                ],
-            });
-        } catch (launchErr) {
-            console.error('Initial launch failed. Details:', launchErr.message);
-            // Fallback: Try to find executable manually if needed
-            throw launchErr;
+            session.page = await openPage();
+        } catch (err) {
+            console.error('Browser launch failed:', err.message);
+            throw new ScrapeError('LAUNCH_FAILED', undefined, { cause: err });
         }
+    };
 
-        const page = await browser.newPage();
-        await page.setViewport({ width: 1920, height: 1080 });
-
-        onProgress({ status: 'navigating', message: `Contacting Google for "${category}"...` });
-
-        // Use a patient navigation
-        await page.goto(searchUrl, { waitUntil: 'domcontentloaded', timeout: 90000 });
-        await delay(4000);
-
-        // --- PHASE 1: BYPASS CONSENT / LOCATION BLOCKS ---
+    // --- PHASE 1: BYPASS CONSENT / LOCATION BLOCKS ---
+    // Snapshots are recorded past the consent wall, so replays skip this
+    const dismissConsent = async () => {
+        if (replaying) return;
         try {
             // Wait for one of the common consent/cookie buttons
             const consentSelectors = [
@@ -65,120 +217,277 @@ async function scrapeGoogleMaps(category, state, country, maxLeads = 20, onProgr
             ];
 
             for (const sel of consentSelectors) {
-                const btn = await page.$(sel);
+                const btn = await session.page.$(sel);
                 if (btn) {
                     await btn.click();
-                    await delay(3000);
+                    await wait(3000);
                     break;
                 }
             }
         } catch (e) {
             console.log("Consent stage clear.");
         }
+    };
+
+    // Open a page and check it is not a block page. Blocks and navigation
+    // errors are retried with backoff (on a new page and proxy when
+    // rotating per attempt); throws a ScrapeBlockedError when every
+    // attempt was blocked, or the last navigation error.
+    session.navigate = async (url, kind, gotoOptions, { attempts, settle, partial }) => {
+        const tries = replaying ? 1 : attempts;
+        let reason = null;
+        for (let attempt = 1; attempt <= tries; attempt++) {
+            stats.attempts++;
+            let failure;
+            try {
+                await open(url, kind, gotoOptions);
+                await wait(settle);
+                await dismissConsent();
+                reason = await detectBlock(session.page);
+                if (!reason) return;
+                stats.blocks++;
+                stats.blockReasons[reason] = (stats.blockReasons[reason] || 0) + 1;
+                failure = BLOCK_REASONS[reason];
+            } catch (err) {
+                if (attempt === tries) throw toScrapeError(err);
+                reason = null;
+                failure = `Navigation failed (${err.message})`;
+            }
+            console.log(`${failure} on ${url}${stats.proxy ? ` via ${stats.proxy}` : ''} (attempt ${attempt}/${tries})`);
 
-        let collectedLeads = [];
-        let previousCount = 0;
-        let stagnating = 0;
+            if (attempt < tries) {
+                const ms = backoffDelay(attempt, retry);
+                stats.retries++;
+                onProgress({
+                    status: 'retrying',
+                    message: `${failure}. Retrying in ${Math.ceil(ms / 1000)}s (attempt ${attempt + 1}/${tries})...`,
+                    blocked: reason
+                });
+                await wait(ms);
+                checkCancelled(partial);
+                if (proxies.rotation === 'retry' && proxies.size > 0) {
+                    await pool.releasePage(session.page);
+                    session.page = null;
+                    session.page = await openPage();
+                }
+            }
+        }
+        throw new ScrapeBlockedError(`${BLOCK_REASONS[reason]} on ${tries} attempt${tries === 1 ? '' : 's'}. Try again later, or add proxies (SCRAPER_PROXIES).`, reason);
+    };
+
+    /**
+     * Open a lead's place profile and add its details.
+     * @param {Object} lead - Needs `url`
+     * @param {Function} partial - Leads to keep if cancelled meanwhile
+     * @returns {Promise<Object>} The lead with the profile details
+     */
+    session.enrichPlace = async (lead, partial) => {
+        await session.navigate(lead.url, 'place', { waitUntil: 'domcontentloaded', timeout: 30000 }, { attempts: retry.profileAttempts, settle: 2500, partial });
+        await session.record(lead.url, 'place');
+
+        const info = await session.page.evaluate(extractPlaceDetails);
+        // Maps redirects to the canonical place URL, which carries the coordinates
+        if (!replaying && session.page.url() !== lead.url) info.resolvedUrl = session.page.url();
+        return { ...lead, ...info };
+    };
+
+    /**
+     * Return the page, and close the browser when the session launched it.
+     */
+    session.close = async () => {
+        if (session.page) await pool.releasePage(session.page);
+        if (!options.browserPool) await pool.close();
+    };
+
+    return session;
+}
 
-        onProgress({ status: 'scrolling', message: 'Scanning live results...' });
+/**
+ * Main Scraper Function - Optimized for Cloud IPs (Render/Heroku)
+ *
+ * Progress updates passed to onProgress may carry `leads` (newly found list
+ * entries) or `lead` (a lead whose profile was just enriched).
+ *
+ * @param {Object} [options]
+ * @param {string} [options.snapshotMode] - 'record' saves every visited page to
+ *   snapshotDir, 'replay' loads them from there instead of the network.
+ *   Defaults to the SCRAPER_SNAPSHOT_MODE env var.
+ * @param {string} [options.snapshotDir] - Defaults to SCRAPER_SNAPSHOT_DIR or ./snapshots
+ * @param {Object} [options.browserPool] - Borrow a page from this pool (see browserPool.js)
+ *   instead of launching and closing a browser for this call.
+ * @param {Object} [options.proxies] - Proxy rotator (see proxies.js); defaults to
+ *   the proxies configured in the environment. Its browser proxies only apply
+ *   to browsers this call launches; a pool's browsers get theirs from its launch function.
+ * @param {Object} [options.retry] - Overrides RETRY_DEFAULTS: { attempts,
+ *   profileAttempts, baseDelay, maxDelay }
+ * @param {Object} [options.stats] - Filled in with { attempts, retries, blocks,
+ *   blockReasons, proxies, proxy, partialProfiles }: navigation attempts,
+ *   retries, block pages seen (per reason), the proxies used (last one in
+ *   `proxy`) and the leads whose profile could not be opened
+ * @param {boolean} [options.findEmails=true] - Crawl lead websites for email
+ *   addresses after enrichment. Always skipped when replaying snapshots.
+ * @param {boolean} [options.auditWebsites=false] - Audit lead websites (HTTPS,
+ *   speed, mobile viewport, broken links...; see websiteAudit.js). Always
+ *   skipped when replaying snapshots.
+ * @param {AbortSignal} [options.signal] - Aborts the scrape between steps; the
+ *   returned promise then rejects with a ScrapeCancelledError.
+ * @param {Array} [options.tiles] - Large-area mode: run the collection phase once
+ *   per tile (see tiles.js) instead of once for the whole state, merging the
+ *   results. Raises the lead cap from 100 to MAX_TILED_LEADS and reports
+ *   `tile`/`tiles` in progress updates.
+ *
+ * Failures are ScrapeErrors (see errors.js), except for cancellation.
+ */
+async function scrapeGoogleMaps(category, state, country, maxLeads = 20, onProgress = () => { }, options = {}) {
+    const leadCap = Array.isArray(options.tiles) && options.tiles.length > 0 ? MAX_TILED_LEADS : 100;
+    const MAX_LEADS = Math.min(Math.max(parseInt(maxLeads, 10) || 20, 1), leadCap);
+    const session = createSession(onProgress, options);
+    const { replaying, retry, stats, wait, checkCancelled } = session;
+
+    // Search areas: the whole state, or one per tile in large-area mode
+    const tiled = Array.isArray(options.tiles) && options.tiles.length > 0;
+    const areas = tiled
+        ? options.tiles.map((tile) => searchArea(category, state, country, tile))
+        : [searchArea(category, state, country)];
 
-        // --- PHASE 2: COLLECTION ---
-        // We scan and scroll multiple times to ensure we get a full list
-        for (let i = 0; i < 15; i++) {
-            const data = await page.evaluate((cat) => {
-                const items = [];
-                // Selector for Local search list items
-                const cards = document.querySelectorAll('div[role="article"], .Vkp9Ed, .C8077e, a[href*="/maps/place/"]');
-
-                cards.forEach(card => {
-                    // Find name
-                    const nameEl = card.querySelector('div.uOaeOf, h3, .qBF1Pd, .fontHeadlineSmall');
-                    const linkEl = card.querySelector('a[href*="/maps/place/"]') || card;
-                    const url = linkEl.href || '';
-                    const name = nameEl ? nameEl.textContent.trim() : card.getAttribute('aria-label') || '';
-
-                    if (name && url.includes('/maps/place/') && !items.find(x => x.url === url)) {
-                        // Extract basic stats visible in the list
-                        const details = Array.from(card.querySelectorAll('div, span')).map(e => e.textContent.trim());
-
-                        items.push({
-                            category: cat,
-                            name: name,
-                            url: url,
-                            address: '',
-                            rating: card.querySelector('.MW4etd, .Y0A1S')?.textContent || '',
-                            reviews: card.querySelector('.UY7F9, .R9Z9Sp')?.textContent?.replace(/[^0-9]/g, '') || '',
-                            phone: '',
-                            website: ''
-                        });
-                    }
-                });
-                return items;
-            }, category);
+    try {
+        onProgress({ status: 'launching', message: 'Initializing Stealth Scraper Engine...' });
+
+        await session.start();
 
-            // Add unique ones to our main list
-            data.forEach(item => {
-                if (!collectedLeads.find(r => r.url === item.url)) {
+        checkCancelled(() => []);
+
+        let collectedLeads = [];
+        const collectedUrls = new Set();
+        let previousCount = 0;
+        const collectedSoFar = () => collectedLeads.slice(0, MAX_LEADS);
+
+        // Add list entries we have not seen yet and report them
+        const addCollected = (items, status) => {
+            const newLeads = [];
+            items.forEach(item => {
+                if (!collectedUrls.has(item.url)) {
+                    collectedUrls.add(item.url);
                     collectedLeads.push(item);
+                    newLeads.push(item);
                 }
             });
-
             onProgress({
-                status: 'scrolling',
+                status,
                 message: `Found ${collectedLeads.length} businesses...`,
-                count: collectedLeads.length
+                count: Math.min(collectedLeads.length, MAX_LEADS),
+                leads: newLeads.slice(0, Math.max(MAX_LEADS - previousCount, 0))
             });
+            previousCount = collectedLeads.length;
+        };
 
-            if (collectedLeads.length >= MAX_LEADS) break;
+        // Latest block that ended a search, reported if no leads turn up
+        let lastBlock = null;
 
-            if (collectedLeads.length === previousCount) {
-                stagnating++;
-                if (stagnating >= 3) break;
-            } else {
-                stagnating = 0;
+        // --- PHASE 2: COLLECTION ---
+        const collectArea = async (area) => {
+            const countBefore = collectedLeads.length;
+
+            let searchBlocked = false;
+            if (area.searchUrl) {
+                // Use a patient navigation
+                try {
+                    await session.navigate(area.searchUrl, 'local-search', { waitUntil: 'domcontentloaded', timeout: 90000 }, { attempts: retry.attempts, settle: 4000, partial: collectedSoFar });
+                } catch (err) {
+                    if (!(err instanceof ScrapeBlockedError)) throw err;
+                    // The full Maps view below may still get through
+                    lastBlock = err;
+                    searchBlocked = true;
+                }
+                checkCancelled(collectedSoFar);
             }
-            previousCount = collectedLeads.length;
 
-            // Scroll the container
-            await page.evaluate(() => window.scrollBy(0, 1000));
-            await delay(2000);
-        }
+            if (area.searchUrl && !searchBlocked) {
+                onProgress({ status: 'scrolling', message: 'Scanning live results...' });
 
-        // --- FAILSAFE 2: FALLBACK TO FULL MAPS ---
-        if (collectedLeads.length === 0) {
-            onProgress({ status: 'retrying', message: 'Retrying with global map view...' });
-            const mapsUrl = `https://www.google.com/maps/search/${encodeURIComponent(query)}?hl=en`;
-            await page.goto(mapsUrl, { waitUntil: 'networkidle2', timeout: 60000 });
-            await delay(5000);
-
-            // Re-run collection on the Map layout
-            const mapData = await page.evaluate((cat) => {
-                const items = [];
-                document.querySelectorAll('a[href*="/maps/place/"]').forEach(a => {
-                    const name = a.getAttribute('aria-label') || '';
-                    if (name && !items.find(x => x.url === a.href)) {
-                        items.push({
-                            category: cat,
-                            name: name,
-                            url: a.href,
-                            address: '',
-                            rating: '',
-                            reviews: '',
-                            phone: '',
-                            website: ''
-                        });
+                // We scan and scroll multiple times to ensure we get a full list
+                let stagnating = 0;
+                for (let i = 0; i < 15; i++) {
+                    checkCancelled(collectedSoFar);
+
+                    const countBeforeScroll = collectedLeads.length;
+                    addCollected(await session.page.evaluate(extractLocalSearchCards, category), 'scrolling');
+
+                    if (collectedLeads.length >= MAX_LEADS) break;
+
+                    if (collectedLeads.length === countBeforeScroll) {
+                        stagnating++;
+                        if (stagnating >= 3) break;
+                    } else {
+                        stagnating = 0;
                     }
-                });
-                return items;
-            }, category);
 
-            mapData.forEach(item => {
-                if (!collectedLeads.find(r => r.url === item.url)) collectedLeads.push(item);
+                    // Scroll the container
+                    await session.page.evaluate(() => window.scrollBy(0, 1000));
+                    await wait(2000);
+                }
+
+                // Recorded after scrolling so the snapshot holds every loaded card
+                await session.record(area.searchUrl, 'local-search');
+            }
+
+            // --- FAILSAFE 2: FULL MAPS ---
+            // Fallback when the Local Search list comes back empty, and the
+            // only view for grid tiles
+            if (collectedLeads.length === countBefore && collectedLeads.length < MAX_LEADS) {
+                checkCancelled(collectedSoFar);
+                onProgress({ status: 'retrying', message: area.searchUrl ? 'Retrying with global map view...' : 'Scanning the map...' });
+                await session.navigate(area.mapsUrl, 'maps-search', { waitUntil: 'networkidle2', timeout: 60000 }, { attempts: retry.attempts, settle: 5000, partial: collectedSoFar });
+
+                // Re-run collection on the Map layout; grid tiles scroll the result feed
+                const passes = area.searchUrl ? 1 : 5;
+                for (let i = 0; i < passes && collectedLeads.length < MAX_LEADS; i++) {
+                    checkCancelled(collectedSoFar);
+                    addCollected(await session.page.evaluate(extractMapsPlaceLinks, category), 'retrying');
+                    if (i < passes - 1) {
+                        await session.page.evaluate(() => document.querySelector('div[role="feed"]')?.scrollBy(0, 2000));
+                        await wait(2000);
+                    }
+                }
+                await session.record(area.mapsUrl, 'maps-search');
+            }
+        };
+
+        onProgress({ status: 'navigating', message: `Contacting Google for "${category}"...` });
+
+        for (let t = 0; t < areas.length && collectedLeads.length < MAX_LEADS; t++) {
+            checkCancelled(collectedSoFar);
+            if (!tiled) {
+                await collectArea(areas[t]);
+                continue;
+            }
+
+            onProgress({
+                status: 'tiling',
+                message: `Searching area ${t + 1}/${areas.length}: ${areas[t].label}`,
+                tile: t + 1,
+                tiles: areas.length
+            });
+            const countBefore = collectedLeads.length;
+            try {
+                await collectArea(areas[t]);
+            } catch (err) {
+                // One bad tile should not sink the whole area
+                if (err instanceof ScrapeCancelledError) throw err;
+                if (err instanceof ScrapeBlockedError) lastBlock = err;
+                console.log(`Tile ${areas[t].label} failed: ${err.message}`);
+            }
+            onProgress({
+                status: 'tiling',
+                message: `Area ${t + 1}/${areas.length} (${areas[t].label}): ${collectedLeads.length - countBefore} new, ${collectedLeads.length} total`,
+                tile: t + 1,
+                tiles: areas.length,
+                tileFound: collectedLeads.length - countBefore
             });
         }
 
         if (collectedLeads.length === 0) {
-            throw new Error("Google is blocking access or returned 0 results. Try a simpler search like 'Bakeries Kerala'.");
+            throw lastBlock || new ScrapeBlockedError();
         }
 
         const finalLeads = collectedLeads.slice(0, MAX_LEADS);
@@ -186,8 +495,22 @@ async function scrapeGoogleMaps(category, state, country, maxLeads = 20, onProgr
 
         // --- PHASE 3: ENRICHMENT ---
         const detailedResults = [];
+        let blockedProfiles = 0;
         for (let i = 0; i < finalLeads.length; i++) {
             const lead = finalLeads[i];
+            // Keep the enriched leads plus the ones we had not reached yet
+            const partial = () => detailedResults.concat(finalLeads.slice(i));
+            checkCancelled(partial);
+            if (blockedProfiles >= MAX_BLOCKED_PROFILES) {
+                // Still blocked after several profiles: keep the list info for the rest
+                if (blockedProfiles === MAX_BLOCKED_PROFILES) {
+                    blockedProfiles++;
+                    onProgress({ status: 'extracting', message: `Google keeps blocking profile pages; keeping list details for the remaining ${finalLeads.length - i} leads` });
+                }
+                stats.partialProfiles++;
+                detailedResults.push(lead);
+                continue;
+            }
             try {
                 onProgress({
                     status: 'extracting',
@@ -196,51 +519,164 @@ async function scrapeGoogleMaps(category, state, country, maxLeads = 20, onProgr
                     total: finalLeads.length
                 });
 
-                await page.goto(lead.url, { waitUntil: 'domcontentloaded', timeout: 30000 });
-                await delay(2500);
-
-                const info = await page.evaluate(() => {
-                    const d = { address: '', phone: '', website: '', rating: '', reviews: '' };
-
-                    // Rating/Reviews
-                    const r = document.querySelector('span[role="img"][aria-label*="stars"]');
-                    if (r) d.rating = r.getAttribute('aria-label').split(' ')[0];
-                    const rev = document.querySelector('button[aria-label*="reviews"]');
-                    if (rev) d.reviews = rev.getAttribute('aria-label').replace(/[^0-9]/g, '');
-
-                    // Detail Search
-                    document.querySelectorAll('button[data-item-id], a[data-item-id]').forEach(el => {
-                        const id = el.getAttribute('data-item-id');
-                        const label = el.getAttribute('aria-label') || '';
-                        if (id?.includes('address')) d.address = label.replace('Address: ', '');
-                        if (id?.includes('phone')) d.phone = label.replace('Phone: ', '');
-                        if (id?.includes('authority')) {
-                            if (el.tagName === 'A') d.website = el.href;
-                            else {
-                                const a = el.querySelector('a');
-                                if (a) d.website = a.href;
-                            }
-                        }
-                    });
-                    return d;
-                });
-
-                detailedResults.push({ ...lead, ...info });
+                detailedResults.push(await session.enrichPlace(lead, partial));
+                blockedProfiles = 0;
             } catch (err) {
+                if (err instanceof ScrapeCancelledError) throw err;
+                if (err instanceof ScrapeBlockedError) blockedProfiles++;
+                stats.partialProfiles++;
                 console.log(`Using partial info for ${lead.name}`);
                 detailedResults.push(lead);
             }
+
+            onProgress({ status: 'extracting', lead: detailedResults[detailedResults.length - 1] });
+        }
+
+        // --- PHASE 4: EMAIL DISCOVERY ---
+        if (options.findEmails !== false && !replaying) {
+            const withWebsite = detailedResults.filter((lead) => lead.website);
+            for (let i = 0; i < withWebsite.length; i++) {
+                const lead = withWebsite[i];
+                checkCancelled(() => detailedResults);
+                onProgress({
+                    status: 'emails',
+                    message: `Looking for emails ${i + 1}/${withWebsite.length}: ${lead.name}`
+                });
+
+                try {
+                    const emails = await findEmails(lead.website);
+                    if (emails.length > 0) {
+                        lead.email = emails[0];
+                        lead.emails = emails;
+                        onProgress({ status: 'emails', lead });
+                    }
+                } catch (err) {
+                    console.log(`Email lookup failed for ${lead.name}: ${err.message}`);
+                }
+            }
+        }
+
+        // --- PHASE 5: WEBSITE AUDIT ---
+        if (options.auditWebsites && !replaying) {
+            const withWebsite = detailedResults.filter((lead) => lead.website);
+            for (let i = 0; i < withWebsite.length; i++) {
+                const lead = withWebsite[i];
+                checkCancelled(() => detailedResults);
+                onProgress({
+                    status: 'auditing',
+                    message: `Auditing websites ${i + 1}/${withWebsite.length}: ${lead.name}`
+                });
+
+                try {
+                    Object.assign(lead, await auditWebsite(lead.website));
+                    onProgress({ status: 'auditing', lead });
+                } catch (err) {
+                    console.log(`Website audit failed for ${lead.name}: ${err.message}`);
+                }
+            }
         }
 
         onProgress({ status: 'complete', message: `Successfully scraped ${detailedResults.length} businesses!`, count: detailedResults.length });
         return detailedResults;
 
     } catch (error) {
+        if (error instanceof ScrapeCancelledError) {
+            console.log(`Scrape cancelled with ${error.partialResults.length} leads collected`);
+            throw error;
+        }
         console.error('ULTIMATE SCRAPE FAILED:', error.message);
-        throw error;
+        throw toScrapeError(error);
+    } finally {
+        await session.close();
+    }
+}
+
+/**
+ * Look businesses up on Google Maps by name and location and read their place
+ * profiles, to enrich imported lead lists (see leadImport.js).
+ *
+ * @param {Array} businesses - [{ name, location }]
+ * @param {Function} [onProgress] - Receives { status: 'lookup', message, current, total }
+ * @param {Object} [options] - Session options of scrapeGoogleMaps: snapshotMode,
+ *   snapshotDir, browserPool, proxies, retry, stats and signal. A cancelled
+ *   lookup rejects with a ScrapeCancelledError carrying the entries so far.
+ * @param {number} [options.matchThreshold] - Name similarity (0-1) a result needs
+ *   to count as the business; defaults to LOOKUP_MATCH_THRESHOLD
+ * @returns {Promise<Array>} One entry per business, in order:
+ *   { status: 'found', place } with the lead fields of the profile,
+ *   { status: 'not-found' }, or { status: 'failed', error } when Google
+ *   blocked or failed the lookup
+ */
+async function lookupBusinesses(businesses, onProgress = () => { }, options = {}) {
+    const threshold = options.matchThreshold || LOOKUP_MATCH_THRESHOLD;
+    const session = createSession(onProgress, options);
+    const results = [];
+    const partial = () => results.slice();
+    const matches = (name, biz) => similarity(normalizeText(name), normalizeText(biz.name)) >= threshold;
+
+    try {
+        onProgress({ status: 'launching', message: 'Initializing Stealth Scraper Engine...' });
+        await session.start();
+
+        let blockedLookups = 0;
+        for (let i = 0; i < businesses.length; i++) {
+            const biz = businesses[i];
+            session.checkCancelled(partial);
+
+            // Google keeps blocking: do not hammer it with the rest of the list
+            if (blockedLookups >= MAX_BLOCKED_PROFILES) {
+                results.push({ status: 'failed', error: 'Skipped: Google kept blocking the lookups' });
+                continue;
+            }
+
+            onProgress({
+                status: 'lookup',
+                message: `Looking up ${i + 1}/${businesses.length}: ${biz.name}`,
+                current: i + 1,
+                total: businesses.length
+            });
+
+            const searchUrl = `${GOOGLE_URL}/maps/search/${encodeURIComponent(`${biz.name} ${biz.location || ''}`.trim())}?hl=en`;
+            try {
+                await session.navigate(searchUrl, 'maps-search', { waitUntil: 'networkidle2', timeout: 60000 }, { attempts: session.retry.profileAttempts, settle: 3000, partial });
+                await session.record(searchUrl, 'maps-search');
+                blockedLookups = 0;
+
+                let place = null;
+                // A single strong match opens its profile straight away (live
+                // pages only: replayed snapshots have no URL to tell by)
+                if (session.page.url().includes('/maps/place/')) {
+                    const name = await session.page.evaluate(extractPlaceName);
+                    if (matches(name, biz)) {
+                        const info = await session.page.evaluate(extractPlaceDetails);
+                        place = { name, url: session.page.url(), ...info };
+                    }
+                } else {
+                    const candidates = (await session.page.evaluate(extractMapsPlaceLinks, ''))
+                        .map((candidate) => ({ candidate, score: similarity(normalizeText(candidate.name), normalizeText(biz.name)) }))
+                        .sort((a, b) => b.score - a.score);
+                    if (candidates.length > 0 && candidates[0].score >= threshold) {
+                        place = await session.enrichPlace(candidates[0].candidate, partial);
+                    }
+                }
+                results.push(place ? { status: 'found', place } : { status: 'not-found' });
+            } catch (err) {
+                if (err instanceof ScrapeCancelledError) throw err;
+                if (err instanceof ScrapeBlockedError) blockedLookups++;
+                console.log(`Lookup failed for ${biz.name}: ${err.message}`);
+                results.push({ status: 'failed', error: err.message });
+            }
+        }
+
+        onProgress({ status: 'complete', message: `Looked up ${businesses.length} businesses` });
+        return results;
+    } catch (error) {
+        if (error instanceof ScrapeCancelledError) throw error;
+        console.error('LOOKUP FAILED:', error.message);
+        throw toScrapeError(error);
     } finally {
-        if (browser) await browser.close();
+        await session.close();
     }
 }
 
-module.exports = { scrapeGoogleMaps };
+module.exports = { scrapeGoogleMaps, lookupBusinesses, launchBrowser, ScrapeCancelledError, ScrapeBlockedError, MAX_TILED_LEADS };
@@ -1,169 +1,1825 @@
 const express = require('express');
 const cors = require('cors');
 const path = require('path');
+const fs = require('fs');
+const { EventEmitter } = require('events');
 const { v4: uuidv4 } = require('uuid');
-const { scrapeGoogleMaps } = require('./scraper');
+const { scrapeGoogleMaps, lookupBusinesses, launchBrowser, ScrapeCancelledError, MAX_TILED_LEADS } = require('./scraper');
 const { validateAndClean } = require('./validator');
 const { generateExcel } = require('./excelGenerator');
+const { EXPORT_FORMATS, formatLeads } = require('./exporters');
+const { createJobStore } = require('./jobStore');
+const { createBrowserPool } = require('./browserPool');
+const { createProxyRotator } = require('./proxies');
+const { resolveScoringConfig } = require('./scoring');
+const { OPTIONAL_COLUMN_KEYS } = require('./columns');
+const { buildTiles } = require('./tiles');
+const { diffLeads, toSnapshot } = require('./diff');
+const { createSearchRepository } = require('./savedSearches');
+const { hashKey, matchesHash, createKeyRepository, createRateLimiter } = require('./apiKeys');
+const { parseWebhook, checkWebhookTarget, deliverWebhook } = require('./webhooks');
+const { createScheduleRepository } = require('./schedules');
+const { CronError, nextRuns } = require('./cron');
+const { ScrapeError, describeError } = require('./errors');
+const { IMPORT_FIELDS, ImportError, readLeadSheet, suggestMapping, applyMapping, needsLookup, lookupLocation, mergeLookup } = require('./leadImport');
+const { SAMPLE_LEADS, TemplateError, renderTemplate, createTemplateRepository } = require('./templates');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
+const MAX_CONCURRENT_JOBS = Math.max(parseInt(process.env.MAX_CONCURRENT_JOBS, 10) || 1, 1);
+const BROWSER_POOL_SIZE = Math.max(parseInt(process.env.BROWSER_POOL_SIZE, 10) || 1, 1);
+const MAX_BATCH_QUERIES = 50;
+// Lead lists are uploaded base64-encoded in JSON
+const IMPORT_BODY_LIMIT = process.env.IMPORT_BODY_LIMIT || '15mb';
+const SCHEDULER_INTERVAL = 15000;
+const ADMIN_API_KEY = process.env.ADMIN_API_KEY || '';
+const AUTH_DISABLED = process.env.API_AUTH === 'off';
+// Public address of this server, used for links in webhook payloads
+const PUBLIC_URL = (process.env.PUBLIC_URL || process.env.RENDER_EXTERNAL_URL || `http://localhost:${PORT}`).replace(/\/+$/, '');
 
 // Middleware
-app.use(cors());
-app.use(express.json());
+app.use(cors(process.env.CORS_ORIGINS ? { origin: process.env.CORS_ORIGINS.split(',').map((o) => o.trim()) } : undefined));
+// Import uploads are parsed on their own routes, after authentication, so
+// only key holders get the larger body limit
+const parseJson = express.json();
+const parseImportJson = express.json({ limit: IMPORT_BODY_LIMIT });
+app.use((req, res, next) => (req.path.startsWith('/api/imports') ? next() : parseJson(req, res, next)));
 app.use(express.static(path.join(__dirname, 'public')));
 
-// In-memory job store
-const jobs = new Map();
+// Job store (file-backed unless JOB_STORE=memory)
+const jobs = createJobStore();
+
+// Ice-breaker templates (built-in plus user-defined, file-backed unless TEMPLATE_STORE=memory)
+const templates = createTemplateRepository();
+
+// Saved searches that can be re-run and diffed (file-backed unless SEARCH_STORE=memory)
+const searches = createSearchRepository();
+
+// Cron schedules that queue jobs (file-backed unless SCHEDULE_STORE=memory)
+const schedules = createScheduleRepository();
+
+// API keys and their limits (file-backed unless API_KEY_STORE=memory)
+const apiKeys = createKeyRepository();
+const rateLimiter = createRateLimiter();
+
+// Callers that are not bound by per-key limits
+const ADMIN_CALLER = { id: 'admin', name: 'Admin', admin: true, limits: null };
+const ANONYMOUS_CALLER = { id: null, name: 'Anonymous', admin: true, limits: null };
+
+// Statuses of a job that is waiting or still being worked on
+const ACTIVE_STATUSES = ['queued', 'starting', 'scraping', 'validating', 'generating'];
+
+// Statuses of a job whose file can be downloaded
+const DOWNLOADABLE_STATUSES = ['complete', 'cancelled'];
+
+// Statuses after which a job never changes again
+const FINAL_STATUSES = ['complete', 'cancelled', 'error', 'interrupted'];
+
+// Webhook event sent when a job reaches each final status
+const STATUS_EVENTS = {
+    complete: 'job.completed',
+    cancelled: 'job.cancelled',
+    error: 'job.failed',
+    interrupted: 'job.failed',
+};
+
+// Abort controllers of jobs that are still scraping, keyed by job ID
+const cancellers = new Map();
+
+// Job queue: IDs waiting to run, and IDs currently running
+const queue = [];
+const running = new Set();
+
+// Live job events for SSE subscribers, emitted under the job ID
+const jobEvents = new EventEmitter();
+jobEvents.setMaxListeners(0);
+
+// Leads streamed so far per running job, replayed to clients that (re)connect
+const liveLeads = new Map();
+
+// Scraper proxies (SCRAPER_PROXIES / SCRAPER_PROXY_FILE), and the browsers
+// shared by all running jobs
+const proxies = createProxyRotator();
+const browserPool = createBrowserPool({ launch: () => launchBrowser({ proxy: proxies.forBrowser() }), size: BROWSER_POOL_SIZE });
+
+// Queued jobs never started, so they simply go back in the queue. Jobs that
+// were running when the server went down cannot be picked up again (the
+// browser session is gone), so flag them instead of leaving them stuck.
+const savedJobs = jobs.list().sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+for (const job of savedJobs) {
+    if (job.status === 'queued') {
+        queue.push(job.id);
+    } else if (ACTIVE_STATUSES.includes(job.status)) {
+        job.status = 'interrupted';
+        job.error = describeError(new ScrapeError('INTERRUPTED'));
+        job.message = 'Interrupted by a server restart';
+        jobs.save(job);
+        jobFinished(job);
+    }
+}
+
+/**
+ * Public view of a job, as returned by /api/status and the event stream.
+ * @param {Object} job
+ * @returns {Object}
+ */
+function statusPayload(job) {
+    const queuePosition = job.status === 'queued' ? queue.indexOf(job.id) + 1 : null;
+
+    return {
+        id: job.id,
+        status: job.status,
+        queuePosition,
+        progress: job.progress,
+        message: queuePosition ? `Waiting in queue (position ${queuePosition} of ${queue.length})...` : job.message,
+        resultCount: job.resultCount,
+        mergedCount: job.mergedCount || 0,
+        currentQuery: job.currentQuery || null,
+        queries: job.queries || [],
+        searchId: job.searchId || null,
+        diff: job.diff ? diffSummary(job.diff) : null,
+        scrapeStats: scrapeStats(job),
+        results: DOWNLOADABLE_STATUSES.includes(job.status) ? job.results.slice(0, 20) : [], // Preview first 20
+        error: job.error ? describeError(job.error) : null,
+        warning: job.warning || null,
+        importCounts: job.importCounts || null,
+    };
+}
+
+/**
+ * Navigation attempts, block pages and proxies of a job, summed over its
+ * searches (each search's own numbers are in `queries[].stats`) or, for
+ * imports, its lookups.
+ * @param {Object} job
+ * @returns {Object} { attempts, retries, blocks, blockReasons, proxies }
+ */
+function scrapeStats(job) {
+    const totals = { attempts: 0, retries: 0, blocks: 0, blockReasons: {}, proxies: [] };
+    [...(job.queries || []).map((q) => q.stats), job.lookupStats].forEach((stats) => {
+        // Filled in once the search starts
+        if (!stats || !stats.blockReasons) return;
+        totals.attempts += stats.attempts;
+        totals.retries += stats.retries;
+        totals.blocks += stats.blocks;
+        Object.entries(stats.blockReasons).forEach(([reason, count]) => {
+            totals.blockReasons[reason] = (totals.blockReasons[reason] || 0) + count;
+        });
+        stats.proxies.forEach((proxy) => {
+            if (!totals.proxies.includes(proxy)) totals.proxies.push(proxy);
+        });
+    });
+    return totals;
+}
+
+/**
+ * Counts of a run-to-run diff, without the per-lead entries.
+ * @param {Object} diff
+ * @returns {Object}
+ */
+function diffSummary(diff) {
+    const { entries, ...summary } = diff;
+    return summary;
+}
+
+/**
+ * Data of a job webhook event: the job, a summary and links to its results.
+ * The links need an API key like any other /api route.
+ * @param {Object} job
+ * @returns {Object}
+ */
+function webhookData(job) {
+    const tiers = { hot: 0, warm: 0, cold: 0 };
+    (job.results || []).forEach((biz) => {
+        if (biz.tier in tiers) tiers[biz.tier]++;
+    });
+    const downloadable = DOWNLOADABLE_STATUSES.includes(job.status) && job.filePath;
+
+    return {
+        job: {
+            id: job.id,
+            status: job.status,
+            category: job.category,
+            state: job.state,
+            country: job.country,
+            searchId: job.searchId || null,
+            createdAt: job.createdAt,
+            finishedAt: new Date().toISOString(),
+        },
+        summary: {
+            message: job.message,
+            error: job.error ? describeError(job.error) : null,
+            warning: job.warning || null,
+            resultCount: job.resultCount,
+            mergedCount: job.mergedCount || 0,
+            tiers,
+            queries: (job.queries || []).map(({ category, state, country, status, resultCount }) => ({ category, state, country, status, resultCount })),
+            diff: job.diff ? diffSummary(job.diff) : null,
+        },
+        links: {
+            status: `${PUBLIC_URL}/api/status/${job.id}`,
+            results: downloadable ? `${PUBLIC_URL}/api/download/${job.id}?format=json` : null,
+            download: downloadable ? `${PUBLIC_URL}/api/download/${job.id}` : null,
+        },
+    };
+}
+
+/**
+ * Send the job's webhook for its final status, if it asked for that event.
+ * Runs in the background; every attempt is added to job.webhookDeliveries.
+ * @param {Object} job
+ */
+function notifyWebhook(job) {
+    const event = STATUS_EVENTS[job.status];
+    if (!job.webhook || !event || !job.webhook.events.includes(event)) return;
+
+    deliverWebhook(job.webhook, event, webhookData(job), {
+        onAttempt: (entry) => {
+            // The job may have been cleaned up while retries were pending
+            const saved = jobs.get(job.id);
+            if (!saved) return;
+            saved.webhookDeliveries = [...(saved.webhookDeliveries || []), entry];
+            jobs.save(saved);
+            if (!entry.ok) {
+                console.warn(`Job ${job.id}: webhook ${event} attempt ${entry.attempt} failed (${entry.error})`);
+            }
+        },
+    });
+}
+
+/**
+ * Bookkeeping for a job that reached a final status (complete, cancelled,
+ * failed or interrupted): its schedule's and saved search's run history, and
+ * its webhook.
+ * @param {Object} job
+ * @param {Array} [snapshot] - Lead snapshots of a complete saved-search run,
+ *   the baseline for the next run's diff
+ */
+function jobFinished(job, snapshot) {
+    if (job.scheduleId) schedules.finishRun(job);
+    const search = job.searchId ? searches.get(job.searchId) : null;
+    if (search) searches.finishRun(search, job, snapshot);
+    notifyWebhook(job);
+}
+
+/**
+ * Persist a job change and push it to event stream subscribers.
+ * @param {Object} job
+ */
+function updateJob(job) {
+    jobs.save(job);
+    jobEvents.emit(job.id, { event: 'status', data: statusPayload(job) });
+}
+
+/**
+ * Push a lead to event stream subscribers as soon as it is found or enriched.
+ * @param {Object} job
+ * @param {Object} lead - Raw lead from the scraper
+ * @param {string} stage - 'found' or 'enriched'
+ */
+function publishLead(job, lead, stage) {
+    if (!liveLeads.has(job.id)) liveLeads.set(job.id, new Map());
+    const entry = { stage, lead };
+    liveLeads.get(job.id).set(lead.url || lead.name, entry);
+    jobEvents.emit(job.id, { event: 'lead', data: entry });
+}
+
+/**
+ * The API key sent with a request: "Authorization: Bearer <key>" or
+ * "X-API-Key: <key>". GET requests may also pass ?apiKey=, because
+ * EventSource and plain download links cannot set headers.
+ * @param {express.Request} req
+ * @returns {string}
+ */
+function readApiKey(req) {
+    const authorization = req.get('authorization') || '';
+    if (/^bearer\s+/i.test(authorization)) {
+        return authorization.replace(/^bearer\s+/i, '').trim();
+    }
+    if (req.get('x-api-key')) {
+        return req.get('x-api-key').trim();
+    }
+    if (req.method === 'GET' && typeof req.query.apiKey === 'string') {
+        return req.query.apiKey.trim();
+    }
+    return '';
+}
+
+/**
+ * Require a valid API key on every /api route and apply its request rate
+ * limit. Sets req.caller to the key record (or the admin caller).
+ */
+function authenticate(req, res, next) {
+    if (AUTH_DISABLED) {
+        req.caller = ANONYMOUS_CALLER;
+        return next();
+    }
+
+    const secret = readApiKey(req);
+    if (!secret) {
+        return res.status(401).json({ error: 'API key required. Send it as "Authorization: Bearer <key>" or "X-API-Key: <key>".' });
+    }
+    if (ADMIN_API_KEY && matchesHash(secret, hashKey(ADMIN_API_KEY))) {
+        req.caller = ADMIN_CALLER;
+        return next();
+    }
+
+    const key = apiKeys.authenticate(secret);
+    if (!key) {
+        return res.status(401).json({ error: 'Invalid or revoked API key' });
+    }
+
+    const limit = key.limits.requestsPerMinute;
+    const rate = rateLimiter.hit(key.id, limit);
+    res.set('X-RateLimit-Limit', String(limit));
+    res.set('X-RateLimit-Remaining', String(rate.remaining));
+    if (!rate.allowed) {
+        res.set('Retry-After', String(rate.retryAfter));
+        return res.status(429).json({ error: `Rate limit exceeded: ${limit} requests per minute. Try again in ${rate.retryAfter}s.` });
+    }
+
+    req.caller = key;
+    next();
+}
+
+app.use('/api', authenticate);
+
+/**
+ * Whether a caller may see and change a record (job, saved search, schedule
+ * or template): only the key that created it, or an admin. Records without
+ * an owner (made before API keys, or from the MCP server) are admin-only.
+ * @param {Object} caller - req.caller
+ * @param {Object} record - Anything with a keyId
+ * @returns {boolean}
+ */
+function canAccess(caller, record) {
+    return Boolean(caller.admin || (record.keyId && record.keyId === caller.id));
+}
+
+/**
+ * Whether a caller may use a template: built-in ones are shared, user
+ * templates belong to the key that created them.
+ * @param {Object} caller - req.caller
+ * @param {Object} template
+ * @returns {boolean}
+ */
+function canUseTemplate(caller, template) {
+    return template.builtIn || canAccess(caller, template);
+}
+
+/**
+ * Check a new job against the caller's concurrent-job and daily-lead limits.
+ * Leads asked for by the caller's unfinished jobs count as already used.
+ * @param {Object} caller - req.caller
+ * @param {Object} job - Job from createJob()
+ * @returns {string|null} Why the job is refused, or null when it may run
+ */
+function checkJobLimits(caller, job) {
+    if (!caller.limits) return null;
+
+    const active = jobs.list().filter((j) => j.keyId === caller.id && ACTIVE_STATUSES.includes(j.status));
+    if (active.length >= caller.limits.concurrentJobs) {
+        return `Concurrent job limit reached (${caller.limits.concurrentJobs}). Wait for a job to finish or cancel one.`;
+    }
+
+    // Imports count their rows
+    const requested = (j) => (j.type === 'import' ? j.importRows.length : j.maxLeads * j.queries.length);
+    const remaining = caller.limits.leadsPerDay - apiKeys.leadsUsedToday(caller) - active.reduce((sum, j) => sum + requested(j), 0);
+    if (requested(job) > remaining) {
+        return `Daily lead quota exceeded: this job asks for up to ${requested(job)} leads, but only ${Math.max(remaining, 0)} of ${caller.limits.leadsPerDay} are left today (resets at midnight UTC).`;
+    }
+    return null;
+}
+
+/**
+ * Build the list of searches for a job from the request body.
+ * Every category is searched in every location, so
+ * { categories: ['Dentists', 'Bakeries'], states: ['Kerala', 'Goa'], country: 'India' }
+ * yields four searches. Single values work as before, and locations can also
+ * be given as [{ state, country }] when they span countries.
+ * @param {Object} body - Request body
+ * @returns {Array} [{ category, state, country }]
+ */
+function parseQueries(body) {
+    const toList = (value) => (Array.isArray(value) ? value : [value])
+        .map((v) => (typeof v === 'string' ? v.trim() : ''))
+        .filter(Boolean);
+
+    const categories = toList(body.categories || body.category);
+    const country = typeof body.country === 'string' ? body.country.trim() : '';
+
+    let locations;
+    if (Array.isArray(body.locations)) {
+        locations = body.locations.map((loc) => ({
+            state: String((loc && loc.state) || '').trim(),
+            country: String((loc && loc.country) || country).trim(),
+        }));
+    } else {
+        locations = toList(body.states || body.state).map((state) => ({ state, country }));
+    }
+    locations = locations.filter((loc) => loc.state && loc.country);
+
+    const queries = [];
+    categories.forEach((category) => {
+        locations.forEach((loc) => queries.push({ category, state: loc.state, country: loc.country }));
+    });
+    return queries;
+}
+
+/**
+ * Read the options of a job that shape its results rather than what is
+ * scraped: dedupe threshold, template, scoring, Excel columns and webhook.
+ * Shared by scrape and import jobs.
+ * @param {Object} body - Request body
+ * @param {Object} caller - req.caller, who must be allowed to use the template
+ * @returns {{ options: Object }|{ error: string }}
+ */
+function parseOutputOptions(body, caller) {
+    // Optional fuzzy-duplicate similarity threshold (0.5 - 1)
+    const threshold = parseFloat(body.dedupeThreshold);
+    const dedupeThreshold = Number.isNaN(threshold) ? undefined : Math.min(Math.max(threshold, 0.5), 1);
+
+    // Ice-breaker template for this job
+    const templateId = body.templateId || 'default';
+    const template = templates.get(templateId);
+    if (!template || !canUseTemplate(caller, template)) {
+        return { error: `Unknown template: ${templateId}` };
+    }
+
+    // Optional lead scoring weights and tier thresholds
+    let scoring;
+    if (body.scoring) {
+        try {
+            scoring = resolveScoringConfig(body.scoring);
+        } catch (error) {
+            return { error: error.message };
+        }
+    }
+
+    // Optional Excel columns: true for all of them, or a list of keys
+    const optionalColumns = body.excelColumns === 'all' ? true : body.excelColumns;
+    if (Array.isArray(optionalColumns)) {
+        const unknown = optionalColumns.filter((key) => !OPTIONAL_COLUMN_KEYS.includes(key));
+        if (unknown.length > 0) {
+            return { error: `Unknown Excel columns: ${unknown.join(', ')}. Optional columns: ${OPTIONAL_COLUMN_KEYS.join(', ')}` };
+        }
+    }
+
+    // Optional webhook for the job's final status (see webhooks.js)
+    let webhook = null;
+    if (body.webhookUrl) {
+        if (!body.webhookSecret) {
+            return { error: 'webhookSecret is required to sign webhooks' };
+        }
+        try {
+            webhook = { ...parseWebhook(body.webhookUrl, body.webhookEvents), secret: String(body.webhookSecret) };
+        } catch (error) {
+            return { error: error.message };
+        }
+    }
+
+    return {
+        options: {
+            dedupeThreshold,
+            templateId,
+            scoring,
+            optionalColumns: optionalColumns === true || Array.isArray(optionalColumns) ? optionalColumns : false,
+            webhook,
+        },
+    };
+}
+
+/**
+ * Validate a scrape request and build its job (not yet queued).
+ * @param {Object} body - Request body of POST /api/scrape
+ * @param {Object} [caller] - req.caller; defaults to the admin (local tools
+ *   such as the MCP server)
+ * @returns {{ job: Object }|{ error: string }} The job, or why the request is invalid
+ */
+function createJob(body, caller = ADMIN_CALLER) {
+    const queries = parseQueries(body);
+
+    if (queries.length === 0) {
+        return { error: 'Missing required fields: category, state, country' };
+    }
+
+    if (queries.length > MAX_BATCH_QUERIES) {
+        return { error: `Too many searches in one batch (${queries.length}). The limit is ${MAX_BATCH_QUERIES}.` };
+    }
+
+    // Large-area mode: split each search into city or grid tiles (see tiles.js)
+    const tiling = body.tiling || (body.largeArea ? { mode: 'auto' } : null);
+    const tileCounts = [];
+    if (tiling) {
+        try {
+            queries.forEach((q) => tileCounts.push(buildTiles(q.state, q.country, tiling).length));
+        } catch (error) {
+            return { error: error.message };
+        }
+    }
+
+    // Clamp leads (per search) between 1 and 100, or MAX_TILED_LEADS when tiled
+    const maxLeads = Math.min(Math.max(parseInt(body.leads, 10) || 20, 1), tiling ? MAX_TILED_LEADS : 100);
+
+    const { options, error } = parseOutputOptions(body, caller);
+    if (error) return { error };
+
+    const unique = (values) => Array.from(new Set(values)).join(', ');
+
+    const job = {
+        id: uuidv4(),
+        category: unique(queries.map((q) => q.category)),
+        state: unique(queries.map((q) => q.state)),
+        country: unique(queries.map((q) => q.country)),
+        queries: queries.map((q, i) => ({
+            ...q,
+            status: 'pending',
+            resultCount: 0,
+            error: null,
+            ...(tiling ? { tiles: tileCounts[i], tile: 0 } : {}),
+        })),
+        currentQuery: null,
+        maxLeads,
+        tiling,
+        ...options,
+        auditWebsites: body.audit === true || body.audit === 'true',
+        webhookDeliveries: [],
+        status: 'queued',
+        progress: 0,
+        message: 'Waiting for a free scraper...',
+        resultCount: 0,
+        mergedCount: 0,
+        results: [],
+        filePath: null,
+        error: null,
+        createdAt: new Date().toISOString(),
+    };
+
+    return { job };
+}
+
+/**
+ * Read the lead list uploaded with an import request.
+ * @param {Object} body - { filename, file } with the file base64-encoded
+ * @returns {{ headers: Array<string>, rows: Array<Object> }}
+ * @throws {ImportError}
+ */
+function readImportFile(body) {
+    if (!body.filename || typeof body.file !== 'string' || !body.file) {
+        throw new ImportError('Missing required fields: filename, file (the .csv or .xlsx file, base64-encoded)');
+    }
+    return readLeadSheet(Buffer.from(body.file, 'base64'), String(body.filename));
+}
+
+/**
+ * Validate an import request and build its job (not yet queued).
+ * @param {Object} body - Request body of POST /api/imports
+ * @param {Object} caller - req.caller
+ * @returns {{ job: Object }|{ error: string }} The job, or why the request is invalid
+ */
+function createImportJob(body, caller) {
+    let leads;
+    try {
+        const { headers, rows } = readImportFile(body);
+        leads = applyMapping(rows, body.mapping || suggestMapping(headers), headers);
+    } catch (error) {
+        if (error instanceof ImportError) return { error: error.message };
+        throw error;
+    }
+    if (leads.length === 0) {
+        return { error: 'No rows with a business name to import' };
+    }
+
+    const { options, error } = parseOutputOptions(body, caller);
+    if (error) return { error };
+
+    const job = {
+        id: uuidv4(),
+        type: 'import',
+        importFile: path.basename(String(body.filename)),
+        importRows: leads,
+        // Look up rows with only a name and a place (unless enrich is false)
+        enrich: body.enrich !== false && body.enrich !== 'false',
+        category: String(body.category || '').trim() || 'Imported',
+        state: '',
+        country: String(body.country || '').trim(),
+        queries: [],
+        currentQuery: null,
+        ...options,
+        webhookDeliveries: [],
+        status: 'queued',
+        progress: 0,
+        message: 'Waiting for a free scraper...',
+        resultCount: 0,
+        mergedCount: 0,
+        results: [],
+        filePath: null,
+        error: null,
+        createdAt: new Date().toISOString(),
+    };
+
+    return { job };
+}
+
+/**
+ * Save a new job and queue it; it starts right away if a slot is free.
+ * @param {Object} job
+ */
+function enqueueJob(job) {
+    jobs.save(job);
+    queue.push(job.id);
+    processQueue();
+}
+
+/**
+ * Validate a scrape request, check the caller's limits and queue the job.
+ * API requests, saved-search runs and schedules all start jobs this way.
+ * @param {Object} body - POST /api/scrape body
+ * @param {Object} caller - req.caller (or a schedule's owner)
+ * @param {Object} [fields] - Extra job fields, e.g. { searchId }
+ * @returns {{ job: Object }|{ error: string, status: number }}
+ */
+function submitJob(body, caller, fields = {}) {
+    const { job, error } = createJob(body, caller);
+    if (error) return { error, status: 400 };
+    const limitError = checkJobLimits(caller, job);
+    if (limitError) return { error: limitError, status: 429 };
+
+    Object.assign(job, fields, { keyId: caller.id });
+    enqueueJob(job);
+    return { job };
+}
+
+/**
+ * POST /api/scrape
+ * Start a scraping job. Accepts a single search or a batch (see parseQueries).
+ */
+app.post('/api/scrape', (req, res) => {
+    const { job, error, status } = submitJob(req.body, req.caller);
+    if (error) {
+        return res.status(status).json({ error });
+    }
+
+    res.json({ jobId: job.id, status: job.status, queuePosition: queue.indexOf(job.id) + 1 || null });
+});
+
+/**
+ * POST /api/imports/preview
+ * Read an uploaded lead list ({ filename, file }) and suggest how its columns
+ * map onto lead fields, so the mapping can be checked before importing.
+ */
+app.post('/api/imports/preview', parseImportJson, (req, res) => {
+    let sheet;
+    try {
+        sheet = readImportFile(req.body);
+    } catch (error) {
+        if (error instanceof ImportError) return res.status(400).json({ error: error.message });
+        throw error;
+    }
+
+    const mapping = suggestMapping(sheet.headers);
+    const leads = mapping.name ? applyMapping(sheet.rows, mapping, sheet.headers) : [];
+    res.json({
+        headers: sheet.headers,
+        rowCount: sheet.rows.length,
+        fields: Object.keys(IMPORT_FIELDS),
+        mapping,
+        lookups: leads.filter(needsLookup).length,
+        sample: sheet.rows.slice(0, 5),
+    });
+});
+
+/**
+ * POST /api/imports
+ * Import a lead list: { filename, file, mapping?, country?, category?, enrich? }
+ * plus the output options of /api/scrape. Rows are cleaned and deduplicated,
+ * and rows with only a name and a place are looked up on Google Maps.
+ */
+app.post('/api/imports', parseImportJson, (req, res) => {
+    const { job, error } = createImportJob(req.body, req.caller);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+    const limitError = checkJobLimits(req.caller, job);
+    if (limitError) {
+        return res.status(429).json({ error: limitError });
+    }
+
+    job.keyId = req.caller.id;
+    enqueueJob(job);
+    res.json({
+        jobId: job.id,
+        status: job.status,
+        queuePosition: queue.indexOf(job.id) + 1 || null,
+        rows: job.importRows.length,
+        lookups: job.enrich ? job.importRows.filter(needsLookup).length : 0,
+    });
+});
+
+/**
+ * GET /api/status/:jobId
+ * Get the status of a scraping job
+ */
+app.get('/api/status/:jobId', (req, res) => {
+    const job = jobs.get(req.params.jobId);
+    if (!job || !canAccess(req.caller, job)) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.json(statusPayload(job));
+});
+
+/**
+ * GET /api/jobs/:jobId/events
+ * Server-Sent Events stream of a job: 'status' events on every progress
+ * update and 'lead' events for each lead as it is found or enriched.
+ */
+app.get('/api/jobs/:jobId/events', (req, res) => {
+    const job = jobs.get(req.params.jobId);
+    if (!job || !canAccess(req.caller, job)) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no',
+    });
+    res.flushHeaders();
+
+    const send = (event, data) => {
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    // Catch the client up: leads streamed so far, then the current status
+    for (const entry of (liveLeads.get(job.id) || new Map()).values()) {
+        send('lead', entry);
+    }
+    send('status', statusPayload(job));
+
+    if (FINAL_STATUSES.includes(job.status)) {
+        return res.end();
+    }
+
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
+    const listener = ({ event, data }) => {
+        send(event, data);
+        if (event === 'status' && FINAL_STATUSES.includes(data.status)) {
+            cleanup();
+            res.end();
+        }
+    };
+    const cleanup = () => {
+        clearInterval(heartbeat);
+        jobEvents.off(job.id, listener);
+    };
+
+    jobEvents.on(job.id, listener);
+    req.on('close', cleanup);
+});
+
+/**
+ * GET /api/download/:jobId?format=xlsx|csv|json|ndjson
+ * Download the results. Excel is the default and is generated when the job
+ * finishes; the text formats are rendered on demand from the stored results.
+ */
+app.get('/api/download/:jobId', (req, res) => {
+    const job = jobs.get(req.params.jobId);
+    if (!job || !canAccess(req.caller, job)) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
+
+    const format = String(req.query.format || 'xlsx').toLowerCase();
+    if (!EXPORT_FORMATS[format]) {
+        return res.status(400).json({
+            error: `Unsupported format "${format}". Use one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`,
+        });
+    }
+
+    if (!DOWNLOADABLE_STATUSES.includes(job.status) || !job.filePath) {
+        return res.status(400).json({ error: 'File not ready yet' });
+    }
+
+    let baseName;
+    if (job.type === 'import') {
+        baseName = `leads_import_${path.parse(job.importFile).name.replace(/\s+/g, '_')}`;
+    } else if ((job.queries || []).length > 1) {
+        baseName = `leads_batch_${job.queries.length}_searches`;
+    } else {
+        baseName = `leads_${job.category.replace(/\s+/g, '_')}_${job.state.replace(/\s+/g, '_')}`;
+    }
+    const filename = `${baseName}.${EXPORT_FORMATS[format].extension}`;
+
+    if (format !== 'xlsx') {
+        res.attachment(filename);
+        res.type(EXPORT_FORMATS[format].contentType);
+        return res.send(formatLeads(job.results, format));
+    }
+
+    if (!fs.existsSync(job.filePath)) {
+        return res.status(410).json({ error: 'File is no longer available' });
+    }
+
+    res.download(job.filePath, filename);
+});
+
+/**
+ * DELETE /api/jobs/:jobId
+ * Cancel a running scraping job. Leads collected so far are still exported.
+ */
+app.delete('/api/jobs/:jobId', (req, res) => {
+    const job = jobs.get(req.params.jobId);
+    if (!job || !canAccess(req.caller, job)) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
+
+    // Not started yet: just take it out of the queue
+    const queueIndex = queue.indexOf(job.id);
+    if (queueIndex !== -1) {
+        queue.splice(queueIndex, 1);
+        job.status = 'cancelled';
+        job.message = 'Cancelled before it started.';
+        updateJob(job);
+        jobFinished(job);
+        return res.json({ jobId: job.id, status: job.status });
+    }
+
+    const controller = cancellers.get(job.id);
+    if (!controller) {
+        return res.status(409).json({ error: `Job can no longer be cancelled (status: ${job.status})` });
+    }
+
+    controller.abort();
+    job.message = 'Cancelling...';
+    updateJob(job);
+
+    res.json({ jobId: job.id, status: 'cancelling' });
+});
+
+/**
+ * GET /api/jobs/:jobId/diff
+ * Changes of a saved-search run against the previous run
+ */
+app.get('/api/jobs/:jobId/diff', (req, res) => {
+    const job = jobs.get(req.params.jobId);
+    if (!job || !canAccess(req.caller, job)) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
+    if (!job.diff) {
+        return res.status(404).json({ error: 'This job has no diff. Only finished saved-search runs are compared.' });
+    }
+    res.json({ jobId: job.id, searchId: job.searchId, ...job.diff });
+});
+
+/**
+ * GET /api/jobs/:jobId/webhooks
+ * Webhook delivery log of a job, one entry per attempt
+ */
+app.get('/api/jobs/:jobId/webhooks', (req, res) => {
+    const job = jobs.get(req.params.jobId);
+    if (!job || !canAccess(req.caller, job)) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
+    res.json({
+        jobId: job.id,
+        url: job.webhook ? job.webhook.url : null,
+        events: job.webhook ? job.webhook.events : [],
+        deliveries: job.webhookDeliveries || [],
+    });
+});
+
+/**
+ * POST /api/webhooks/test
+ * Send a signed 'webhook.test' event once: { webhookUrl, webhookSecret }
+ */
+app.post('/api/webhooks/test', async (req, res) => {
+    const secret = req.body.webhookSecret;
+    if (!secret) {
+        return res.status(400).json({ error: 'webhookSecret is required to sign webhooks' });
+    }
+    let url;
+    try {
+        url = parseWebhook(req.body.webhookUrl).url;
+        await checkWebhookTarget(url);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+
+    let delivery;
+    await deliverWebhook({ url, secret: String(secret) }, 'webhook.test', { message: 'Test event from LeadScraper' }, {
+        maxAttempts: 1,
+        onAttempt: (entry) => { delivery = entry; },
+    });
+    res.json(delivery);
+});
+
+/**
+ * A stored scrape request as shown to clients, with the webhook secret masked.
+ * @param {Object} request
+ * @returns {Object}
+ */
+function requestPayload(request) {
+    return request.webhookSecret ? { ...request, webhookSecret: '********' } : request;
+}
+
+/**
+ * Public view of a saved search (without the lead snapshot).
+ * @param {Object} search
+ * @returns {Object}
+ */
+function searchPayload(search) {
+    const { snapshot, lastDiff, ...rest } = search;
+    return { ...rest, request: requestPayload(search.request), lastDiff: lastDiff ? diffSummary(lastDiff) : null };
+}
+
+/**
+ * Queue a run of a saved search.
+ * @param {Object} search
+ * @param {Object} caller - req.caller, whose limits apply to the run
+ * @returns {{ job: Object }|{ error: string, status: number }}
+ */
+function runSavedSearch(search, caller) {
+    const result = submitJob(search.request, caller, { searchId: search.id });
+    if (result.job) searches.startRun(search, result.job.id);
+    return result;
+}
+
+/**
+ * GET /api/searches
+ * List saved searches
+ */
+app.get('/api/searches', (req, res) => {
+    res.json({ searches: searches.list().filter((search) => canAccess(req.caller, search)).map(searchPayload) });
+});
+
+/**
+ * POST /api/searches
+ * Save a search: { name, ...POST /api/scrape fields, runNow? }
+ */
+app.post('/api/searches', (req, res) => {
+    const { name, runNow, ...request } = req.body;
+    if (!name || typeof name !== 'string' || !name.trim()) {
+        return res.status(400).json({ error: 'Search name is required' });
+    }
+    const { error } = createJob(request, req.caller);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    const search = searches.create(name.trim(), request, req.caller.id);
+    let jobId = null;
+    let runError;
+    if (runNow) {
+        const run = runSavedSearch(search, req.caller);
+        jobId = run.job ? run.job.id : null;
+        runError = run.error;
+    }
+    res.status(201).json({ ...searchPayload(search), jobId, ...(runError ? { runError } : {}) });
+});
+
+/**
+ * GET /api/searches/:searchId
+ * Saved search with its run history
+ */
+app.get('/api/searches/:searchId', (req, res) => {
+    const search = searches.get(req.params.searchId);
+    if (!search || !canAccess(req.caller, search)) {
+        return res.status(404).json({ error: 'Saved search not found' });
+    }
+    res.json(searchPayload(search));
+});
 
 /**
- * POST /api/scrape
- * Start a scraping job
+ * POST /api/searches/:searchId/run
+ * Re-run a saved search; the results are compared with the last complete run
  */
-app.post('/api/scrape', (req, res) => {
-    const { category, state, country, leads } = req.body;
+app.post('/api/searches/:searchId/run', (req, res) => {
+    const search = searches.get(req.params.searchId);
+    if (!search || !canAccess(req.caller, search)) {
+        return res.status(404).json({ error: 'Saved search not found' });
+    }
+    const { job, error, status } = runSavedSearch(search, req.caller);
+    if (error) {
+        return res.status(status).json({ error });
+    }
+    res.json({ jobId: job.id, status: job.status, queuePosition: queue.indexOf(job.id) + 1 || null });
+});
 
-    if (!category || !state || !country) {
-        return res.status(400).json({
-            error: 'Missing required fields: category, state, country',
-        });
+/**
+ * GET /api/searches/:searchId/diff
+ * Changes found by the last complete run
+ */
+app.get('/api/searches/:searchId/diff', (req, res) => {
+    const search = searches.get(req.params.searchId);
+    if (!search || !canAccess(req.caller, search)) {
+        return res.status(404).json({ error: 'Saved search not found' });
+    }
+    if (!search.lastDiff) {
+        return res.status(404).json({ error: 'This search has not completed a run yet' });
+    }
+    res.json({ searchId: search.id, jobId: search.lastJobId, ...search.lastDiff });
+});
+
+/**
+ * DELETE /api/searches/:searchId
+ * Delete a saved search (its jobs are left alone)
+ */
+app.delete('/api/searches/:searchId', (req, res) => {
+    const search = searches.get(req.params.searchId);
+    if (!search || !canAccess(req.caller, search)) {
+        return res.status(404).json({ error: 'Saved search not found' });
     }
+    searches.remove(search.id);
+    res.json({ deleted: req.params.searchId });
+});
 
-    // Clamp leads between 1 and 100
-    const maxLeads = Math.min(Math.max(parseInt(leads, 10) || 20, 1), 100);
+/**
+ * The caller a schedule's jobs run as: the API key that created it.
+ * @param {Object} schedule
+ * @returns {Object|null} null when that key has been revoked
+ */
+function scheduleCaller(schedule) {
+    if (schedule.keyId === ADMIN_CALLER.id) return ADMIN_CALLER;
+    if (!schedule.keyId) return ANONYMOUS_CALLER;
+    const key = apiKeys.get(schedule.keyId);
+    return key && !key.revokedAt ? key : null;
+}
 
-    const jobId = uuidv4();
-    const job = {
-        id: jobId,
-        category,
-        state,
-        country,
-        maxLeads,
-        status: 'starting',
-        progress: 0,
-        message: 'Initializing scraper...',
-        resultCount: 0,
-        results: [],
-        filePath: null,
-        error: null,
-        createdAt: new Date().toISOString(),
-    };
+/**
+ * Queue a job for a schedule, unless its previous run is still going.
+ * @param {Object} schedule
+ * @param {Object} [options]
+ * @param {boolean} [options.advance=true] - Move on to the next cron time
+ *   (false for manual runs)
+ * @returns {Object} The recorded run: { status: 'queued'|'skipped'|'failed', jobId?, reason? }
+ */
+function runSchedule(schedule, { advance = true } = {}) {
+    let run;
+    const previous = schedule.runs.find((r) => r.jobId);
+    const previousJob = previous && jobs.get(previous.jobId);
+    const caller = scheduleCaller(schedule);
+
+    if (previousJob && ACTIVE_STATUSES.includes(previousJob.status)) {
+        run = { status: 'skipped', reason: `The previous run (job ${previousJob.id}) is still ${previousJob.status}` };
+    } else if (!caller) {
+        run = { status: 'skipped', reason: 'The API key that created this schedule has been revoked' };
+    } else {
+        const { job, error, status } = submitJob(schedule.request, caller, { scheduleId: schedule.id });
+        if (job) {
+            run = { status: 'queued', jobId: job.id };
+        } else {
+            run = { status: status === 429 ? 'skipped' : 'failed', reason: error };
+        }
+    }
+
+    schedules.recordRun(schedule, run, { advance });
+    return run;
+}
+
+/**
+ * Queue every schedule that is due. A schedule that came due while the
+ * server was down runs once on startup.
+ */
+function runDueSchedules() {
+    schedules.due().forEach((schedule) => {
+        const run = runSchedule(schedule);
+        console.log(`Schedule "${schedule.name}": ${run.status}${run.jobId ? ` (job ${run.jobId})` : ''}${run.reason ? `: ${run.reason}` : ''}`);
+    });
+}
 
-    jobs.set(jobId, job);
+/**
+ * Public view of a schedule, with its next run times.
+ * @param {Object} schedule
+ * @returns {Object}
+ */
+function schedulePayload(schedule) {
+    const upcoming = schedule.enabled
+        ? nextRuns(schedule.cron, { timeZone: schedule.timeZone, count: 5 }).map((date) => date.toISOString())
+        : [];
+    return { ...schedule, request: requestPayload(schedule.request), upcoming };
+}
 
-    // Start scraping asynchronously
-    runScrapeJob(job);
+/**
+ * Read a schedule from a request body: { name, cron, timeZone?, enabled?,
+ * ...POST /api/scrape fields }.
+ * @param {Object} body
+ * @param {Object} caller - req.caller
+ * @returns {{ fields: Object }|{ error: string }}
+ */
+function parseScheduleBody(body, caller) {
+    const { name, cron, timeZone, enabled, ...request } = body;
+    if (!name || typeof name !== 'string' || !name.trim()) {
+        return { error: 'Schedule name is required' };
+    }
+    const { error } = createJob(request, caller);
+    if (error) return { error };
+    return { fields: { name: name.trim(), cron, timeZone, enabled, request, keyId: caller.id } };
+}
 
-    res.json({ jobId, status: 'started' });
+/**
+ * GET /api/schedules/preview?cron=0 9 * * MON&timeZone=Asia/Kolkata&count=5
+ * Next run times of a cron expression, without saving anything
+ */
+app.get('/api/schedules/preview', (req, res) => {
+    const timeZone = req.query.timeZone || 'UTC';
+    const count = Math.min(Math.max(parseInt(req.query.count, 10) || 5, 1), 20);
+    try {
+        const runs = nextRuns(String(req.query.cron || ''), { timeZone, count });
+        res.json({ cron: req.query.cron, timeZone, runs: runs.map((date) => date.toISOString()) });
+    } catch (error) {
+        if (error instanceof CronError) {
+            return res.status(400).json({ error: error.message });
+        }
+        throw error;
+    }
 });
 
 /**
- * GET /api/status/:jobId
- * Get the status of a scraping job
+ * GET /api/schedules
+ * List schedules
  */
-app.get('/api/status/:jobId', (req, res) => {
-    const job = jobs.get(req.params.jobId);
-    if (!job) {
-        return res.status(404).json({ error: 'Job not found' });
+app.get('/api/schedules', (req, res) => {
+    res.json({ schedules: schedules.list().filter((schedule) => canAccess(req.caller, schedule)).map(schedulePayload) });
+});
+
+/**
+ * POST /api/schedules
+ * Create a schedule: { name, cron, timeZone?, enabled?, ...POST /api/scrape fields }
+ */
+app.post('/api/schedules', (req, res) => {
+    const { fields, error } = parseScheduleBody(req.body, req.caller);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+    try {
+        res.status(201).json(schedulePayload(schedules.create(fields)));
+    } catch (err) {
+        if (err instanceof CronError) {
+            return res.status(400).json({ error: err.message });
+        }
+        throw err;
     }
+});
 
-    res.json({
-        id: job.id,
-        status: job.status,
-        progress: job.progress,
-        message: job.message,
-        resultCount: job.resultCount,
-        results: job.status === 'complete' ? job.results.slice(0, 20) : [], // Preview first 20
-        error: job.error,
-    });
+/**
+ * GET /api/schedules/:scheduleId
+ * Schedule with its run history and next run times
+ */
+app.get('/api/schedules/:scheduleId', (req, res) => {
+    const schedule = schedules.get(req.params.scheduleId);
+    if (!schedule || !canAccess(req.caller, schedule)) {
+        return res.status(404).json({ error: 'Schedule not found' });
+    }
+    res.json(schedulePayload(schedule));
 });
 
 /**
- * GET /api/download/:jobId
- * Download the generated Excel file
+ * PUT /api/schedules/:scheduleId
+ * Replace a schedule's settings (same body as POST); the history is kept
  */
-app.get('/api/download/:jobId', (req, res) => {
-    const job = jobs.get(req.params.jobId);
-    if (!job) {
-        return res.status(404).json({ error: 'Job not found' });
+app.put('/api/schedules/:scheduleId', (req, res) => {
+    const existing = schedules.get(req.params.scheduleId);
+    if (!existing || !canAccess(req.caller, existing)) {
+        return res.status(404).json({ error: 'Schedule not found' });
+    }
+    const { fields, error } = parseScheduleBody(req.body, req.caller);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+    // An admin editing someone else's schedule does not take it over
+    fields.keyId = existing.keyId;
+    try {
+        res.json(schedulePayload(schedules.update(existing.id, fields)));
+    } catch (err) {
+        if (err instanceof CronError) {
+            return res.status(400).json({ error: err.message });
+        }
+        throw err;
     }
+});
 
-    if (job.status !== 'complete' || !job.filePath) {
-        return res.status(400).json({ error: 'File not ready yet' });
+/**
+ * POST /api/schedules/:scheduleId/run
+ * Run a schedule now, outside its cron times (still skipped while the
+ * previous run is going)
+ */
+app.post('/api/schedules/:scheduleId/run', (req, res) => {
+    const schedule = schedules.get(req.params.scheduleId);
+    if (!schedule || !canAccess(req.caller, schedule)) {
+        return res.status(404).json({ error: 'Schedule not found' });
     }
+    const run = runSchedule(schedule, { advance: false });
+    // A run that fails validation is a bad request; a skipped one conflicts with the previous run
+    const statusCodes = { queued: 200, failed: 400, skipped: 409 };
+    res.status(statusCodes[run.status] || 409).json(run);
+});
 
-    const filename = `leads_${job.category.replace(/\s+/g, '_')}_${job.state.replace(/\s+/g, '_')}.xlsx`;
-    res.download(job.filePath, filename);
+/**
+ * DELETE /api/schedules/:scheduleId
+ * Delete a schedule (its jobs are left alone)
+ */
+app.delete('/api/schedules/:scheduleId', (req, res) => {
+    const schedule = schedules.get(req.params.scheduleId);
+    if (!schedule || !canAccess(req.caller, schedule)) {
+        return res.status(404).json({ error: 'Schedule not found' });
+    }
+    schedules.remove(schedule.id);
+    res.json({ deleted: req.params.scheduleId });
+});
+
+/**
+ * GET /api/templates
+ * List ice-breaker templates, built-in ones first
+ */
+app.get('/api/templates', (req, res) => {
+    res.json({ templates: templates.list().filter((template) => canUseTemplate(req.caller, template)) });
+});
+
+/**
+ * POST /api/templates/preview
+ * Render a template against sample leads. Takes either `templateId` or an
+ * unsaved `body`, and optional `leads` (defaults to built-in samples).
+ */
+app.post('/api/templates/preview', (req, res) => {
+    let template = req.body.body;
+    if (req.body.templateId) {
+        template = templates.get(req.body.templateId);
+        if (!template || !canUseTemplate(req.caller, template)) {
+            return res.status(404).json({ error: 'Template not found' });
+        }
+    }
+    if (!template) {
+        return res.status(400).json({ error: 'Provide a templateId or a template body' });
+    }
+
+    if (req.body.leads !== undefined && !Array.isArray(req.body.leads)) {
+        return res.status(400).json({ error: 'leads must be a list of lead objects' });
+    }
+    const leads = req.body.leads && req.body.leads.length > 0
+        ? req.body.leads.slice(0, 20)
+        : SAMPLE_LEADS;
+    const invalid = leads.findIndex((lead) => !lead || typeof lead !== 'object' || Array.isArray(lead));
+    if (invalid !== -1) {
+        return res.status(400).json({ error: `leads[${invalid}] must be an object` });
+    }
+
+    try {
+        res.json({
+            previews: leads.map((lead) => ({ lead, iceBreaker: renderTemplate(template, lead) })),
+        });
+    } catch (error) {
+        if (error instanceof TemplateError) {
+            return res.status(400).json({ error: error.message });
+        }
+        throw error;
+    }
+});
+
+/**
+ * GET /api/templates/:templateId
+ * Get one template
+ */
+app.get('/api/templates/:templateId', (req, res) => {
+    const template = templates.get(req.params.templateId);
+    if (!template || !canUseTemplate(req.caller, template)) {
+        return res.status(404).json({ error: 'Template not found' });
+    }
+    res.json(template);
+});
+
+/**
+ * POST /api/templates
+ * Create a template from { name, body, description?, language? }
+ */
+app.post('/api/templates', (req, res) => {
+    try {
+        res.status(201).json(templates.create(req.body, req.caller.id));
+    } catch (error) {
+        if (error instanceof TemplateError) {
+            return res.status(400).json({ error: error.message });
+        }
+        throw error;
+    }
 });
 
+/**
+ * PUT /api/templates/:templateId
+ * Update a user-defined template (any of name, body, description, language)
+ */
+app.put('/api/templates/:templateId', (req, res) => {
+    const existing = templates.get(req.params.templateId);
+    if (!existing || !canUseTemplate(req.caller, existing)) {
+        return res.status(404).json({ error: 'Template not found' });
+    }
+    try {
+        const template = templates.update(req.params.templateId, req.body);
+        if (!template) {
+            return res.status(404).json({ error: 'Template not found' });
+        }
+        res.json(template);
+    } catch (error) {
+        if (error instanceof TemplateError) {
+            return res.status(400).json({ error: error.message });
+        }
+        throw error;
+    }
+});
+
+/**
+ * DELETE /api/templates/:templateId
+ * Delete a user-defined template
+ */
+app.delete('/api/templates/:templateId', (req, res) => {
+    const existing = templates.get(req.params.templateId);
+    if (!existing || !canUseTemplate(req.caller, existing)) {
+        return res.status(404).json({ error: 'Template not found' });
+    }
+    try {
+        if (!templates.remove(req.params.templateId)) {
+            return res.status(404).json({ error: 'Template not found' });
+        }
+        res.json({ deleted: req.params.templateId });
+    } catch (error) {
+        if (error instanceof TemplateError) {
+            return res.status(400).json({ error: error.message });
+        }
+        throw error;
+    }
+});
+
+/**
+ * Public view of an API key (without its hash).
+ * @param {Object} key
+ * @returns {Object}
+ */
+function keyPayload(key) {
+    const { hash, ...rest } = key;
+    return { ...rest, leadsToday: apiKeys.leadsUsedToday(key) };
+}
+
+// Key management is reserved for the admin key
+app.use('/api/admin', (req, res, next) => {
+    if (!req.caller.admin) {
+        return res.status(403).json({ error: 'Admin API key required' });
+    }
+    next();
+});
+
+/**
+ * GET /api/admin/keys
+ * List API keys with today's usage
+ */
+app.get('/api/admin/keys', (req, res) => {
+    res.json({ keys: apiKeys.list().map(keyPayload) });
+});
+
+/**
+ * POST /api/admin/keys
+ * Issue a key: { name, limits?: { concurrentJobs, leadsPerDay, requestsPerMinute } }.
+ * The key itself is only returned here.
+ */
+app.post('/api/admin/keys', (req, res) => {
+    const { name, limits } = req.body;
+    if (!name || typeof name !== 'string' || !name.trim()) {
+        return res.status(400).json({ error: 'Key name is required' });
+    }
+    try {
+        const { key, record } = apiKeys.issue(name.trim(), limits);
+        res.status(201).json({ key, ...keyPayload(record) });
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+/**
+ * PATCH /api/admin/keys/:keyId
+ * Rename a key or change its limits
+ */
+app.patch('/api/admin/keys/:keyId', (req, res) => {
+    try {
+        const name = typeof req.body.name === 'string' ? req.body.name.trim() : undefined;
+        const key = apiKeys.update(req.params.keyId, { name, limits: req.body.limits });
+        if (!key) {
+            return res.status(404).json({ error: 'API key not found' });
+        }
+        res.json(keyPayload(key));
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+/**
+ * DELETE /api/admin/keys/:keyId
+ * Revoke a key. Its jobs keep running.
+ */
+app.delete('/api/admin/keys/:keyId', (req, res) => {
+    const key = apiKeys.revoke(req.params.keyId);
+    if (!key) {
+        return res.status(404).json({ error: 'API key not found' });
+    }
+    res.json(keyPayload(key));
+});
+
+/**
+ * Start queued jobs while there are free slots.
+ */
+function processQueue() {
+    while (running.size < MAX_CONCURRENT_JOBS && queue.length > 0) {
+        const job = jobs.get(queue.shift());
+        if (!job) continue;
+
+        running.add(job.id);
+        const run = job.type === 'import' ? runImportJob : runScrapeJob;
+        run(job).finally(() => {
+            running.delete(job.id);
+            liveLeads.delete(job.id);
+            processQueue();
+        });
+    }
+
+    // Everyone still waiting has moved up the queue
+    queue.forEach((id) => {
+        const waiting = jobs.get(id);
+        if (waiting) jobEvents.emit(id, { event: 'status', data: statusPayload(waiting) });
+    });
+}
+
 /**
  * Runs the scraping job asynchronously.
  */
 async function runScrapeJob(job) {
+    const controller = new AbortController();
+    cancellers.set(job.id, controller);
+
     try {
         job.status = 'scraping';
         job.message = 'Starting Google Maps scraper...';
+        updateJob(job);
 
-        const rawResults = await scrapeGoogleMaps(
-            job.category,
-            job.state,
-            job.country,
-            job.maxLeads,
-            (progress) => {
-                job.message = progress.message || job.message;
-                if (progress.total && progress.current) {
-                    job.progress = Math.round((progress.current / progress.total) * 100);
-                }
-                if (progress.count) {
-                    job.resultCount = progress.count;
+        // Run each search in turn, deduplicating leads across the whole batch
+        const rawResults = [];
+        const seenUrls = new Set();
+        // Leads remember their search's country so phone numbers parse correctly
+        const addLeads = (leads, country) => {
+            leads.forEach((lead) => {
+                const key = lead.url || `${lead.name}|${lead.address}`;
+                if (seenUrls.has(key)) return;
+                seenUrls.add(key);
+                rawResults.push({ ...lead, country });
+            });
+        };
+
+        const total = job.queries.length;
+        let cancelled = false;
+        try {
+            for (let i = 0; i < total && !cancelled; i++) {
+                const query = job.queries[i];
+                const collectedBefore = rawResults.length;
+                job.currentQuery = i + 1;
+                query.status = 'scraping';
+                query.stats = {};
+                updateJob(job);
+
+                try {
+                    const leads = await scrapeGoogleMaps(
+                        query.category,
+                        query.state,
+                        query.country,
+                        job.maxLeads,
+                        (progress) => {
+                            const prefix = total > 1 ? `[${i + 1}/${total}] ` : '';
+                            job.message = progress.message ? prefix + progress.message : job.message;
+                            // Tiles count for the first fifth of a tiled search, profiles for the rest
+                            if (progress.total && progress.current) {
+                                const enriched = progress.current / progress.total;
+                                job.progress = Math.round(((i + (query.tile ? 0.2 + 0.8 * enriched : enriched)) / total) * 100);
+                            }
+                            if (progress.tiles && progress.tile) {
+                                query.tile = progress.tile;
+                                job.progress = Math.round(((i + 0.2 * (progress.tile / progress.tiles)) / total) * 100);
+                            }
+                            if (progress.count) {
+                                query.resultCount = progress.count;
+                                job.resultCount = collectedBefore + progress.count;
+                            }
+                            updateJob(job);
+                            (progress.leads || []).forEach((lead) => publishLead(job, lead, 'found'));
+                            if (progress.lead) publishLead(job, progress.lead, 'enriched');
+                        },
+                        {
+                            signal: controller.signal,
+                            browserPool,
+                            proxies,
+                            stats: query.stats,
+                            auditWebsites: job.auditWebsites,
+                            tiles: job.tiling ? buildTiles(query.state, query.country, job.tiling) : undefined,
+                        }
+                    );
+                    addLeads(leads, query.country);
+                    query.status = 'complete';
+                    query.resultCount = leads.length;
+                } catch (error) {
+                    if (error instanceof ScrapeCancelledError) {
+                        addLeads(error.partialResults, query.country);
+                        query.status = 'cancelled';
+                        query.resultCount = error.partialResults.length;
+                        cancelled = true;
+                    } else if (total === 1) {
+                        throw error;
+                    } else {
+                        // One failed search should not sink the rest of the batch
+                        query.status = 'error';
+                        query.error = describeError(error);
+                        console.error(`Job ${job.id} search ${i + 1}/${total} failed:`, error.cause ? `${error.message} ${error.cause.message}` : error.message);
+                    }
                 }
+                job.resultCount = rawResults.length;
+                updateJob(job);
             }
-        );
+        } finally {
+            cancellers.delete(job.id);
+        }
+
+        if (total > 1 && job.queries.every((q) => q.status === 'error')) {
+            const last = job.queries[total - 1].error;
+            throw new ScrapeError(last.code, `All ${total} searches failed. Last error: ${last.message}`);
+        }
+
+        // Leads left with only their list details
+        const partialProfiles = job.queries.reduce((sum, q) => sum + ((q.stats && q.stats.partialProfiles) || 0), 0);
+        if (partialProfiles > 0) {
+            job.warning = describeError(new ScrapeError('ENRICHMENT_PARTIAL', `${partialProfiles} of ${rawResults.length} business profiles could not be opened.`));
+        }
 
         // Validate and clean
         job.status = 'validating';
         job.message = 'Validating and cleaning data...';
         job.progress = 90;
+        updateJob(job);
+
+        // A template deleted while the job waited falls back to the default
+        const template = templates.get(job.templateId);
+        if (job.templateId && !template) {
+            console.warn(`Job ${job.id}: template ${job.templateId} no longer exists, using the default`);
+        }
 
-        const cleanedResults = validateAndClean(rawResults);
+        const stats = {};
+        const cleanedResults = validateAndClean(rawResults, {
+            country: job.country,
+            dedupeThreshold: job.dedupeThreshold,
+            template,
+            scoring: job.scoring,
+            stats,
+        });
         job.results = cleanedResults;
         job.resultCount = cleanedResults.length;
+        job.mergedCount = stats.merged || 0;
+
+        // Saved-search runs are compared with the last complete run
+        const search = job.searchId ? searches.get(job.searchId) : null;
+        if (search) {
+            job.diff = diffLeads(search.snapshot, cleanedResults);
+        }
 
         // Generate Excel
         job.status = 'generating';
         job.message = 'Generating Excel file...';
         job.progress = 95;
+        updateJob(job);
 
         const outputDir = path.join(__dirname, 'output');
         const outputPath = path.join(outputDir, `${job.id}.xlsx`);
-        await generateExcel(cleanedResults, outputPath);
+        try {
+            await generateExcel(cleanedResults, outputPath, { optionalColumns: job.optionalColumns, changes: job.diff });
+        } catch (err) {
+            throw new ScrapeError('EXPORT_FAILED', undefined, { cause: err });
+        }
         job.filePath = outputPath;
 
         // Done
-        job.status = 'complete';
-        job.progress = 100;
-        job.message = `Successfully scraped ${cleanedResults.length} businesses!`;
+        if (cancelled) {
+            job.status = 'cancelled';
+            job.message = `Cancelled. Kept ${cleanedResults.length} businesses collected so far.`;
+        } else {
+            job.status = 'complete';
+            job.progress = 100;
+            job.message = `Successfully scraped ${cleanedResults.length} businesses!`;
+            if (job.mergedCount) job.message += ` (${job.mergedCount} duplicates merged)`;
+        }
+        if (job.diff && !job.diff.baseline) {
+            job.message += ` Since the last run: ${job.diff.added} new, ${job.diff.changed} changed, ${job.diff.removed} removed.`;
+        }
+        updateJob(job);
+        if (job.keyId) {
+            apiKeys.recordLeads(job.keyId, cleanedResults.length);
+        }
+        jobFinished(job, search ? cleanedResults.map(toSnapshot) : undefined);
+
+        console.log(`Job ${job.id} ${job.status}: ${cleanedResults.length} results`);
+    } catch (error) {
+        job.status = 'error';
+        job.error = describeError(error);
+        job.message = `Error: ${job.error.message}`;
+        updateJob(job);
+        console.error(`Job ${job.id} failed (${job.error.code}):`, error.cause ? `${error.message} ${error.cause.message}` : error.message);
+        jobFinished(job);
+    }
+}
+
+/**
+ * Runs an import job asynchronously: looks up the rows that only have a name
+ * and a place, merges what was found, then cleans, dedupes and exports the
+ * list like a scrape.
+ */
+async function runImportJob(job) {
+    const controller = new AbortController();
+    cancellers.set(job.id, controller);
+
+    try {
+        job.status = 'scraping';
+        job.message = `Reading ${job.importRows.length} rows from ${job.importFile}...`;
+        updateJob(job);
+
+        const toLookUp = job.enrich ? job.importRows.filter(needsLookup) : [];
+        let lookups = [];
+        let cancelled = false;
+        if (toLookUp.length > 0) {
+            job.lookupStats = {};
+            try {
+                lookups = await lookupBusinesses(
+                    toLookUp.map((lead) => ({ name: lead.name, location: lookupLocation(lead, job.country) })),
+                    (progress) => {
+                        job.message = progress.message || job.message;
+                        // Lookups take the job up to 85%
+                        if (progress.total && progress.current) {
+                            job.progress = Math.round((progress.current / progress.total) * 85);
+                        }
+                        updateJob(job);
+                        if (progress.lead) publishLead(job, progress.lead, 'enriched');
+                    },
+                    { signal: controller.signal, browserPool, proxies, stats: job.lookupStats }
+                );
+            } catch (error) {
+                if (error instanceof ScrapeCancelledError) {
+                    lookups = error.partialResults;
+                    cancelled = true;
+                } else {
+                    // The rows are still worth cleaning up, just not enriched
+                    job.warning = describeError(error);
+                    lookups = toLookUp.map(() => ({ status: 'failed', error: error.message }));
+                    console.error(`Job ${job.id} lookups failed:`, error.cause ? `${error.message} ${error.cause.message}` : error.message);
+                }
+            }
+        }
+        cancellers.delete(job.id);
+
+        // Rows that were never looked up (enrichment off, or cancelled
+        // before their turn) keep what the sheet had
+        const lookupFor = new Map(toLookUp.map((lead, i) => [lead, i < lookups.length ? lookups[i] : null]));
+        const rawResults = job.importRows.map((lead) => {
+            const lookup = lookupFor.get(lead);
+            let merged;
+            if (lookup && lookup.status === 'found') {
+                merged = mergeLookup(lead, lookup.place);
+            } else if (lookup) {
+                merged = { ...lead, importStatus: lookup.status === 'not-found' ? 'not-found' : 'lookup-failed' };
+            } else {
+                merged = { ...lead, importStatus: 'imported' };
+            }
+            return {
+                ...merged,
+                category: merged.category || job.category,
+                // The sheet's city and state stand in for a missing address
+                address: merged.address || [merged.city, merged.state].filter(Boolean).join(', '),
+                country: merged.country || job.country,
+            };
+        });
+
+        // Validate and clean
+        job.status = 'validating';
+        job.message = 'Validating, cleaning and deduplicating rows...';
+        job.progress = 90;
+        updateJob(job);
+
+        const template = templates.get(job.templateId);
+        const stats = {};
+        const cleanedResults = validateAndClean(rawResults, {
+            country: job.country,
+            dedupeThreshold: job.dedupeThreshold,
+            template,
+            scoring: job.scoring,
+            stats,
+        });
+        job.results = cleanedResults;
+        job.resultCount = cleanedResults.length;
+        job.mergedCount = stats.merged || 0;
+        job.importCounts = {};
+        cleanedResults.forEach((lead) => {
+            job.importCounts[lead.importStatus] = (job.importCounts[lead.importStatus] || 0) + 1;
+        });
+
+        // Generate Excel
+        job.status = 'generating';
+        job.message = 'Generating Excel file...';
+        job.progress = 95;
+        updateJob(job);
+
+        const outputPath = path.join(__dirname, 'output', `${job.id}.xlsx`);
+        try {
+            await generateExcel(cleanedResults, outputPath, { optionalColumns: job.optionalColumns, imported: true });
+        } catch (err) {
+            throw new ScrapeError('EXPORT_FAILED', undefined, { cause: err });
+        }
+        job.filePath = outputPath;
+
+        const counts = job.importCounts;
+        const summary = `${counts.updated || 0} updated, ${counts.matched || 0} matched, ${counts['not-found'] || 0} not found`;
+        if (cancelled) {
+            job.status = 'cancelled';
+            job.message = `Cancelled. Kept all ${cleanedResults.length} businesses (${summary}).`;
+        } else {
+            job.status = 'complete';
+            job.progress = 100;
+            job.message = `Imported ${cleanedResults.length} businesses: ${summary}.`;
+            if (counts['lookup-failed']) job.message += ` ${counts['lookup-failed']} could not be looked up.`;
+            if (job.mergedCount) job.message += ` (${job.mergedCount} duplicates merged)`;
+        }
+        updateJob(job);
+        if (job.keyId) {
+            apiKeys.recordLeads(job.keyId, cleanedResults.length);
+        }
+        jobFinished(job);
 
-        console.log(`Job ${job.id} complete: ${cleanedResults.length} results`);
+        console.log(`Job ${job.id} ${job.status}: imported ${cleanedResults.length} results`);
     } catch (error) {
         job.status = 'error';
-        job.error = error.message;
-        job.message = `Error: ${error.message}`;
-        console.error(`Job ${job.id} failed:`, error.message);
+        job.error = describeError(error);
+        job.message = `Error: ${job.error.message}`;
+        updateJob(job);
+        console.error(`Job ${job.id} failed (${job.error.code}):`, error.cause ? `${error.message} ${error.cause.message}` : error.message);
+        cancellers.delete(job.id);
+        jobFinished(job);
     }
 }
 
-// Cleanup old jobs every 30 minutes
+// Cleanup old jobs (and their files) every 30 minutes
 setInterval(() => {
     const now = Date.now();
-    for (const [id, job] of jobs) {
+    for (const job of jobs.list()) {
+        if (ACTIVE_STATUSES.includes(job.status)) continue;
         if (now - new Date(job.createdAt).getTime() > 3600000) {
-            jobs.delete(id);
+            if (job.filePath && fs.existsSync(job.filePath)) {
+                fs.unlinkSync(job.filePath);
+            }
+            jobs.delete(job.id);
         }
     }
 }, 1800000);
 
-app.listen(PORT, () => {
-    console.log(`\n🚀 Google Maps Lead Scraper running at http://localhost:${PORT}\n`);
+/**
+ * Write pending store changes and close the browsers, then exit.
+ */
+async function shutdown() {
+    jobs.flush();
+    templates.flush();
+    searches.flush();
+    schedules.flush();
+    apiKeys.flush();
+    await browserPool.close();
+    process.exit(0);
+}
+
+// Make sure pending job updates hit the disk before the process exits
+['SIGINT', 'SIGTERM'].forEach((signal) => {
+    process.on(signal, shutdown);
 });
+
+// Other entry points (mcpServer.js) load the job logic without the HTTP server
+if (require.main === module) {
+    app.listen(PORT, () => {
+        console.log(`\n🚀 Google Maps Lead Scraper running at http://localhost:${PORT}\n`);
+        if (AUTH_DISABLED) {
+            console.warn('API_AUTH=off: the API is open to anyone who can reach this server.');
+        } else if (!ADMIN_API_KEY) {
+            console.warn('ADMIN_API_KEY is not set: no new API keys can be issued.');
+        }
+        processQueue();
+
+        // Only the web server runs schedules, so other entry points never double them
+        runDueSchedules();
+        setInterval(runDueSchedules, SCHEDULER_INTERVAL);
+    });
+}
+
+module.exports = {
+    app,
+    jobs,
+    templates,
+    createJob,
+    enqueueJob,
+    processQueue,
+    statusPayload,
+    shutdown,
+    DOWNLOADABLE_STATUSES,
+    FINAL_STATUSES,
+};
@@ -0,0 +1,77 @@
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs');
+
+/**
+ * Record/replay of page snapshots so the extractors can be exercised
+ * against saved HTML instead of live Google pages.
+ *
+ * Files are named `<kind>-<hash of url>.html` inside the snapshot directory,
+ * where kind is one of 'local-search', 'maps-search' or 'place'.
+ */
+
+/**
+ * Resolve the snapshot file for a page.
+ * @param {string} dir - Snapshot directory
+ * @param {string} kind - Page kind
+ * @param {string} url - URL the page was loaded from
+ * @returns {string} Absolute file path
+ */
+function snapshotPath(dir, kind, url) {
+    const hash = crypto.createHash('sha1').update(url).digest('hex').substring(0, 16);
+    return path.resolve(dir, `${kind}-${hash}.html`);
+}
+
+/**
+ * Save the current page HTML. A <base> tag is injected so relative links
+ * resolve to the same absolute URLs when the snapshot is replayed.
+ * @param {import('puppeteer').Page} page
+ * @param {string} dir
+ * @param {string} kind
+ * @param {string} url
+ * @returns {Promise<string>} Path of the written file
+ */
+async function saveSnapshot(page, dir, kind, url) {
+    if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+    }
+
+    let html = await page.content();
+    const baseTag = `<base href="${url.replace(/"/g, '&quot;')}">`;
+    if (/<head[^>]*>/i.test(html)) {
+        html = html.replace(/<head[^>]*>/i, (match) => match + baseTag);
+    } else {
+        html = baseTag + html;
+    }
+
+    const filePath = snapshotPath(dir, kind, url);
+    fs.writeFileSync(filePath, html, 'utf8');
+    return filePath;
+}
+
+/**
+ * Load a recorded snapshot into the page instead of navigating.
+ * @param {import('puppeteer').Page} page
+ * @param {string} dir
+ * @param {string} kind
+ * @param {string} url
+ * @returns {Promise<void>}
+ */
+async function loadSnapshot(page, dir, kind, url) {
+    const filePath = snapshotPath(dir, kind, url);
+    if (!fs.existsSync(filePath)) {
+        throw new Error(`No ${kind} snapshot recorded for ${url} (expected ${filePath})`);
+    }
+
+    const html = fs.readFileSync(filePath, 'utf8');
+    // Block every outgoing request so a replay never touches the network
+    await page.setRequestInterception(true);
+    page.removeAllListeners('request');
+    page.on('request', (req) => {
+        if (req.url().startsWith('data:') || req.url() === 'about:blank') req.continue();
+        else req.abort();
+    });
+    await page.setContent(html, { waitUntil: 'domcontentloaded' });
+}
+
+module.exports = { snapshotPath, saveSnapshot, loadSnapshot };
@@ -0,0 +1,105 @@
+const path = require('path');
+const fs = require('fs');
+
+/**
+ * Record repositories for anything keyed by `id` (jobs, templates...).
+ *
+ * Every store exposes the same interface so callers do not care where
+ * records live:
+ *   get(id)       -> record | undefined
+ *   save(record)  -> persist the (mutated) record object
+ *   delete(id)    -> remove a record
+ *   list()        -> array of all records
+ *   flush()       -> write pending changes immediately
+ */
+
+/**
+ * Plain in-memory store. Loses everything on restart.
+ * @returns {Object} Store
+ */
+function createMemoryStore() {
+    const records = new Map();
+    return {
+        get: (id) => records.get(id),
+        save: (record) => {
+            records.set(record.id, record);
+        },
+        delete: (id) => records.delete(id),
+        list: () => Array.from(records.values()),
+        flush: () => { },
+    };
+}
+
+/**
+ * JSON-file store. Records are kept in memory and written to disk shortly
+ * after each change, so rapid updates collapse into a single write.
+ * @param {string} filePath - Where to keep the file
+ * @param {Object} [options]
+ * @param {string} [options.collection='records'] - Top-level key of the JSON file
+ * @param {number} [options.flushDelay=250] - Debounce delay in ms
+ * @param {function} [options.serialize] - Maps a record to what is written to the file
+ * @param {function} [options.deserialize] - Maps a record read from the file back
+ * @returns {Object} Store
+ */
+function createFileStore(filePath, {
+    collection = 'records',
+    flushDelay = 250,
+    serialize = (record) => record,
+    deserialize = (record) => record,
+} = {}) {
+    const records = new Map();
+    let timer = null;
+
+    if (fs.existsSync(filePath)) {
+        try {
+            const saved = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+            (saved[collection] || []).forEach((record) => records.set(record.id, deserialize(record)));
+        } catch (err) {
+            console.error(`Could not read store ${filePath}:`, err.message);
+        }
+    }
+
+    function flush() {
+        if (timer) {
+            clearTimeout(timer);
+            timer = null;
+        }
+        const dir = path.dirname(filePath);
+        if (!fs.existsSync(dir)) {
+            fs.mkdirSync(dir, { recursive: true });
+        }
+        // Write to a temp file first so a crash mid-write never corrupts the store
+        const tmpPath = `${filePath}.tmp`;
+        fs.writeFileSync(tmpPath, JSON.stringify({ [collection]: Array.from(records.values(), serialize) }));
+        fs.renameSync(tmpPath, filePath);
+    }
+
+    function scheduleFlush() {
+        if (timer) return;
+        timer = setTimeout(() => {
+            timer = null;
+            try {
+                flush();
+            } catch (err) {
+                console.error(`Failed to write store ${filePath}:`, err.message);
+            }
+        }, flushDelay);
+    }
+
+    return {
+        get: (id) => records.get(id),
+        save: (record) => {
+            records.set(record.id, record);
+            scheduleFlush();
+        },
+        delete: (id) => {
+            const deleted = records.delete(id);
+            if (deleted) scheduleFlush();
+            return deleted;
+        },
+        list: () => Array.from(records.values()),
+        flush,
+    };
+}
+
+module.exports = { createMemoryStore, createFileStore };
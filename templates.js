@@ -0,0 +1,346 @@
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { createMemoryStore, createFileStore } = require('./store');
+const { toNumber } = require('./columns');
+
+/**
+ * Ice-breaker templates.
+ *
+ * Syntax:
+ *   {{name}}                  Lead field (any field of the cleaned lead)
+ *   {{category|businesses}}   Field with a fallback when it is empty
+ *   {{#if rating >= 4.5 and reviews > 20}} ... {{else if !website}} ... {{else}} ... {{/if}}
+ *
+ * Conditions compare a field with a number or a (quoted) string using
+ * >=, <=, >, <, == or !=, or test a field on its own for presence. They can
+ * be negated with "not" or "!" and combined with "and" / "or" ("and" binds
+ * tighter). Besides the lead fields, hasWebsite, hasEmail and hasPhone are
+ * available; rating and reviews are numbers. Audited leads also carry the
+ * site* findings of websiteAudit.js, with siteIssues as a comma-separated
+ * list, siteIssueCount and siteTopIssue.
+ */
+
+class TemplateError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'TemplateError';
+    }
+}
+
+const DEFAULT_TEMPLATE = {
+    id: 'default',
+    name: 'Web design pitch',
+    description: 'The original LeadScraper message: reputation remark plus a website pitch.',
+    language: 'en',
+    builtIn: true,
+    body:
+        'Hey {{name|there}}, I just went through your Google Business Profile while researching {{category|businesses}} in your area. ' +
+        '{{#if rating >= 4.5 and reviews > 20}}' +
+        'You have a fantastic reputation with a {{rating}}-star rating and {{reviews}} reviews! That\'s impressive and shows you provide great service. ' +
+        '{{else if rating and rating < 4.0}}' +
+        'I noticed your current rating is {{rating}} stars. Often, this can be improved just by better managing your profile and responding to customers, which directly boosts your ranking. ' +
+        '{{else if reviews and reviews < 10}}' +
+        'I noticed you only have {{reviews}} reviews so far. Getting a few more positive reviews could really help you jump ahead of the local competition. ' +
+        '{{else}}' +
+        'Your profile looks solid, and you\'ve clearly put work into your local presence. ' +
+        '{{/if}}' +
+        '{{#if website and siteIssueCount > 0}}' +
+        'You\'ve got a good foundation with your current website, but I noticed a few specific things holding it back ({{siteIssues}}), and fixing them would help you outrank competitors and capture more of that local traffic. ' +
+        '{{else if website}}' +
+        'You\'ve got a good foundation with your current website, but I noticed some specific opportunities to optimize it further so you can outrank competitors and capture more of that local traffic. ' +
+        '{{else}}' +
+        'However, I noticed you don\'t have a website linked to your profile yet. Since Google uses website quality and relevance as a top ranking factor, adding a fast, mobile-optimized site would be a game-changer for your visibility. ' +
+        '{{/if}}' +
+        'I specialize in helping {{category|businesses}} like yours dominate local search by building high-performance websites and fully optimizing Google Business Profiles. Would you be open to a quick chat (or even just an email) about how we can get you to the top of the map pack?',
+};
+
+const BUILT_IN_TEMPLATES = [DEFAULT_TEMPLATE];
+
+// Leads used by the preview endpoint when none are supplied
+const SAMPLE_LEADS = [
+    { category: 'Bakeries', name: 'Golden Crust Bakery', address: '12 Market Road, Kochi', phone: '+91 98470 12345', website: 'https://goldencrust.example', rating: '4.8', reviews: '214' },
+    { category: 'Bakeries', name: 'Sweet Corner', address: '4 Beach Road, Kochi', phone: '+91 484 2345678', website: '', rating: '3.6', reviews: '41' },
+    { category: 'Bakeries', name: 'New Leaf Cakes', address: '88 MG Road, Kochi', phone: '', website: '', rating: '4.2', reviews: '6' },
+];
+
+// ===================================
+// PARSING
+// ===================================
+
+const CONDITION_TERM = /^(not\s+|!)?([A-Za-z_][\w]*)\s*(?:(>=|<=|==|!=|>|<)\s*(.+))?$/;
+
+/**
+ * Parse a condition such as "rating >= 4.5 and not website".
+ * @param {string} source
+ * @returns {Array<Array<Object>>} OR-list of AND-lists of terms
+ */
+function parseCondition(source) {
+    const orParts = source.split(/\s+or\s+/i);
+    return orParts.map((orPart) => orPart.split(/\s+and\s+/i).map((termSource) => {
+        const match = termSource.trim().match(CONDITION_TERM);
+        if (!match) {
+            throw new TemplateError(`Invalid condition "${termSource.trim()}"`);
+        }
+        const [, negation, field, operator, rawValue] = match;
+        let value = null;
+        if (operator) {
+            const trimmed = rawValue.trim();
+            const quoted = trimmed.match(/^(["'])(.*)\1$/);
+            if (quoted) value = quoted[2];
+            else if (!Number.isNaN(Number(trimmed))) value = Number(trimmed);
+            else value = trimmed;
+        }
+        return { negate: !!negation, field, operator: operator || null, value };
+    }));
+}
+
+/**
+ * Compile a template body into a tree of nodes.
+ * @param {string} body
+ * @returns {Array} Nodes
+ * @throws {TemplateError} On syntax errors
+ */
+function compileTemplate(body) {
+    if (typeof body !== 'string') {
+        throw new TemplateError('Template body must be a string');
+    }
+
+    const root = { children: [] };
+    // Stack of open {{#if}} blocks; each holds its branches
+    const stack = [];
+    const current = () => {
+        if (stack.length === 0) return root.children;
+        const block = stack[stack.length - 1];
+        return block.branches[block.branches.length - 1].children;
+    };
+
+    const tagPattern = /\{\{\s*([\s\S]*?)\s*\}\}/g;
+    let lastIndex = 0;
+    let match;
+    while ((match = tagPattern.exec(body)) !== null) {
+        if (match.index > lastIndex) {
+            current().push({ type: 'text', text: body.substring(lastIndex, match.index) });
+        }
+        lastIndex = tagPattern.lastIndex;
+
+        const tag = match[1];
+        let m;
+        if ((m = tag.match(/^#if\s+([\s\S]+)$/))) {
+            const block = { type: 'if', branches: [{ condition: parseCondition(m[1]), children: [] }] };
+            current().push(block);
+            stack.push(block);
+        } else if ((m = tag.match(/^else\s+if\s+([\s\S]+)$/))) {
+            const block = stack[stack.length - 1];
+            if (!block || block.hasElse) throw new TemplateError('{{else if}} without a matching {{#if}}');
+            block.branches.push({ condition: parseCondition(m[1]), children: [] });
+        } else if (tag === 'else') {
+            const block = stack[stack.length - 1];
+            if (!block || block.hasElse) throw new TemplateError('{{else}} without a matching {{#if}}');
+            block.hasElse = true;
+            block.branches.push({ condition: null, children: [] });
+        } else if (tag === '/if') {
+            if (!stack.pop()) throw new TemplateError('{{/if}} without a matching {{#if}}');
+        } else if ((m = tag.match(/^([A-Za-z_][\w]*)(?:\|([\s\S]*))?$/))) {
+            current().push({ type: 'field', field: m[1], fallback: m[2] !== undefined ? m[2] : '' });
+        } else {
+            throw new TemplateError(`Unknown tag "{{${tag}}}"`);
+        }
+    }
+
+    if (stack.length > 0) {
+        throw new TemplateError('Missing {{/if}}');
+    }
+    if (lastIndex < body.length) {
+        root.children.push({ type: 'text', text: body.substring(lastIndex) });
+    }
+    return root.children;
+}
+
+// ===================================
+// RENDERING
+// ===================================
+
+/**
+ * Values templates can use for a lead. Only the lead's own fields are
+ * copied onto an object without a prototype, so {{constructor}} and the
+ * like render as missing fields.
+ * @param {Object} biz
+ * @returns {Object}
+ */
+function templateContext(biz) {
+    return Object.assign(Object.create(null), {
+        ...biz,
+        rating: toNumber(biz.rating),
+        reviews: toNumber(biz.reviews),
+        hasWebsite: !!biz.website,
+        hasEmail: !!biz.email,
+        hasPhone: !!biz.phone,
+        // Website audit findings as text
+        siteIssues: (biz.siteIssues || []).join(', '),
+        siteIssueCount: (biz.siteIssues || []).length,
+        siteTopIssue: (biz.siteIssues || [])[0] || '',
+    });
+}
+
+function isPresent(value) {
+    if (typeof value === 'number') return value !== 0 && !Number.isNaN(value);
+    return value !== null && value !== undefined && value !== '' && value !== false;
+}
+
+function evaluateTerm(term, context) {
+    const actual = context[term.field];
+    let result;
+    if (!term.operator) {
+        result = isPresent(actual);
+    } else if (typeof term.value === 'number') {
+        // Missing numbers never satisfy a comparison
+        const num = typeof actual === 'number' ? actual : toNumber(actual);
+        if (num === null || Number.isNaN(num)) {
+            result = false;
+        } else {
+            result = {
+                '>=': num >= term.value,
+                '<=': num <= term.value,
+                '>': num > term.value,
+                '<': num < term.value,
+                '==': num === term.value,
+                '!=': num !== term.value,
+            }[term.operator];
+        }
+    } else {
+        const a = String(actual === null || actual === undefined ? '' : actual).toLowerCase();
+        const b = String(term.value).toLowerCase();
+        result = {
+            '>=': a >= b,
+            '<=': a <= b,
+            '>': a > b,
+            '<': a < b,
+            '==': a === b,
+            '!=': a !== b,
+        }[term.operator];
+    }
+    return term.negate ? !result : result;
+}
+
+function evaluateCondition(condition, context) {
+    return condition.some((andTerms) => andTerms.every((term) => evaluateTerm(term, context)));
+}
+
+function renderNodes(nodes, context) {
+    return nodes.map((node) => {
+        if (node.type === 'text') return node.text;
+        if (node.type === 'field') {
+            const value = context[node.field];
+            return isPresent(value) || value === 0 ? String(value) : node.fallback;
+        }
+        const branch = node.branches.find((b) => !b.condition || evaluateCondition(b.condition, context));
+        return branch ? renderNodes(branch.children, context) : '';
+    }).join('');
+}
+
+/**
+ * Render a template for one lead.
+ * @param {Object|string} template - Template object (with body) or a body string
+ * @param {Object} biz - Cleaned lead
+ * @returns {string}
+ */
+function renderTemplate(template, biz) {
+    const body = typeof template === 'string' ? template : template.body;
+    return renderNodes(compileTemplate(body), templateContext(biz)).trim();
+}
+
+// ===================================
+// STORAGE
+// ===================================
+
+/**
+ * Template repository: user templates in a store, plus the built-in ones.
+ * Built-in templates cannot be changed or deleted.
+ * @param {Object} [store] - Defaults to TEMPLATE_STORE_FILE (data/templates.json),
+ *   or memory when TEMPLATE_STORE=memory
+ * @returns {Object} { list, get, create, update, remove, flush }
+ */
+function createTemplateRepository(store) {
+    if (!store) {
+        store = process.env.TEMPLATE_STORE === 'memory'
+            ? createMemoryStore()
+            : createFileStore(process.env.TEMPLATE_STORE_FILE || path.join(__dirname, 'data', 'templates.json'), { collection: 'templates' });
+    }
+
+    // Text fields must be strings when given, so bad input is a 400 rather than a TypeError
+    const checkTextFields = (fields) => {
+        ['name', 'description', 'language'].forEach((key) => {
+            if (fields[key] !== undefined && fields[key] !== null && typeof fields[key] !== 'string') {
+                throw new TemplateError(`Template ${key} must be a string`);
+            }
+        });
+    };
+
+    const validate = (fields) => {
+        if (!fields.name || typeof fields.name !== 'string' || !fields.name.trim()) {
+            throw new TemplateError('Template name is required');
+        }
+        compileTemplate(fields.body);
+    };
+
+    return {
+        list: () => [...BUILT_IN_TEMPLATES, ...store.list()],
+        get: (id) => BUILT_IN_TEMPLATES.find((t) => t.id === id) || store.get(id),
+        /**
+         * @param {Object} fields - { name, body, description?, language? }
+         * @param {string|null} [keyId] - API key that owns the template
+         */
+        create(fields, keyId = null) {
+            checkTextFields(fields);
+            validate(fields);
+            const template = {
+                id: uuidv4(),
+                name: fields.name.trim(),
+                description: (fields.description || '').trim(),
+                language: (fields.language || 'en').trim(),
+                builtIn: false,
+                body: fields.body,
+                keyId,
+                createdAt: new Date().toISOString(),
+                updatedAt: new Date().toISOString(),
+            };
+            store.save(template);
+            return template;
+        },
+        update(id, fields) {
+            if (BUILT_IN_TEMPLATES.some((t) => t.id === id)) {
+                throw new TemplateError('Built-in templates cannot be changed');
+            }
+            const existing = store.get(id);
+            if (!existing) return null;
+            checkTextFields(fields);
+            const updated = {
+                ...existing,
+                name: fields.name !== undefined ? String(fields.name).trim() : existing.name,
+                description: fields.description !== undefined ? String(fields.description).trim() : existing.description,
+                language: fields.language !== undefined ? String(fields.language).trim() : existing.language,
+                body: fields.body !== undefined ? fields.body : existing.body,
+                updatedAt: new Date().toISOString(),
+            };
+            validate(updated);
+            store.save(updated);
+            return updated;
+        },
+        remove(id) {
+            if (BUILT_IN_TEMPLATES.some((t) => t.id === id)) {
+                throw new TemplateError('Built-in templates cannot be deleted');
+            }
+            return store.delete(id);
+        },
+        flush: () => store.flush(),
+    };
+}
+
+module.exports = {
+    DEFAULT_TEMPLATE,
+    SAMPLE_LEADS,
+    TemplateError,
+    compileTemplate,
+    renderTemplate,
+    createTemplateRepository,
+};
@@ -0,0 +1,141 @@
+const { REGIONS } = require('./regions');
+const { countryToCode } = require('./validator');
+
+/**
+ * Geographic tiling for large-area searches.
+ *
+ * One local search for a whole state only returns the few dozen places
+ * Google deems most relevant. Splitting the area into tiles and searching
+ * each one separately reaches far more businesses. Two kinds of tiles:
+ * - cities: one "<category> in <city>, <state>" search per city, from the
+ *   bundled list in regions.js or a custom `cities` list
+ * - grid:   a lat/lng grid over the region's bounding box (or custom
+ *   `bounds`), searched on the map at a zoom matching the cell size
+ */
+
+const DEFAULT_CELL_KM = 10;
+const DEFAULT_MAX_TILES = 100;
+const MAX_TILES = 400;
+const KM_PER_DEGREE = 111.32;
+
+/**
+ * Find a bundled region by state name (or alias) and country.
+ * @param {string} state
+ * @param {string} country
+ * @returns {Object|null}
+ */
+function findRegion(state, country) {
+    const stateKey = (state || '').trim().toLowerCase();
+    const countryCode = countryToCode(country);
+    return REGIONS.find((region) =>
+        (!countryCode || region.country === countryCode) &&
+        [region.state, ...region.aliases].some((name) => name.toLowerCase() === stateKey)
+    ) || null;
+}
+
+/**
+ * Check a { north, south, east, west } box.
+ * @param {Object} bounds
+ * @returns {Object} Numeric bounds
+ */
+function parseBounds(bounds) {
+    const parsed = {};
+    ['north', 'south', 'east', 'west'].forEach((side) => {
+        const value = Number(bounds[side]);
+        if (!Number.isFinite(value)) {
+            throw new Error(`Tiling bounds need a numeric "${side}"`);
+        }
+        parsed[side] = value;
+    });
+    if (parsed.north <= parsed.south || parsed.north > 90 || parsed.south < -90) {
+        throw new Error('Tiling bounds: north must be above south, within -90..90');
+    }
+    if (parsed.east <= parsed.west || parsed.east > 180 || parsed.west < -180) {
+        throw new Error('Tiling bounds: east must be greater than west, within -180..180');
+    }
+    return parsed;
+}
+
+/**
+ * Lay a grid of search points over a bounding box. The cell size grows when
+ * the grid would exceed maxTiles.
+ * @param {Object} bounds - { north, south, east, west }
+ * @param {number} cellKm - Wanted cell size
+ * @param {number} maxTiles
+ * @param {number} [zoom] - Map zoom; derived from the cell size when omitted
+ * @returns {Array} Tiles with label, latitude, longitude and zoom
+ */
+function gridTiles(bounds, cellKm, maxTiles, zoom) {
+    const midLatitude = (bounds.north + bounds.south) / 2;
+    const heightKm = (bounds.north - bounds.south) * KM_PER_DEGREE;
+    const widthKm = (bounds.east - bounds.west) * KM_PER_DEGREE * Math.cos((midLatitude * Math.PI) / 180);
+
+    let rows = Math.max(Math.ceil(heightKm / cellKm), 1);
+    let cols = Math.max(Math.ceil(widthKm / cellKm), 1);
+    if (rows * cols > maxTiles) {
+        const scale = Math.sqrt((rows * cols) / maxTiles);
+        cellKm *= scale;
+        rows = Math.max(Math.floor(heightKm / cellKm), 1);
+        cols = Math.max(Math.floor(widthKm / cellKm), 1);
+    }
+
+    // Roughly one cell across the visible map
+    const tileZoom = zoom || Math.min(Math.max(Math.round(Math.log2(40075 / cellKm)) + 1, 8), 17);
+    const latStep = (bounds.north - bounds.south) / rows;
+    const lngStep = (bounds.east - bounds.west) / cols;
+
+    const tiles = [];
+    for (let r = 0; r < rows; r++) {
+        for (let c = 0; c < cols; c++) {
+            const latitude = Number((bounds.south + latStep * (r + 0.5)).toFixed(5));
+            const longitude = Number((bounds.west + lngStep * (c + 0.5)).toFixed(5));
+            tiles.push({ label: `${latitude},${longitude}`, latitude, longitude, zoom: tileZoom });
+        }
+    }
+    return tiles;
+}
+
+/**
+ * Split a state/region into search tiles.
+ * @param {string} state
+ * @param {string} country
+ * @param {Object} [tiling]
+ * @param {string} [tiling.mode='auto'] - 'cities', 'grid', or 'auto' (cities when
+ *   a list is available, otherwise grid)
+ * @param {Array<string>} [tiling.cities] - Custom city list
+ * @param {Object} [tiling.bounds] - Custom { north, south, east, west } for grid mode
+ * @param {number} [tiling.cellKm=10] - Grid cell size
+ * @param {number} [tiling.zoom] - Grid map zoom
+ * @param {number} [tiling.maxTiles=100] - At most 400
+ * @returns {Array} Tiles: { label, location } for cities, { label, latitude,
+ *   longitude, zoom } for grid points
+ * @throws {Error} When the area cannot be tiled
+ */
+function buildTiles(state, country, tiling = {}) {
+    const mode = tiling.mode || 'auto';
+    if (!['auto', 'cities', 'grid'].includes(mode)) {
+        throw new Error(`Unknown tiling mode "${mode}". Use auto, cities or grid.`);
+    }
+    const maxTiles = Math.min(Math.max(parseInt(tiling.maxTiles, 10) || DEFAULT_MAX_TILES, 1), MAX_TILES);
+    const region = findRegion(state, country);
+
+    const cities = Array.isArray(tiling.cities) && tiling.cities.length > 0
+        ? tiling.cities.map((city) => String(city).trim()).filter(Boolean)
+        : (region ? region.cities : []);
+    if (mode === 'cities' || (mode === 'auto' && cities.length > 0)) {
+        if (cities.length === 0) {
+            throw new Error(`No bundled city list for "${state}, ${country}". Pass tiling.cities or use grid mode with bounds.`);
+        }
+        return cities.slice(0, maxTiles).map((city) => ({ label: city, location: `${city}, ${region ? region.state : state}` }));
+    }
+
+    const bounds = tiling.bounds || (region && region.bounds);
+    if (!bounds) {
+        throw new Error(`No bundled bounds for "${state}, ${country}". Pass tiling.bounds ({ north, south, east, west }) or tiling.cities.`);
+    }
+    const cellKm = Number(tiling.cellKm) > 0 ? Number(tiling.cellKm) : DEFAULT_CELL_KM;
+    const zoom = parseInt(tiling.zoom, 10) || undefined;
+    return gridTiles(parseBounds(bounds), cellKm, maxTiles, zoom);
+}
+
+module.exports = { buildTiles, findRegion, MAX_TILES };
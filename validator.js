@@ -2,19 +2,114 @@
  * Validates and cleans scraped business data.
  */
 
+const { parsePhoneNumberFromString, validatePhoneNumberLength, getCountries } = require('libphonenumber-js/max');
+const { dedupeBusinesses } = require('./dedupe');
+const { parsePlaceId, parseCoordinates } = require('./mapsUrl');
+const { DEFAULT_TEMPLATE, renderTemplate } = require('./templates');
+const { scoreLeads } = require('./scoring');
+const { AUDIT_FIELDS } = require('./websiteAudit');
+
+// Country names people type that are not the official English name
+const COUNTRY_ALIASES = {
+    usa: 'US',
+    'u.s.': 'US',
+    'u.s.a.': 'US',
+    america: 'US',
+    'united states of america': 'US',
+    uk: 'GB',
+    'u.k.': 'GB',
+    england: 'GB',
+    scotland: 'GB',
+    wales: 'GB',
+    'great britain': 'GB',
+    uae: 'AE',
+    emirates: 'AE',
+    'south korea': 'KR',
+    korea: 'KR',
+    russia: 'RU',
+    vietnam: 'VN',
+    'czech republic': 'CZ',
+    holland: 'NL',
+};
+
+let countryNames = null;
+
 /**
- * Remove duplicate businesses based on name + address combination.
- * @param {Array} businesses - Array of business objects
- * @returns {Array} Deduplicated array
+ * Resolve a country name ("India", "USA") or ISO code ("IN") to an ISO 3166
+ * alpha-2 code known to the phone numbering plans.
+ * @param {string} country
+ * @returns {string|null} e.g. 'IN', or null if unknown
  */
-function removeDuplicates(businesses) {
-    const seen = new Set();
-    return businesses.filter((biz) => {
-        const key = `${(biz.name || '').toLowerCase().trim()}|${(biz.address || '').toLowerCase().trim()}`;
-        if (seen.has(key)) return false;
-        seen.add(key);
-        return true;
-    });
+function countryToCode(country) {
+    if (!country) return null;
+    const key = country.trim().toLowerCase();
+    if (!key) return null;
+
+    if (!countryNames) {
+        const displayNames = new Intl.DisplayNames(['en'], { type: 'region' });
+        countryNames = {};
+        getCountries().forEach((code) => {
+            countryNames[code.toLowerCase()] = code;
+            const name = displayNames.of(code);
+            if (name) countryNames[name.toLowerCase()] = code;
+        });
+    }
+
+    return COUNTRY_ALIASES[key] || countryNames[key] || null;
+}
+
+// libphonenumber number types, as shown in exports
+const PHONE_TYPES = {
+    MOBILE: 'Mobile',
+    FIXED_LINE: 'Landline',
+    FIXED_LINE_OR_MOBILE: 'Mobile or landline',
+    TOLL_FREE: 'Toll-free',
+    PREMIUM_RATE: 'Premium rate',
+    SHARED_COST: 'Shared cost',
+    VOIP: 'VoIP',
+    PERSONAL_NUMBER: 'Personal',
+    PAGER: 'Pager',
+    UAN: 'UAN',
+    VOICEMAIL: 'Voicemail',
+};
+
+// validatePhoneNumberLength() results, as shown in exports
+const LENGTH_ISSUES = {
+    TOO_SHORT: 'Too short',
+    TOO_LONG: 'Too long',
+    INVALID_LENGTH: 'Invalid length',
+    NOT_A_NUMBER: 'Invalid',
+};
+
+/**
+ * Parse a phone number against the numbering plan of a country.
+ * @param {string} phone - Phone number as scraped
+ * @param {string} [country] - Country name or ISO code used for national numbers
+ * @returns {Object} { e164, national, type, status }; status is '' when there is
+ *   no number, otherwise 'Valid', 'Invalid', 'Too short', 'Too long'...
+ */
+function parsePhone(phone, country) {
+    const result = { e164: '', national: '', type: '', status: '' };
+    if (!phone || !phone.trim()) return result;
+
+    const countryCode = countryToCode(country) || undefined;
+    const lengthIssue = validatePhoneNumberLength(phone, countryCode);
+    if (lengthIssue && LENGTH_ISSUES[lengthIssue]) {
+        result.status = LENGTH_ISSUES[lengthIssue];
+        return result;
+    }
+
+    const parsed = parsePhoneNumberFromString(phone, countryCode);
+    if (!parsed || !parsed.isValid()) {
+        result.status = 'Invalid';
+        return result;
+    }
+
+    result.e164 = parsed.number;
+    result.national = parsed.formatNational();
+    result.type = PHONE_TYPES[parsed.getType()] || '';
+    result.status = 'Valid';
+    return result;
 }
 
 /**
@@ -81,44 +176,26 @@ function normalizeEmail(email) {
 /**
  * Generates a custom ice breaker message for a business.
  * @param {Object} biz - Business object
+ * @param {Object} [template] - Ice-breaker template (see templates.js), defaults to the built-in pitch
  * @returns {string} Attractive ice breaker message
  */
-function generateIceBreaker(biz) {
-    const name = biz.name || 'there';
-    const hasWebsite = !!biz.website;
-    const rating = parseFloat(biz.rating);
-    const reviews = parseInt(biz.reviews, 10);
-
-    let message = `Hey ${name}, I just went through your Google Business Profile while researching ${biz.category || 'businesses'} in your area. `;
-
-    // Custom points based on profile status
-    if (rating && rating >= 4.5 && reviews > 20) {
-        message += `You have a fantastic reputation with a ${rating}-star rating and ${reviews} reviews! That's impressive and shows you provide great service. `;
-    } else if (rating && rating < 4.0) {
-        message += `I noticed your current rating is ${rating} stars. Often, this can be improved just by better managing your profile and responding to customers, which directly boosts your ranking. `;
-    } else if (reviews && reviews < 10) {
-        message += `I noticed you only have ${reviews} reviews so far. Getting a few more positive reviews could really help you jump ahead of the local competition. `;
-    } else {
-        message += `Your profile looks solid, and you've clearly put work into your local presence. `;
-    }
-
-    if (hasWebsite) {
-        message += `You've got a good foundation with your current website, but I noticed some specific opportunities to optimize it further so you can outrank competitors and capture more of that local traffic. `;
-    } else {
-        message += `However, I noticed you don't have a website linked to your profile yet. Since Google uses website quality and relevance as a top ranking factor, adding a fast, mobile-optimized site would be a game-changer for your visibility. `;
-    }
-
-    message += `I specialize in helping ${biz.category || 'businesses'} like yours dominate local search by building high-performance websites and fully optimizing Google Business Profiles. Would you be open to a quick chat (or even just an email) about how we can get you to the top of the map pack?`;
-
-    return message;
+function generateIceBreaker(biz, template = DEFAULT_TEMPLATE) {
+    return renderTemplate(template, biz);
 }
 
 /**
  * Full validation pipeline.
  * @param {Array} businesses - Raw scraped data
- * @returns {Array} Cleaned and validated data
+ * @param {Object} [options]
+ * @param {string} [options.country] - Country used to read national phone numbers,
+ *   unless a business carries its own `country`
+ * @param {number} [options.dedupeThreshold] - Name/address similarity (0-1) for fuzzy duplicates
+ * @param {Object} [options.stats] - Filled with { merged } (number of duplicate records merged)
+ * @param {Object} [options.template] - Ice-breaker template, defaults to the built-in pitch
+ * @param {Object} [options.scoring] - Lead scoring weights and tier thresholds (see scoring.js)
+ * @returns {Array} Cleaned and validated data, best-scored leads first
  */
-function validateAndClean(businesses) {
+function validateAndClean(businesses, options = {}) {
     let data = [...businesses];
 
     // Step 1: Remove incomplete entries
@@ -135,16 +212,61 @@ function validateAndClean(businesses) {
             website: normalizeUrl(biz.website),
             rating: biz.rating || '',
             reviews: biz.reviews || '',
+            url: (biz.url || '').trim(),
+            businessType: (biz.businessType || '').trim(),
+            openingHours: Array.isArray(biz.openingHours) ? biz.openingHours : [],
+            priceLevel: (biz.priceLevel || '').trim(),
+            plusCode: (biz.plusCode || '').trim(),
+            claimed: typeof biz.claimed === 'boolean' ? biz.claimed : null,
+            socialLinks: { ...(biz.socialLinks || {}) },
         };
-        // Add ice breaker based on cleaned data
-        cleanedBiz.iceBreaker = generateIceBreaker(cleanedBiz);
+
+        // Place identity and location, from the list URL or the resolved profile URL
+        cleanedBiz.placeId = parsePlaceId(biz.resolvedUrl) || parsePlaceId(biz.url);
+        const coordinates = parseCoordinates(biz.resolvedUrl) || parseCoordinates(biz.url);
+        cleanedBiz.latitude = coordinates ? coordinates.latitude : null;
+        cleanedBiz.longitude = coordinates ? coordinates.longitude : null;
+
+        // Website audit findings, when the audit ran
+        AUDIT_FIELDS.forEach((field) => {
+            if (biz[field] !== undefined) cleanedBiz[field] = biz[field];
+        });
+
+        // Imported lead lists: how the row was matched, and where it came from
+        if (biz.importStatus) cleanedBiz.importStatus = biz.importStatus;
+        if (biz.importRow) cleanedBiz.importRow = biz.importRow;
+
+        const phoneInfo = parsePhone(cleanedBiz.phone, biz.country || options.country);
+        cleanedBiz.phoneE164 = phoneInfo.e164;
+        cleanedBiz.phoneNational = phoneInfo.national;
+        cleanedBiz.phoneType = phoneInfo.type;
+        cleanedBiz.phoneStatus = phoneInfo.status;
         return cleanedBiz;
     });
 
-    // Step 3: Remove duplicates
-    data = removeDuplicates(data);
+    // Step 3: Merge duplicates (place ID, phone, website, fuzzy name + address)
+    const { records, mergedCount } = dedupeBusinesses(data, { threshold: options.dedupeThreshold });
+    data = records;
+    if (options.stats) options.stats.merged = mergedCount;
+
+    // Step 4: Add ice breaker based on the merged data
+    data.forEach((biz) => {
+        biz.iceBreaker = generateIceBreaker(biz, options.template);
+    });
+
+    // Step 5: Score leads and put the best prospects first
+    data = scoreLeads(data, options.scoring);
 
     return data;
 }
 
-module.exports = { validateAndClean, removeDuplicates, removeIncomplete, normalizePhone, normalizeUrl, normalizeEmail };
+module.exports = {
+    validateAndClean,
+    generateIceBreaker,
+    removeIncomplete,
+    normalizePhone,
+    parsePhone,
+    countryToCode,
+    normalizeUrl,
+    normalizeEmail,
+};
@@ -0,0 +1,55 @@
+const http = require('http');
+const { SIGNATURE_HEADER, verifySignature } = require('./webhooks');
+
+/**
+ * Local webhook receiver for trying out job webhooks.
+ *
+ *   WEBHOOK_SECRET=s3cret npm run webhook-receiver
+ *
+ * Listens on RECEIVER_PORT (default 4000), verifies each delivery's signature
+ * and prints the event. Set RECEIVER_FAIL_FIRST=2 to answer the first two
+ * deliveries with HTTP 500 and watch the retries.
+ */
+
+const PORT = parseInt(process.env.RECEIVER_PORT, 10) || 4000;
+const SECRET = process.env.WEBHOOK_SECRET || '';
+let failuresLeft = parseInt(process.env.RECEIVER_FAIL_FIRST, 10) || 0;
+
+if (!SECRET) {
+    console.error('Set WEBHOOK_SECRET to the webhookSecret you send with the job.');
+    process.exit(1);
+}
+
+http.createServer((req, res) => {
+    if (req.method !== 'POST') {
+        res.writeHead(405).end();
+        return;
+    }
+
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => {
+        const body = Buffer.concat(chunks).toString('utf8');
+        const signature = req.headers[SIGNATURE_HEADER.toLowerCase()];
+
+        if (!verifySignature(body, signature, SECRET)) {
+            console.warn('✗ Rejected delivery with a bad or missing signature');
+            res.writeHead(401).end('Bad signature');
+            return;
+        }
+
+        const payload = JSON.parse(body);
+        if (failuresLeft > 0) {
+            failuresLeft--;
+            console.log(`… ${payload.event} (${payload.id}): answering 500 to test retries`);
+            res.writeHead(500).end('Simulated failure');
+            return;
+        }
+
+        console.log(`✓ ${payload.event} (${payload.id})`);
+        console.log(JSON.stringify(payload.data, null, 2));
+        res.writeHead(200, { 'Content-Type': 'application/json' }).end('{"received":true}');
+    });
+}).listen(PORT, () => {
+    console.log(`Webhook receiver listening at http://localhost:${PORT}/`);
+});
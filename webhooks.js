@@ -0,0 +1,292 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * Outgoing webhooks for job events.
+ *
+ * Every delivery is a JSON POST signed with HMAC-SHA256 over
+ * "<timestamp>.<body>", sent in the X-LeadScraper-Signature header as
+ * "t=<timestamp>,v1=<hex digest>". Receivers recompute the digest with the
+ * shared secret (see verifySignature) and should reject old timestamps.
+ * Failed deliveries are retried with exponential backoff.
+ *
+ * Webhooks are not sent to loopback, private, link-local (including cloud
+ * metadata) or otherwise internal addresses, whether written as an IP or
+ * reached through a host name, so a job cannot be used to probe the
+ * server's own network. Deliveries connect to the address that passed the
+ * check (no second DNS lookup to rebind) and never follow redirects. Hosts
+ * listed in WEBHOOK_ALLOWED_HOSTS (comma-separated, e.g.
+ * "localhost,crm.internal") are exempt.
+ */
+
+const WEBHOOK_EVENTS = ['job.completed', 'job.failed', 'job.cancelled'];
+
+const SIGNATURE_HEADER = 'X-LeadScraper-Signature';
+
+// Delivery attempts per event, and the delay before the first retry (doubles each time)
+const DEFAULT_MAX_ATTEMPTS = 5;
+const DEFAULT_RETRY_DELAY = 2000;
+
+// Address ranges webhooks may not reach unless the host is allow-listed
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4],
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+    ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * Host names exempt from the internal-address check, from WEBHOOK_ALLOWED_HOSTS.
+ * @returns {Array<string>}
+ */
+function loadAllowedHosts() {
+    return (process.env.WEBHOOK_ALLOWED_HOSTS || '')
+        .split(/[\s,]+/)
+        .map((host) => host.trim().toLowerCase().replace(/^\[|\]$/g, ''))
+        .filter(Boolean);
+}
+
+/**
+ * Whether an IP address is loopback, private, link-local or otherwise internal.
+ * @param {string} address
+ * @returns {boolean}
+ */
+function isInternalAddress(address) {
+    const family = net.isIP(address);
+    if (family === 0) return false;
+    return BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Host name of a URL without IPv6 brackets, lower-cased.
+ * @param {URL} url
+ * @returns {string}
+ */
+function hostOf(url) {
+    return url.hostname.toLowerCase().replace(/^\[|\]$/g, '');
+}
+
+/**
+ * Error for a webhook host that points at an internal address.
+ * @param {string} host
+ * @param {string} address
+ * @returns {Error}
+ */
+function internalTargetError(host, address) {
+    return new Error(`webhookUrl host ${host} resolves to an internal address (${address}); add it to WEBHOOK_ALLOWED_HOSTS to allow it`);
+}
+
+/**
+ * Resolve a webhook URL's host and refuse internal targets.
+ * @param {string} url
+ * @param {Array<string>} [allowedHosts] - Defaults to WEBHOOK_ALLOWED_HOSTS
+ * @returns {Promise<void>}
+ * @throws {Error} When the host resolves to an internal address, or not at all
+ */
+async function checkWebhookTarget(url, allowedHosts = loadAllowedHosts()) {
+    const host = hostOf(new URL(url));
+    if (allowedHosts.includes(host)) return;
+    const addresses = net.isIP(host) ? [{ address: host }] : await dns.promises.lookup(host, { all: true });
+    const internal = addresses.find(({ address }) => isInternalAddress(address));
+    if (internal) throw internalTargetError(host, internal.address);
+}
+
+/**
+ * DNS lookup for outgoing sockets that fails on internal addresses, so the
+ * connection goes to exactly the address that was checked.
+ * @param {Array<string>} allowedHosts
+ * @returns {function} Lookup function for http(s).request
+ */
+function guardedLookup(allowedHosts) {
+    return (hostname, options, callback) => {
+        dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+            if (err) return callback(err);
+            const host = hostname.toLowerCase();
+            const internal = addresses.find(({ address }) => isInternalAddress(address));
+            if (internal && !allowedHosts.includes(host)) return callback(internalTargetError(host, internal.address));
+            if (options.all) return callback(null, addresses);
+            callback(null, addresses[0].address, addresses[0].family);
+        });
+    };
+}
+
+/**
+ * POST a body to a webhook URL once, without following redirects.
+ * @param {string} url
+ * @param {Object} headers
+ * @param {string} body
+ * @param {number} timeout - ms
+ * @param {Array<string>} [allowedHosts] - Defaults to WEBHOOK_ALLOWED_HOSTS
+ * @returns {Promise<number>} HTTP status
+ */
+function postWebhook(url, headers, body, timeout, allowedHosts = loadAllowedHosts()) {
+    return new Promise((resolve, reject) => {
+        const target = new URL(url);
+        // IP literals never reach the lookup
+        const host = hostOf(target);
+        if (isInternalAddress(host) && !allowedHosts.includes(host)) {
+            reject(internalTargetError(host, host));
+            return;
+        }
+        const request = (target.protocol === 'https:' ? https : http).request(target, {
+            method: 'POST',
+            headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+            lookup: guardedLookup(allowedHosts),
+        }, (response) => {
+            clearTimeout(timer);
+            response.resume();
+            resolve(response.statusCode);
+        });
+        const timer = setTimeout(() => {
+            const error = new Error('Timed out');
+            error.name = 'TimeoutError';
+            request.destroy(error);
+        }, timeout);
+        request.on('error', (err) => {
+            clearTimeout(timer);
+            reject(err);
+        });
+        request.end(body);
+    });
+}
+
+/**
+ * Check a webhook URL and event list from a scrape request.
+ * Host names are resolved at delivery time (see checkWebhookTarget); here
+ * only IP literals and localhost are refused.
+ * @param {string} url
+ * @param {Array<string>} [events] - Defaults to all events
+ * @param {Array<string>} [allowedHosts] - Defaults to WEBHOOK_ALLOWED_HOSTS
+ * @returns {{ url: string, events: Array<string> }}
+ * @throws {Error} On a URL that is not http(s), an internal target or an unknown event
+ */
+function parseWebhook(url, events, allowedHosts = loadAllowedHosts()) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (e) {
+        throw new Error(`Invalid webhookUrl: ${url}`);
+    }
+    if (!/^https?:$/.test(parsed.protocol)) {
+        throw new Error('webhookUrl must be an http(s) URL');
+    }
+    const host = hostOf(parsed);
+    const local = host === 'localhost' || host.endsWith('.localhost') || isInternalAddress(host);
+    if (local && !allowedHosts.includes(host)) {
+        throw new Error(`webhookUrl must not point at an internal address (${host}); add it to WEBHOOK_ALLOWED_HOSTS to allow it`);
+    }
+    const wanted = events === undefined ? WEBHOOK_EVENTS : events;
+    if (!Array.isArray(wanted) || wanted.length === 0) {
+        throw new Error(`webhookEvents must be a non-empty list of: ${WEBHOOK_EVENTS.join(', ')}`);
+    }
+    const unknown = wanted.filter((event) => !WEBHOOK_EVENTS.includes(event));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown webhook events: ${unknown.join(', ')}. Events: ${WEBHOOK_EVENTS.join(', ')}`);
+    }
+    return { url: parsed.href, events: Array.from(new Set(wanted)) };
+}
+
+/**
+ * Signature header value for a payload.
+ * @param {string} body - Raw JSON body
+ * @param {string} secret
+ * @param {number} [timestamp] - Unix seconds, defaults to now
+ * @returns {string} "t=<timestamp>,v1=<hex>"
+ */
+function signPayload(body, secret, timestamp = Math.floor(Date.now() / 1000)) {
+    const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return `t=${timestamp},v1=${digest}`;
+}
+
+/**
+ * Verify a signature header on the receiving side.
+ * @param {string} body - Raw request body, exactly as received
+ * @param {string} header - X-LeadScraper-Signature value
+ * @param {string} secret
+ * @param {number} [toleranceSeconds=300] - Maximum age of the timestamp
+ * @returns {boolean}
+ */
+function verifySignature(body, header, secret, toleranceSeconds = 300) {
+    const parts = Object.fromEntries(String(header || '').split(',').map((part) => part.trim().split('=')));
+    const timestamp = parseInt(parts.t, 10);
+    if (!timestamp || !parts.v1) return false;
+    if (Math.abs(Date.now() / 1000 - timestamp) > toleranceSeconds) return false;
+
+    const expected = Buffer.from(signPayload(body, secret, timestamp).split('v1=')[1], 'hex');
+    const received = Buffer.from(parts.v1, 'hex');
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+/**
+ * Deliver one event, retrying failures with exponential backoff.
+ * @param {Object} webhook - { url, secret }
+ * @param {string} event - e.g. 'job.completed'
+ * @param {Object} data - Event data, sent as the payload's `data`
+ * @param {Object} [options]
+ * @param {function} [options.onAttempt] - Called with a log entry after every attempt
+ * @param {number} [options.maxAttempts=5]
+ * @param {number} [options.retryDelay=2000] - ms before the first retry
+ * @param {number} [options.timeout=10000] - ms per attempt
+ * @returns {Promise<boolean>} Whether the receiver accepted the event
+ */
+async function deliverWebhook(webhook, event, data, {
+    onAttempt = () => { },
+    maxAttempts = DEFAULT_MAX_ATTEMPTS,
+    retryDelay = DEFAULT_RETRY_DELAY,
+    timeout = 10000,
+} = {}) {
+    const deliveryId = uuidv4();
+    const body = JSON.stringify({ id: deliveryId, event, createdAt: new Date().toISOString(), data });
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+        const started = Date.now();
+        const entry = { deliveryId, event, url: webhook.url, attempt, at: new Date().toISOString() };
+        try {
+            const status = await postWebhook(webhook.url, {
+                'Content-Type': 'application/json',
+                'User-Agent': 'LeadScraper-Webhooks/1.0',
+                'X-LeadScraper-Event': event,
+                'X-LeadScraper-Delivery': deliveryId,
+                [SIGNATURE_HEADER]: signPayload(body, webhook.secret),
+            }, body, timeout);
+            entry.status = status;
+            entry.ok = status >= 200 && status < 300;
+            if (status >= 300 && status < 400) {
+                entry.error = `HTTP ${status}: redirects are not followed`;
+            } else if (!entry.ok) {
+                entry.error = `HTTP ${status}`;
+            }
+        } catch (err) {
+            entry.status = null;
+            entry.ok = false;
+            entry.error = err.name === 'TimeoutError' ? 'Timed out' : err.message;
+        }
+        entry.durationMs = Date.now() - started;
+
+        const willRetry = !entry.ok && attempt < maxAttempts;
+        entry.nextRetryMs = willRetry ? retryDelay * 2 ** (attempt - 1) : null;
+        onAttempt(entry);
+
+        if (entry.ok) return true;
+        if (willRetry) {
+            await new Promise((resolve) => setTimeout(resolve, entry.nextRetryMs));
+        }
+    }
+    return false;
+}
+
+module.exports = {
+    WEBHOOK_EVENTS,
+    SIGNATURE_HEADER,
+    parseWebhook,
+    checkWebhookTarget,
+    signPayload,
+    verifySignature,
+    deliverWebhook,
+};
@@ -0,0 +1,232 @@
+/**
+ * Website audit: fetches a lead's homepage and records concrete findings
+ * (HTTPS, redirects, speed, HTML size, mobile viewport, title and meta
+ * description, structured data, broken links) that outreach can cite.
+ *
+ * Only what the audit saw for certain becomes an issue: a site that fails to
+ * load, or a link that times out, may just be refusing bots, so those are
+ * recorded (siteError, siteLinkTimeouts) but never reported as issues.
+ *
+ * Findings are flat `site*` fields so they can be merged straight into the
+ * lead, exported as columns and used in ice-breaker templates.
+ */
+
+const { USER_AGENT, MAX_PAGE_BYTES, unwrapRedirect, readText } = require('./emailFinder');
+
+// Lead fields written by auditWebsite()
+const AUDIT_FIELDS = [
+    'siteAudited',
+    'siteError',
+    'siteHttps',
+    'siteFinalUrl',
+    'siteRedirects',
+    'siteResponseMs',
+    'siteHtmlKb',
+    'siteMobileReady',
+    'siteTitle',
+    'siteMetaDescription',
+    'siteStructuredData',
+    'siteBrokenLinks',
+    'siteLinkTimeouts',
+    'siteLinksChecked',
+    'siteIssues',
+];
+
+// Thresholds above which a finding is reported as an issue
+const SLOW_RESPONSE_MS = 2000;
+const HEAVY_HTML_KB = 1024;
+const MAX_REDIRECTS = 10;
+
+/**
+ * Fetch a URL following redirects by hand so they can be counted.
+ * @param {string} url
+ * @param {number} timeout - ms, for the whole chain
+ * @returns {Promise<{response: Response, url: string, redirects: number}>}
+ */
+async function fetchFollowing(url, timeout) {
+    const signal = AbortSignal.timeout(timeout);
+    let current = url;
+    for (let redirects = 0; redirects <= MAX_REDIRECTS; redirects++) {
+        const response = await fetch(current, {
+            redirect: 'manual',
+            signal,
+            headers: { 'User-Agent': USER_AGENT, Accept: 'text/html,application/xhtml+xml' },
+        });
+        const location = response.headers.get('location');
+        if (response.status >= 300 && response.status < 400 && location) {
+            if (response.body) await response.body.cancel();
+            current = new URL(location, current).href;
+            continue;
+        }
+        return { response, url: current, redirects };
+    }
+    throw new Error(`More than ${MAX_REDIRECTS} redirects`);
+}
+
+// Statuses that mean a link's page is really gone; anything else may be a
+// server refusing bots or having a bad moment
+const GONE_STATUSES = [404, 410];
+
+/**
+ * Check one link. HEAD first, GET for servers that do not support HEAD.
+ * @param {string} url
+ * @param {number} timeout - ms
+ * @returns {Promise<string>} 'ok', 'broken' (404 or 410), 'timeout', or
+ *   'error' (network failure or another error status)
+ */
+async function checkLink(url, timeout) {
+    const check = (method) => fetch(url, {
+        method,
+        redirect: 'follow',
+        signal: AbortSignal.timeout(timeout),
+        headers: { 'User-Agent': USER_AGENT },
+    });
+    try {
+        let response = await check('HEAD');
+        if (response.status === 405 || response.status === 501) {
+            response = await check('GET');
+        }
+        if (response.body) await response.body.cancel();
+        if (GONE_STATUSES.includes(response.status)) return 'broken';
+        return response.status >= 400 ? 'error' : 'ok';
+    } catch (e) {
+        return e.name === 'TimeoutError' ? 'timeout' : 'error';
+    }
+}
+
+/**
+ * Pull the http(s) links out of a page, resolved and without fragments.
+ * @param {string} html
+ * @param {string} baseUrl
+ * @returns {Array<string>} Unique links
+ */
+function extractLinks(html, baseUrl) {
+    const links = new Set();
+    const linkPattern = /<a\s[^>]*href\s*=\s*["']([^"']+)["']/gi;
+    let match;
+    while ((match = linkPattern.exec(html)) !== null) {
+        try {
+            const link = new URL(match[1].replace(/&amp;/g, '&'), baseUrl);
+            link.hash = '';
+            if (/^https?:$/.test(link.protocol)) links.add(link.href);
+        } catch (e) {
+            // Ignore malformed links
+        }
+    }
+    return Array.from(links);
+}
+
+/**
+ * Read the on-page findings from homepage HTML.
+ * @param {string} html
+ * @returns {Object} { title, metaDescription, mobileReady, structuredData }
+ */
+function inspectHtml(html) {
+    const head = html.substring(0, 200000);
+    const title = (head.match(/<title[^>]*>([\s\S]*?)<\/title>/i) || [])[1] || '';
+    const metaTags = head.match(/<meta\s[^>]*>/gi) || [];
+    const metaContent = (name) => {
+        const tag = metaTags.find((t) => new RegExp(`name\\s*=\\s*["']${name}["']`, 'i').test(t));
+        return tag ? ((tag.match(/content\s*=\s*["']([^"']*)["']/i) || [])[1] || '') : null;
+    };
+    const description = metaContent('description');
+
+    return {
+        title: title.replace(/\s+/g, ' ').trim(),
+        metaDescription: (description || '').trim(),
+        mobileReady: /width\s*=\s*device-width/i.test(metaContent('viewport') || ''),
+        structuredData: /application\/ld\+json/i.test(html) || /\sitemscope[\s>]/i.test(html) || /\stypeof\s*=/i.test(html),
+    };
+}
+
+/**
+ * Human-readable issues for a finished audit, worst first.
+ * @param {Object} findings - Audit fields
+ * @returns {Array<string>}
+ */
+function listIssues(findings) {
+    const issues = [];
+    if (!findings.siteHttps) issues.push('no HTTPS');
+    if (!findings.siteMobileReady) issues.push('not set up for mobile (no viewport tag)');
+    if (findings.siteResponseMs > SLOW_RESPONSE_MS) issues.push(`slow to respond (${(findings.siteResponseMs / 1000).toFixed(1)}s)`);
+    if (findings.siteHtmlKb > HEAVY_HTML_KB) {
+        // Reading stops at MAX_PAGE_BYTES, so a size at the cap means "at least"
+        const over = findings.siteHtmlKb >= Math.round(MAX_PAGE_BYTES / 1024) ? 'over ' : '';
+        issues.push(`heavy homepage HTML (${over}${(findings.siteHtmlKb / 1024).toFixed(1)} MB)`);
+    }
+    if (findings.siteBrokenLinks > 0) issues.push(`${findings.siteBrokenLinks} broken link${findings.siteBrokenLinks === 1 ? '' : 's'} on the homepage`);
+    if (!findings.siteTitle) issues.push('missing page title');
+    if (!findings.siteMetaDescription) issues.push('missing meta description');
+    if (!findings.siteStructuredData) issues.push('no structured data for search engines');
+    if (findings.siteRedirects > 2) issues.push(`${findings.siteRedirects} redirects before the homepage loads`);
+    return issues;
+}
+
+/**
+ * Audit a lead's website.
+ * @param {string} website - Lead website URL
+ * @param {Object} [options]
+ * @param {number} [options.timeout=15000] - Timeout in ms for the homepage
+ * @param {number} [options.maxLinks=20] - Same-site homepage links checked for breakage
+ * @param {number} [options.linkTimeout=5000] - Timeout in ms per link check
+ * @returns {Promise<Object>} Audit fields (see AUDIT_FIELDS); `siteError` is set,
+ *   and the other findings and issues are left out, when the site cannot be loaded
+ */
+async function auditWebsite(website, { timeout = 15000, maxLinks = 20, linkTimeout = 5000 } = {}) {
+    const startUrl = unwrapRedirect(website || '');
+    let result;
+    let body;
+    const started = Date.now();
+    try {
+        result = await fetchFollowing(startUrl, timeout);
+        body = await readText(result.response);
+    } catch (err) {
+        return { siteAudited: true, siteError: err.name === 'TimeoutError' ? 'Timed out' : 'Unreachable', siteIssues: [] };
+    }
+    const responseMs = Date.now() - started;
+
+    if (result.response.status >= 400) {
+        return {
+            siteAudited: true,
+            siteError: `HTTP ${result.response.status}`,
+            siteFinalUrl: result.url,
+            siteIssues: [],
+        };
+    }
+
+    const html = body.text;
+    const page = inspectHtml(html);
+    // Only the site's own links: third-party and social sites often refuse bots
+    const origin = new URL(result.url).origin;
+    const links = extractLinks(html, result.url).filter((link) => new URL(link).origin === origin).slice(0, maxLinks);
+
+    // Check links a few at a time
+    let brokenLinks = 0;
+    let linkTimeouts = 0;
+    for (let i = 0; i < links.length; i += 5) {
+        const results = await Promise.all(links.slice(i, i + 5).map((link) => checkLink(link, linkTimeout)));
+        brokenLinks += results.filter((r) => r === 'broken').length;
+        linkTimeouts += results.filter((r) => r === 'timeout').length;
+    }
+
+    const findings = {
+        siteAudited: true,
+        siteError: '',
+        siteHttps: new URL(result.url).protocol === 'https:',
+        siteFinalUrl: result.url,
+        siteRedirects: result.redirects,
+        siteResponseMs: responseMs,
+        siteHtmlKb: Math.round(body.bytes / 1024),
+        siteMobileReady: page.mobileReady,
+        siteTitle: page.title,
+        siteMetaDescription: page.metaDescription,
+        siteStructuredData: page.structuredData,
+        siteBrokenLinks: brokenLinks,
+        siteLinkTimeouts: linkTimeouts,
+        siteLinksChecked: links.length,
+    };
+    findings.siteIssues = listIssues(findings);
+    return findings;
+}
+
+module.exports = { AUDIT_FIELDS, auditWebsite, inspectHtml, listIssues };